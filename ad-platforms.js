@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const { OAuth2Client } = require('google-auth-library');
+const { AdPlatformDelivery } = require('./db');
+const { toE164 } = require('./phone');
+const { hasTrackingConsent } = require('./clicks');
+require('dotenv').config();
+
+// Ad platform conversion uploads
+// Engaged leads and later conversions are sent server-side to the Meta
+// Conversions API and Google Ads offline click conversions. Every event is
+// queued as an AdPlatformDelivery first, so failures retry with backoff and
+// each attempt is logged. Set AD_PLATFORMS_MOCK=true to send everything to
+// the local /mock/ad-platforms endpoints instead of the real APIs.
+
+const MAX_ATTEMPTS = Number(process.env.AD_PLATFORMS_MAX_ATTEMPTS) || 6;
+const BASE_BACKOFF_MS = 60 * 1000;
+
+// Stage → platform event names; Meta accepts custom names for the rest
+const EVENT_NAMES = {
+  lead: { meta: 'Lead', google_ads: 'lead' },
+  consultation_booked: { meta: 'Schedule', google_ads: 'consultation_booked' },
+  visit: { meta: 'Visit', google_ads: 'visit' },
+  purchase: { meta: 'Purchase', google_ads: 'purchase' }
+};
+
+function isMockMode() {
+  return process.env.AD_PLATFORMS_MOCK === 'true';
+}
+
+function getMockBaseUrl() {
+  return `http://127.0.0.1:${process.env.PORT || 8080}/mock/ad-platforms`;
+}
+
+function getPlatformConfig() {
+  const mock = isMockMode();
+
+  return {
+    meta: {
+      enabled: mock || Boolean(process.env.META_PIXEL_ID && process.env.META_ACCESS_TOKEN),
+      baseUrl: mock ? `${getMockBaseUrl()}/meta` : (process.env.META_CAPI_URL || 'https://graph.facebook.com/v19.0'),
+      pixelId: process.env.META_PIXEL_ID || 'mock-pixel',
+      // Leads start in a WhatsApp conversation, not on the website
+      actionSource: process.env.META_ACTION_SOURCE || 'chat',
+      accessToken: process.env.META_ACCESS_TOKEN || 'mock-token',
+      testEventCode: process.env.META_TEST_EVENT_CODE || null
+    },
+    google_ads: {
+      enabled: mock || Boolean(process.env.GOOGLE_ADS_CUSTOMER_ID && process.env.GOOGLE_ADS_CONVERSION_ACTIONS),
+      baseUrl: mock ? `${getMockBaseUrl()}/google-ads` : (process.env.GOOGLE_ADS_API_URL || 'https://googleads.googleapis.com/v16'),
+      customerId: (process.env.GOOGLE_ADS_CUSTOMER_ID || 'mock-customer').replace(/-/g, ''),
+      loginCustomerId: process.env.GOOGLE_ADS_LOGIN_CUSTOMER_ID || null,
+      developerToken: process.env.GOOGLE_ADS_DEVELOPER_TOKEN || 'mock-developer-token',
+      // JSON map of stage → conversion action ID, e.g. {"lead":"123","purchase":"456"}
+      conversionActions: parseJson(process.env.GOOGLE_ADS_CONVERSION_ACTIONS) || {}
+    }
+  };
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    console.warn('⚠️ Invalid ad platform JSON config:', err.message);
+    return null;
+  }
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// Meta wants country code + digits, Google Ads wants full E.164 ("+" included)
+function hashPhone(phoneNumber, { withPlus = false } = {}) {
+  const e164 = toE164(phoneNumber, { international: true });
+  if (!e164) return null;
+  return sha256(withPlus ? e164 : e164.slice(1));
+}
+
+// Typed click IDs, falling back to raw URL params on clicks stored before they existed
+function getClickIds(click) {
+  const ids = click.click_ids || {};
+  const params = click.original_params || {};
+  return {
+    fbclid: ids.fbclid || params.fbclid || null,
+    gclid: ids.gclid || params.gclid || null,
+    wbraid: ids.wbraid || params.wbraid || null,
+    gbraid: ids.gbraid || params.gbraid || null
+  };
+}
+
+// Paid traffic without a click ID (e.g. utm_medium=cpc) - AD_PLATFORMS_PAID_MEDIUMS, comma separated
+function getPaidMediums() {
+  const configured = process.env.AD_PLATFORMS_PAID_MEDIUMS || 'cpc,ppc,paid,paid_social,paidsocial,cpm,display';
+  return configured.split(',').map(medium => medium.trim().toLowerCase()).filter(Boolean);
+}
+
+// Only clicks that came from an ad are reported - organic and direct contacts never are
+function isAdClick(click) {
+  const ids = getClickIds(click);
+  if (Object.values(ids).some(Boolean) || click.fbc) return true;
+  return getPaidMediums().includes(String(click.medium || '').toLowerCase());
+}
+
+// =============================================
+// Payload builders
+// =============================================
+function buildMetaPayload({ click, eventName, eventTime, value, currency, dedupeKey }, config) {
+  const { fbclid } = getClickIds(click);
+  const clickTime = new Date(click.click_time || click.timestamp).getTime();
+  const hashedPhone = hashPhone(click.phoneNumber);
+
+  return {
+    event_name: eventName,
+    event_time: Math.floor(eventTime.getTime() / 1000),
+    event_id: dedupeKey,
+    action_source: config.actionSource,
+    event_source_url: click.full_url || undefined,
+    user_data: {
+      ...(hashedPhone && { ph: [hashedPhone] }),
+      ...((click.fbc || fbclid) && { fbc: click.fbc || `fb.1.${clickTime}.${fbclid}` }),
+      ...(click.fbp && { fbp: click.fbp }),
+      ...(click.client_hints?.user_agent && { client_user_agent: click.client_hints.user_agent })
+    },
+    custom_data: {
+      ...(value ? { value, currency } : {}),
+      utm_source: click.source,
+      utm_campaign: click.campaign
+    }
+  };
+}
+
+function formatGoogleAdsDate(date) {
+  return `${date.toISOString().slice(0, 19).replace('T', ' ')}+00:00`;
+}
+
+function buildGoogleAdsPayload({ click, stage, eventTime, value, currency, dedupeKey }, config) {
+  const { gclid, wbraid, gbraid } = getClickIds(click);
+  const actionId = config.conversionActions[stage] || (isMockMode() ? stage : null);
+  if (!(gclid || wbraid || gbraid) || !actionId) return null;
+
+  const hashedPhone = hashPhone(click.phoneNumber, { withPlus: true });
+
+  // iOS app-to-web clicks only carry wbraid/gbraid; Google accepts exactly one ID
+  const clickId = gclid ? { gclid } : wbraid ? { wbraid } : { gbraid };
+
+  return {
+    ...clickId,
+    conversionAction: `customers/${config.customerId}/conversionActions/${actionId}`,
+    conversionDateTime: formatGoogleAdsDate(eventTime),
+    orderId: dedupeKey,
+    ...(value ? { conversionValue: value, currencyCode: currency } : {}),
+    ...(hashedPhone && { userIdentifiers: [{ hashedPhoneNumber: hashedPhone }] })
+  };
+}
+
+// =============================================
+// Queueing
+// =============================================
+
+// Queue one event for every platform that can match this click
+async function queueAdPlatformEvents({ click, stage = 'lead', eventTime = new Date(), value = 0, currency = 'INR', dedupeKey, conversionId = null }) {
+  if (!click || !dedupeKey) return [];
+  if (!hasTrackingConsent(click)) {
+    console.log(`🔒 ${dedupeKey} not sent to ad platforms - no tracking consent (${click.consent.state})`);
+    return [];
+  }
+  if (!isAdClick(click)) {
+    console.log(`⏭️ ${dedupeKey} not sent to ad platforms - click has no ad click ID or paid medium`);
+    return [];
+  }
+
+  const config = getPlatformConfig();
+  const names = EVENT_NAMES[stage] || { meta: stage, google_ads: stage };
+  const event = { click, stage, eventTime, value, currency, dedupeKey };
+  const queued = [];
+
+  const payloads = {
+    meta: config.meta.enabled && click.phoneNumber
+      ? buildMetaPayload({ ...event, eventName: names.meta }, config.meta)
+      : null,
+    google_ads: config.google_ads.enabled
+      ? buildGoogleAdsPayload(event, config.google_ads)
+      : null
+  };
+
+  for (const [platform, payload] of Object.entries(payloads)) {
+    if (!payload) continue;
+
+    // Upsert on (platform, dedupeKey) so re-processing never double-queues
+    const result = await AdPlatformDelivery.updateOne(
+      { platform, dedupeKey },
+      {
+        $setOnInsert: {
+          platform,
+          dedupeKey,
+          eventName: names[platform],
+          sessionId: click._id.toString(),
+          conversionId,
+          eventTime,
+          payload,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount > 0) {
+      queued.push(platform);
+    }
+  }
+
+  if (queued.length > 0) {
+    console.log(`📤 Queued ${dedupeKey} for ${queued.join(', ')}`);
+    // Send right away; anything that fails is picked up by the retry loop
+    setImmediate(() => {
+      processAdPlatformQueue().catch(err => console.error('❌ Ad platform queue error:', err.message));
+    });
+  }
+  return queued;
+}
+
+// =============================================
+// Delivery
+// =============================================
+let googleAdsAuth;
+
+async function getGoogleAdsAccessToken() {
+  if (isMockMode()) return 'mock-access-token';
+
+  if (!googleAdsAuth) {
+    googleAdsAuth = new OAuth2Client(
+      process.env.GOOGLE_ADS_CLIENT_ID,
+      process.env.GOOGLE_ADS_CLIENT_SECRET
+    );
+    googleAdsAuth.setCredentials({ refresh_token: process.env.GOOGLE_ADS_REFRESH_TOKEN });
+  }
+
+  const { token } = await googleAdsAuth.getAccessToken();
+  return token;
+}
+
+async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(15000)
+  });
+
+  const text = await response.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    data = { raw: text };
+  }
+
+  return { status: response.status, ok: response.ok, data };
+}
+
+const senders = {
+  async meta(delivery, config) {
+    const url = `${config.baseUrl}/${config.pixelId}/events?access_token=${encodeURIComponent(config.accessToken)}`;
+    const response = await postJson(url, {
+      data: [delivery.payload],
+      ...(config.testEventCode && { test_event_code: config.testEventCode })
+    });
+    if (!response.ok) {
+      throw Object.assign(new Error(response.data?.error?.message || `HTTP error ${response.status}`), { response });
+    }
+    return response;
+  },
+
+  async google_ads(delivery, config) {
+    const url = `${config.baseUrl}/customers/${config.customerId}:uploadClickConversions`;
+    const response = await postJson(url, { conversions: [delivery.payload], partialFailure: true }, {
+      Authorization: `Bearer ${await getGoogleAdsAccessToken()}`,
+      'developer-token': config.developerToken,
+      ...(config.loginCustomerId && { 'login-customer-id': config.loginCustomerId })
+    });
+
+    // Partial failures come back as 200 with an error payload
+    const partialError = response.data?.partialFailureError;
+    if (!response.ok || partialError) {
+      const message = partialError?.message || response.data?.error?.message || `HTTP error ${response.status}`;
+      throw Object.assign(new Error(message), { response });
+    }
+    return response;
+  }
+};
+
+async function deliver(delivery, config) {
+  const attemptAt = new Date();
+  const attempts = delivery.attempts + 1;
+
+  try {
+    const response = await senders[delivery.platform](delivery, config[delivery.platform]);
+
+    await AdPlatformDelivery.findByIdAndUpdate(delivery._id, {
+      status: 'sent',
+      attempts,
+      sentAt: attemptAt,
+      lastError: null,
+      lockedUntil: null,
+      $push: { log: { at: attemptAt, status: 'sent', httpStatus: response.status, response: response.data } }
+    });
+    console.log(`✅ ${delivery.platform} delivered ${delivery.dedupeKey}`);
+    return 'sent';
+  } catch (err) {
+    const finalAttempt = attempts >= MAX_ATTEMPTS;
+    const backoffMs = BASE_BACKOFF_MS * Math.pow(2, attempts - 1);
+
+    await AdPlatformDelivery.findByIdAndUpdate(delivery._id, {
+      status: finalAttempt ? 'failed' : 'pending',
+      attempts,
+      lastError: err.message,
+      lockedUntil: null,
+      nextAttemptAt: finalAttempt ? null : new Date(Date.now() + backoffMs),
+      $push: {
+        log: {
+          at: attemptAt,
+          status: 'error',
+          httpStatus: err.response?.status || null,
+          error: err.message,
+          response: err.response?.data || null
+        }
+      }
+    });
+    console.error(`❌ ${delivery.platform} delivery ${delivery.dedupeKey} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, err.message);
+    return finalAttempt ? 'failed' : 'retry';
+  }
+}
+
+// Work through due deliveries; safe to call from several places at once
+async function processAdPlatformQueue({ limit = 50 } = {}) {
+  const config = getPlatformConfig();
+  const summary = { sent: 0, retry: 0, failed: 0 };
+
+  for (let i = 0; i < limit; i++) {
+    const now = new Date();
+
+    // Claim one due delivery so concurrent workers don't send it twice
+    const delivery = await AdPlatformDelivery.findOneAndUpdate(
+      {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { lockedUntil: new Date(now.getTime() + 60 * 1000) },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+    if (!delivery) break;
+    summary[await deliver(delivery, config)]++;
+  }
+
+  return summary;
+}
+
+// Put failed deliveries back in the queue
+async function retryFailedDeliveries(filter = {}) {
+  const result = await AdPlatformDelivery.updateMany(
+    { ...filter, status: 'failed' },
+    { status: 'pending', attempts: 0, nextAttemptAt: new Date() }
+  );
+  return { requeued: result.modifiedCount };
+}
+
+async function listDeliveries({ status, platform, sessionId, limit = 50 } = {}) {
+  // Query-string values: cast so ?status[$ne]=x can't become an operator
+  const filter = {};
+  if (status) filter.status = String(status);
+  if (platform) filter.platform = String(platform);
+  if (sessionId) filter.sessionId = String(sessionId);
+
+  return AdPlatformDelivery.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .lean();
+}
+
+module.exports = {
+  hashPhone,
+  queueAdPlatformEvents,
+  processAdPlatformQueue,
+  retryFailedDeliveries,
+  listDeliveries
+};
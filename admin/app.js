@@ -0,0 +1,147 @@
+(() => {
+    // =============================================
+    // 1. Helpers
+    // =============================================
+    const $ = (id) => document.getElementById(id);
+
+    async function api(path, options = {}) {
+        const response = await fetch(`/admin/api${path}`, {
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            ...options
+        });
+        if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+        return response.json();
+    }
+
+    function cell(text, className) {
+        const td = document.createElement('td');
+        td.textContent = text ?? '–';
+        if (className) td.className = className;
+        return td;
+    }
+
+    const formatDate = (value) => (value ? new Date(value).toLocaleString() : '–');
+
+    // =============================================
+    // 2. Summary & Campaign Chart
+    // =============================================
+    async function loadSummary() {
+        const summary = await api('/summary');
+        $('stat-clicks').textContent = summary.clicks24h;
+        $('stat-engaged').textContent = summary.engaged24h;
+        $('stat-pending').textContent = summary.pendingSync;
+        $('stat-suspicious').textContent = summary.suspicious24h;
+    }
+
+    async function loadCampaignChart() {
+        const from = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const report = await api(`/campaigns?from=${from}`);
+        const rows = report.rows.slice(0, 15);
+        const max = Math.max(1, ...rows.map(row => row.clicks));
+        const chart = $('campaign-chart');
+        chart.replaceChildren();
+
+        rows.forEach(row => {
+            const line = document.createElement('div');
+            line.className = 'bar-row';
+
+            const label = document.createElement('div');
+            label.className = 'bar-label';
+            label.textContent = `${row.source} / ${row.medium} / ${row.campaign}`;
+            label.title = label.textContent;
+
+            const track = document.createElement('div');
+            track.className = 'bar-track';
+            ['clicks', 'engagements'].forEach(metric => {
+                const bar = document.createElement('div');
+                bar.className = `bar ${metric}`;
+                bar.style.width = `${(row[metric] / max) * 100}%`;
+                track.appendChild(bar);
+            });
+
+            const value = document.createElement('div');
+            value.textContent = `${row.engagements}/${row.clicks} (${(row.conversionRate * 100).toFixed(1)}%)`;
+
+            line.append(label, track, value);
+            chart.appendChild(line);
+        });
+    }
+
+    // =============================================
+    // 3. Record Search & Detail
+    // =============================================
+    async function loadClicks() {
+        const params = new URLSearchParams({
+            q: $('search-query').value,
+            status: $('search-status').value
+        });
+        const clicks = await api(`/clicks?${params}`);
+        const body = $('clicks-body');
+        body.replaceChildren();
+
+        clicks.forEach(click => {
+            const tr = document.createElement('tr');
+            tr.append(
+                cell(formatDate(click.timestamp)),
+                cell(click.phoneNumber),
+                cell(`${click.source} / ${click.medium} / ${click.campaign}`),
+                cell(click.hasEngaged ? 'YES' : 'NO', click.hasEngaged ? 'yes' : 'no'),
+                cell(click.attribution_source),
+                cell(click.syncedToSheets ? 'YES' : 'NO', click.syncedToSheets ? 'yes' : 'no'),
+                cell(formatDate(click.lastSynced))
+            );
+            tr.addEventListener('click', () => showDetail(click._id));
+            body.appendChild(tr);
+        });
+    }
+
+    async function showDetail(sessionId) {
+        const click = await api(`/clicks/${encodeURIComponent(sessionId)}`);
+        $('detail').classList.remove('hidden');
+        $('detail-id').textContent = sessionId;
+        $('requeue-status').textContent = '';
+        $('requeue-button').dataset.sessionId = sessionId;
+        $('requeue-button').disabled = !click.hasEngaged;
+
+        const tried = click.attribution_decision?.tried || [];
+        const body = $('path-body');
+        body.replaceChildren();
+        tried.forEach(step => {
+            const tr = document.createElement('tr');
+            tr.append(
+                cell(step.matcher),
+                cell(step.matched ? 'YES' : 'NO', step.matched ? 'yes' : 'no'),
+                cell(step.reason || step.error),
+                cell((step.candidates || []).join(', '))
+            );
+            body.appendChild(tr);
+        });
+
+        $('detail-json').textContent = JSON.stringify(click, null, 2);
+        $('detail').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async function requeue() {
+        const sessionId = $('requeue-button').dataset.sessionId;
+        try {
+            const result = await api(`/clicks/${encodeURIComponent(sessionId)}/resync`, { method: 'POST' });
+            $('requeue-status').textContent = result.status === 'queued' ? 'Queued ✅' : result.status;
+            loadSummary();
+        } catch (error) {
+            $('requeue-status').textContent = `Failed: ${error.message}`;
+        }
+    }
+
+    // =============================================
+    // 4. Wiring
+    // =============================================
+    $('search-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadClicks().catch(error => console.error('Search failed:', error));
+    });
+    $('requeue-button').addEventListener('click', requeue);
+
+    Promise.all([loadSummary(), loadCampaignChart(), loadClicks()])
+        .catch(error => console.error('Dashboard load failed:', error));
+})();
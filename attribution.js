@@ -0,0 +1,441 @@
+const crypto = require('crypto');
+const { UtmClick } = require('./db');
+const { phoneLookupValues } = require('./phone');
+require('dotenv').config();
+
+// Attribution engine
+// Each matcher is a strategy that looks at an inbound WhatsApp message and
+// tries to find the UtmClick it came from. Matchers run in priority order
+// (highest first) and the first one that returns a session wins.
+
+// Default matcher configuration - override with ATTRIBUTION_MATCHERS (JSON),
+// e.g. {"phone":{"priority":90},"recent_click":{"enabled":false}}
+const DEFAULT_MATCHER_CONFIG = {
+  context: { priority: 100, confidence: 1.0, enabled: true },
+  ref_code: { priority: 90, confidence: 1.0, enabled: true },
+  recent_click: { priority: 80, confidence: 0.5, enabled: true },
+  phone: { priority: 60, confidence: 0.8, enabled: true },
+  existing_conversation: { priority: 40, confidence: 0.7, enabled: true }
+};
+
+const matchers = new Map();
+
+function registerMatcher(matcher) {
+  if (!matcher?.name || typeof matcher.match !== 'function') {
+    throw new Error('Matcher requires a name and a match() function');
+  }
+  matchers.set(matcher.name, matcher);
+}
+
+function loadMatcherConfig() {
+  let overrides = {};
+  if (process.env.ATTRIBUTION_MATCHERS) {
+    try {
+      overrides = JSON.parse(process.env.ATTRIBUTION_MATCHERS);
+    } catch (err) {
+      console.warn('⚠️ Invalid ATTRIBUTION_MATCHERS config, using defaults:', err.message);
+    }
+  }
+
+  const config = {};
+  for (const name of matchers.keys()) {
+    config[name] = {
+      ...DEFAULT_MATCHER_CONFIG[name],
+      ...overrides[name]
+    };
+  }
+  return config;
+}
+
+// Enabled matchers sorted by configured priority
+function getActiveMatchers() {
+  const config = loadMatcherConfig();
+
+  return [...matchers.values()]
+    .map(matcher => ({
+      ...matcher,
+      priority: config[matcher.name]?.priority ?? 0,
+      confidence: config[matcher.name]?.confidence ?? 0,
+      enabled: config[matcher.name]?.enabled !== false
+    }))
+    .filter(matcher => matcher.enabled)
+    .sort((a, b) => b.priority - a.priority);
+}
+
+// Click-to-message matching config - window, minimum score and tie margin
+function getClickMatchConfig() {
+  return {
+    windowMinutes: numberFromEnv('ATTRIBUTION_WINDOW_MINUTES', 5),
+    scoreThreshold: numberFromEnv('ATTRIBUTION_SCORE_THRESHOLD', 0.35),
+    tieMargin: numberFromEnv('ATTRIBUTION_TIE_MARGIN', 0.05)
+  };
+}
+
+function numberFromEnv(name, fallback) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && !Number.isNaN(value) ? value : fallback;
+}
+
+// Relative weight of each signal in a candidate's score
+const SCORE_WEIGHTS = {
+  refCode: 1.0,
+  latency: 0.5,
+  message: 0.3,
+  device: 0.2
+};
+
+// Browser timezones we commonly see, mapped to WhatsApp country calling codes
+const TIMEZONE_CALLING_CODES = {
+  'Asia/Kolkata': '91',
+  'Asia/Calcutta': '91',
+  'Asia/Dubai': '971',
+  'Asia/Singapore': '65',
+  'Europe/London': '44',
+  'America/New_York': '1',
+  'America/Chicago': '1',
+  'America/Los_Angeles': '1',
+  'Australia/Sydney': '61'
+};
+
+// Short human-friendly reference code that front_end.js appends to the
+// prefilled message, e.g. "Hello! [ref: AH7K2]". Ambiguous characters
+// (0/O, 1/I) are left out so visitors can't mangle it by hand.
+const REF_CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const REF_CODE_LENGTH = 5;
+const REF_CODE_PATTERN = /\s*\[ref:\s*([2-9A-HJ-NP-Z]{5})\]/i;
+
+// HMAC of the session ID under the ref code secret (REF_CODE_SECRET, or the
+// Secrets Manager value the server loads at startup). Without one the code is
+// a plain hash anyone can compute - production refuses to start that way.
+let refCodeSecret = process.env.REF_CODE_SECRET || null;
+
+function setRefCodeSecret(secret) {
+  refCodeSecret = secret || null;
+}
+
+function generateRefCode(sessionId) {
+  if (!sessionId) return null;
+
+  const secret = refCodeSecret;
+  const digest = secret
+    ? crypto.createHmac('sha256', secret).update(String(sessionId)).digest()
+    : crypto.createHash('sha256').update(String(sessionId)).digest();
+
+  let code = '';
+  for (let i = 0; i < REF_CODE_LENGTH; i++) {
+    code += REF_CODE_ALPHABET[digest[i] % REF_CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+// Session ID + ref code handed to the snippet before the visitor clicks
+// (GET /click-session), so it can open WhatsApp straight away with a code
+// the server can check
+function issueClickSession() {
+  const sessionId = `wa-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`;
+  return { session_id: sessionId, ref_code: generateRefCode(sessionId) };
+}
+
+// Always re-derived from the session ID, never read from the click - so a code
+// a client made up, or one left over from a rotated secret, doesn't match
+function verifyRefCode(click, refCode) {
+  const expected = generateRefCode(click._id.toString());
+  if (!expected || !refCode || refCode.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(refCode.toUpperCase()));
+}
+
+function extractRefCode(text) {
+  const match = (text || '').match(REF_CODE_PATTERN);
+  return match ? match[1].toUpperCase() : null;
+}
+
+function stripRefCode(text) {
+  return text ? text.replace(REF_CODE_PATTERN, '').trim() : text;
+}
+
+// Clicks sent to the receiving number, plus untagged clicks from before channels existed
+function channelFilter(channelNumber) {
+  return channelNumber ? { channel_number: { $in: [channelNumber, null] } } : {};
+}
+
+// Only WhatsApp CTAs open a chat - a call or form click can't have produced the message
+// (clicks stored before CTA tracking have no cta_channel)
+const WHATSAPP_CTA_FILTER = { cta_channel: { $in: ['whatsapp', null] } };
+
+// A bot's click must never take credit for a real visitor's message
+const HUMAN_CLICK_FILTER = { is_suspicious: { $ne: true } };
+
+function getMessageTime(event) {
+  const seconds = Number(event.whatsapp?.timestamp);
+  return seconds ? new Date(seconds * 1000) : new Date();
+}
+
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Score how likely it is that this click produced the incoming message
+function scoreClickCandidate(click, { messageTime, messageText, refCode, senderPhone }) {
+  const hints = click.client_hints || {};
+  let score = 0;
+
+  // Reference code: decisive when present, disqualifying when it belongs to another session
+  if (refCode) {
+    score += verifyRefCode(click, refCode) ? SCORE_WEIGHTS.refCode : -SCORE_WEIGHTS.refCode;
+  }
+
+  // Latency: desktop clicks go through WhatsApp Web/Desktop and take longer to send
+  const clickTime = new Date(click.click_time || click.timestamp);
+  const latencySeconds = Math.max(0, (messageTime - clickTime) / 1000);
+  const expectedSeconds = hints.mobile === false ? 180 : 60;
+  score += SCORE_WEIGHTS.latency * Math.exp(-latencySeconds / expectedSeconds);
+
+  // Prefilled text: the visitor usually sends the message we put in the box
+  if (click.prefilled_message && messageText) {
+    const prefilled = normalizeText(click.prefilled_message);
+    const text = normalizeText(stripRefCode(messageText));
+    if (text === prefilled) {
+      score += SCORE_WEIGHTS.message;
+    } else if (prefilled && text.startsWith(prefilled)) {
+      score += SCORE_WEIGHTS.message / 2;
+    }
+  }
+
+  // Device hints: browser timezone should agree with the sender's country code
+  const callingCode = TIMEZONE_CALLING_CODES[hints.timezone];
+  if (callingCode && senderPhone) {
+    const phone = senderPhone.replace(/\D/g, '');
+    score += phone.startsWith(callingCode) ? SCORE_WEIGHTS.device : -SCORE_WEIGHTS.device;
+  }
+
+  return score;
+}
+
+// Matcher 1: Context parameter (base64 JSON sent by front_end.js)
+// The only matcher that doesn't look clicks up: the context travels inside the
+// visitor's own message, so there is no bot click to pick by mistake.
+registerMatcher({
+  name: 'context',
+  attribution: 'context',
+  async match({ event }) {
+    if (!event.context) return null;
+
+    try {
+      const context = JSON.parse(Buffer.from(event.context, 'base64').toString());
+      if (context?.session_id) {
+        return {
+          sessionId: context.session_id,
+          utmData: context,
+          candidates: [context.session_id]
+        };
+      }
+    } catch (err) {
+      console.warn('⚠️ Invalid context format:', err);
+    }
+    return null;
+  }
+});
+
+// Matcher 2: Reference code embedded in the message text
+registerMatcher({
+  name: 'ref_code',
+  attribution: 'ref_code',
+  async match({ event, messageContent }) {
+    const refCode = extractRefCode(messageContent);
+    if (!refCode) return null;
+
+    // Codes expire - REF_CODE_MAX_AGE_HOURS after the click (default 72)
+    const maxAgeMs = numberFromEnv('REF_CODE_MAX_AGE_HOURS', 72) * 60 * 60 * 1000;
+    const clicks = await UtmClick.find({
+      ...HUMAN_CLICK_FILTER,
+      ref_code: refCode,
+      timestamp: { $gte: new Date(getMessageTime(event).getTime() - maxAgeMs) }
+    })
+      .sort({ timestamp: -1 })
+      .limit(5);
+
+    // Codes are short, so verify them to rule out stale collisions
+    const verified = clicks.filter(click => verifyRefCode(click, refCode));
+    const click = verified.find(c => !c.hasEngaged) || verified[0];
+
+    if (!click) {
+      console.warn(`⚠️ Unknown reference code: ${refCode}`);
+      return { sessionId: null, candidates: [], reason: 'unknown_ref_code' };
+    }
+
+    return {
+      sessionId: click._id.toString(),
+      utmData: click.toObject(),
+      candidates: verified.map(c => c._id.toString())
+    };
+  }
+});
+
+// Matcher 3: Probabilistic click-to-message scoring over the recent window
+registerMatcher({
+  name: 'recent_click',
+  attribution: 'probabilistic_match',
+  async match({ event, messageContent, normalizedPhone, channelNumber }) {
+    const { windowMinutes, scoreThreshold, tieMargin } = getClickMatchConfig();
+
+    const messageTime = getMessageTime(event);
+    const windowStart = new Date(messageTime.getTime() - windowMinutes * 60 * 1000);
+
+    const recentClicks = await UtmClick.find({
+      ...channelFilter(channelNumber),
+      ...WHATSAPP_CTA_FILTER,
+      ...HUMAN_CLICK_FILTER,
+      hasEngaged: false,
+      timestamp: { $gte: windowStart, $lte: messageTime }
+    })
+    .sort({ timestamp: -1 })
+    .limit(50);
+
+    if (recentClicks.length === 0) return null;
+
+    const signals = {
+      messageTime,
+      messageText: messageContent,
+      refCode: extractRefCode(messageContent),
+      senderPhone: normalizedPhone || ''
+    };
+
+    const scored = recentClicks
+      .map(click => ({ click, score: scoreClickCandidate(click, signals) }))
+      .sort((a, b) => b.score - a.score);
+
+    const candidates = scored.map(({ click }) => click._id.toString());
+    const [best, runnerUp] = scored;
+
+    console.log('🔍 Click candidates:', scored.map(({ click, score }) => `${click._id}=${score.toFixed(3)}`).join(', '));
+
+    if (best.score < scoreThreshold) {
+      return { sessionId: null, candidates, reason: 'below_threshold' };
+    }
+
+    // Refuse to guess between two equally likely visitors
+    if (runnerUp && best.score - runnerUp.score < tieMargin) {
+      console.warn(`⚠️ Ambiguous click match between ${best.click._id} and ${runnerUp.click._id}`);
+      return { sessionId: null, candidates, reason: 'tie' };
+    }
+
+    return {
+      sessionId: best.click._id.toString(),
+      utmData: best.click.toObject(),
+      candidates,
+      confidence: Math.min(1, Number(best.score.toFixed(3)))
+    };
+  }
+});
+
+// Matcher 4: Phone number (if available in click records)
+registerMatcher({
+  name: 'phone',
+  attribution: 'phone_match',
+  async match({ normalizedPhone, channelNumber }) {
+    if (!normalizedPhone) return null;
+
+    const phoneMatch = await UtmClick.findOne({
+      ...channelFilter(channelNumber),
+      ...WHATSAPP_CTA_FILTER,
+      ...HUMAN_CLICK_FILTER,
+      phoneNumber: { $in: phoneLookupValues(normalizedPhone) },
+      hasEngaged: false
+    })
+    .sort({ timestamp: -1 })
+    .limit(1);
+
+    if (!phoneMatch) return null;
+
+    return {
+      sessionId: phoneMatch._id.toString(),
+      utmData: phoneMatch.toObject(),
+      candidates: [phoneMatch._id.toString()]
+    };
+  }
+});
+
+// Matcher 5: Existing direct conversation
+registerMatcher({
+  name: 'existing_conversation',
+  attribution: 'existing_direct',
+  async match({ conversationId }) {
+    if (!conversationId) return null;
+
+    const existingDirect = await UtmClick.findOne({
+      conversationId: conversationId,
+      source: 'direct_message'
+    });
+
+    if (!existingDirect) return null;
+
+    return {
+      sessionId: existingDirect._id.toString(),
+      utmData: existingDirect.toObject(),
+      candidates: [existingDirect._id.toString()]
+    };
+  }
+});
+
+// Run matchers in priority order and record every attempt for auditing
+async function resolveAttribution(ctx) {
+  const tried = [];
+
+  for (const matcher of getActiveMatchers()) {
+    let result = null;
+
+    try {
+      result = await matcher.match(ctx);
+    } catch (err) {
+      console.error(`❌ Matcher ${matcher.name} failed:`, err.message);
+      tried.push({ matcher: matcher.name, matched: false, candidates: [], error: err.message });
+      continue;
+    }
+
+    const candidates = result?.candidates || [];
+    tried.push({
+      matcher: matcher.name,
+      matched: Boolean(result?.sessionId),
+      candidates,
+      ...(result?.reason && { reason: result.reason })
+    });
+
+    if (result?.sessionId) {
+      console.log(`✅ ${matcher.name} match: ${result.sessionId}`);
+      return {
+        matched: true,
+        sessionId: result.sessionId,
+        utmData: result.utmData,
+        attribution: matcher.attribution,
+        decision: {
+          matcher: matcher.name,
+          confidence: result.confidence ?? matcher.confidence,
+          tried,
+          candidateIds: candidates,
+          decidedAt: new Date()
+        }
+      };
+    }
+  }
+
+  return {
+    matched: false,
+    decision: {
+      matcher: null,
+      confidence: 0,
+      tried,
+      candidateIds: [],
+      decidedAt: new Date()
+    }
+  };
+}
+
+module.exports = {
+  resolveAttribution,
+  registerMatcher,
+  getActiveMatchers,
+  setRefCodeSecret,
+  generateRefCode,
+  issueClickSession,
+  stripRefCode
+};
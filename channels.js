@@ -0,0 +1,126 @@
+const { Channel } = require('./db');
+require('dotenv').config();
+
+// Channel registry
+// Every WhatsApp number we receive webhooks for maps to a brand with its own
+// Gallabox credentials, Sheets destination and direct-message policy. The number in
+// WHATSAPP_NUMBER keeps working without a registry entry (legacy channel).
+
+const CHANNEL_CACHE_TTL_MS = 60 * 1000;
+const DIRECT_MESSAGE_POLICIES = ['store', 'ignore'];
+
+class ChannelError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ChannelError';
+    this.statusCode = statusCode;
+  }
+}
+
+const normalizeNumber = (number) => String(number || '').replace(/\D/g, '');
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Env-configured channel used before the registry existed
+function getLegacyChannel() {
+  return {
+    _id: normalizeNumber(process.env.WHATSAPP_NUMBER || '919137279145'),
+    brand: process.env.DEFAULT_BRAND || 'american-hairline',
+    name: 'American Hairline',
+    gallaboxToken: process.env.GALLABOX_TOKEN || null,
+    gallaboxTokenSecret: 'utm-tracker/gallabox-token',
+    webhookSecrets: splitList(process.env.GALLABOX_WEBHOOK_SECRETS),
+    webhookSecretsSecret: process.env.GALLABOX_WEBHOOK_SECRETS ? null : 'utm-tracker/gallabox-webhook-secrets',
+    sheets: { spreadsheetId: null, sheetName: null },
+    directMessagePolicy: process.env.STORE_DIRECT_MESSAGES === 'true' ? 'store' : 'ignore',
+    active: true,
+    legacy: true
+  };
+}
+
+let channelCache = { channels: null, expiresAt: 0 };
+
+async function listChannels() {
+  if (channelCache.channels && channelCache.expiresAt > Date.now()) {
+    return channelCache.channels;
+  }
+
+  const registered = await Channel.find({ active: true }).lean();
+  const legacy = getLegacyChannel();
+  const channels = registered.some(c => c._id === legacy._id)
+    ? registered
+    : [...registered, legacy];
+
+  channelCache = { channels, expiresAt: Date.now() + CHANNEL_CACHE_TTL_MS };
+  return channels;
+}
+
+async function getChannel(number) {
+  const channelNumber = normalizeNumber(number);
+  if (!channelNumber) return null;
+
+  const channels = await listChannels();
+  return channels.find(channel => channel._id === channelNumber) || null;
+}
+
+function validateChannel(number, data = {}) {
+  const channelNumber = normalizeNumber(number);
+  if (channelNumber.length < 8) {
+    throw new ChannelError('Channel number must include the country code');
+  }
+  if (!data.brand) {
+    throw new ChannelError('brand is required');
+  }
+
+  const policy = data.directMessagePolicy || 'ignore';
+  if (!DIRECT_MESSAGE_POLICIES.includes(policy)) {
+    throw new ChannelError(`directMessagePolicy must be one of: ${DIRECT_MESSAGE_POLICIES.join(', ')}`);
+  }
+
+  return {
+    brand: String(data.brand),
+    name: data.name ? String(data.name) : String(data.brand),
+    gallaboxToken: data.gallaboxToken ? String(data.gallaboxToken) : null,
+    gallaboxTokenSecret: data.gallaboxTokenSecret ? String(data.gallaboxTokenSecret) : null,
+    webhookSecrets: Array.isArray(data.webhookSecrets) ? data.webhookSecrets.map(String).filter(Boolean) : [],
+    webhookSecretsSecret: data.webhookSecretsSecret ? String(data.webhookSecretsSecret) : null,
+    sheets: {
+      spreadsheetId: data.sheets?.spreadsheetId ? String(data.sheets.spreadsheetId) : null,
+      sheetName: data.sheets?.sheetName ? String(data.sheets.sheetName) : null
+    },
+    directMessagePolicy: policy,
+    active: data.active !== false
+  };
+}
+
+async function upsertChannel(number, data) {
+  const channelNumber = normalizeNumber(number);
+  const channel = await Channel.findByIdAndUpdate(
+    channelNumber,
+    validateChannel(channelNumber, data),
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  channelCache = { channels: null, expiresAt: 0 };
+  console.log(`📱 Channel registry updated: ${channelNumber} (${channel.brand})`);
+  return channel;
+}
+
+// Registry entries without secrets, for the API
+function toPublicChannel({ gallaboxToken, webhookSecrets = [], ...channel }) {
+  return {
+    ...channel,
+    hasGallaboxToken: Boolean(gallaboxToken || channel.gallaboxTokenSecret),
+    webhookSecretCount: webhookSecrets.length
+  };
+}
+
+module.exports = {
+  ChannelError,
+  normalizeNumber,
+  splitList,
+  listChannels,
+  getChannel,
+  upsertChannel,
+  toPublicChannel
+};
@@ -0,0 +1,117 @@
+const { getAllowedOrigins } = require('./sites');
+
+// /store-click abuse protection
+// Origin allowlist from the site registry, per-IP and per-session rate limits,
+// and bot / headless browser heuristics. Rate limits are in memory, so they
+// apply per instance.
+
+const DEFAULT_IP_LIMIT = 60;       // clicks per IP per window
+const DEFAULT_SESSION_LIMIT = 5;   // posts per session_id per window
+// /click-session is hit on every page view, not only on clicks - its own, larger
+// budget keeps visitors behind one NAT from using up the click limit
+const DEFAULT_SESSION_ISSUE_LIMIT = 600; // issued sessions per IP per window
+const DEFAULT_WINDOW_SECONDS = 60;
+const MAX_TRACKED_KEYS = 50000;
+
+const BOT_USER_AGENT = /bot\b|crawl|spider|slurp|facebookexternalhit|lighthouse|pingdom|uptime|curl\/|wget\/|python-requests|python-urllib|aiohttp|httpclient|okhttp|axios\/|node-fetch|undici|go-http-client|java\/|libwww|scrapy/i;
+const HEADLESS_USER_AGENT = /headless|phantomjs|puppeteer|playwright|selenium|webdriver|electron\//i;
+
+function readLimit(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? Math.floor(value) : fallback;
+}
+
+// Fixed-window counter per key
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+
+  return {
+    hit(key) {
+      const now = Date.now();
+
+      // Drop expired windows before the map grows unbounded
+      if (windows.size > MAX_TRACKED_KEYS) {
+        for (const [storedKey, window] of windows) {
+          if (window.resetAt <= now) windows.delete(storedKey);
+        }
+      }
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+
+      return {
+        allowed: window.count <= limit,
+        retryAfterSeconds: Math.ceil((window.resetAt - now) / 1000)
+      };
+    }
+  };
+}
+
+const windowMs = readLimit('STORE_CLICK_RATE_WINDOW_SECONDS', DEFAULT_WINDOW_SECONDS) * 1000;
+const ipLimiter = createRateLimiter({ limit: readLimit('STORE_CLICK_IP_LIMIT', DEFAULT_IP_LIMIT), windowMs });
+const sessionLimiter = createRateLimiter({ limit: readLimit('STORE_CLICK_SESSION_LIMIT', DEFAULT_SESSION_LIMIT), windowMs });
+const sessionIssueLimiter = createRateLimiter({ limit: readLimit('CLICK_SESSION_IP_LIMIT', DEFAULT_SESSION_ISSUE_LIMIT), windowMs });
+
+// Returns the limit that was exceeded, or null
+function checkRateLimits(ip, sessionId) {
+  const byIp = ipLimiter.hit(ip || 'unknown');
+  if (!byIp.allowed) return { scope: 'ip', retryAfterSeconds: byIp.retryAfterSeconds };
+
+  if (sessionId) {
+    const bySession = sessionLimiter.hit(sessionId);
+    if (!bySession.allowed) return { scope: 'session', retryAfterSeconds: bySession.retryAfterSeconds };
+  }
+  return null;
+}
+
+// Same shape as checkRateLimits, for GET /click-session
+function checkSessionIssueLimit(ip) {
+  const byIp = sessionIssueLimiter.hit(ip || 'unknown');
+  return byIp.allowed ? null : { scope: 'ip', retryAfterSeconds: byIp.retryAfterSeconds };
+}
+
+// A registered site's own list wins; otherwise the union of all sites' lists.
+// Nothing configured anywhere means origins are not restricted yet.
+async function isOriginAllowed(origin, site = null) {
+  const allowed = site?.allowedOrigins?.length > 0
+    ? new Set(site.allowedOrigins)
+    : await getAllowedOrigins();
+
+  if (allowed.size === 0) return true;
+  return Boolean(origin) && allowed.has(origin);
+}
+
+// Heuristics that mark a click as likely non-human - flagged, not rejected
+function detectSuspiciousClick(req, body) {
+  const reasons = [];
+  const userAgent = req.headers['user-agent'] || '';
+  const hints = body.client_hints || {};
+
+  if (!userAgent) {
+    reasons.push('missing_user_agent');
+  } else if (HEADLESS_USER_AGENT.test(userAgent)) {
+    reasons.push('headless_user_agent');
+  } else if (BOT_USER_AGENT.test(userAgent)) {
+    reasons.push('bot_user_agent');
+  }
+
+  if (hints.webdriver === true) reasons.push('webdriver');
+  if (hints.user_agent && userAgent && hints.user_agent !== userAgent) reasons.push('user_agent_mismatch');
+  if (!req.headers.origin) reasons.push('missing_origin');
+
+  const viewport = hints.viewport || {};
+  if (viewport.width === 0 || viewport.height === 0) reasons.push('zero_viewport');
+
+  return reasons;
+}
+
+module.exports = {
+  checkRateLimits,
+  checkSessionIssueLimit,
+  isOriginAllowed,
+  detectSuspiciousClick
+};
@@ -0,0 +1,277 @@
+// Click payload normalization
+// Turns the loosely-typed /store-click body into the typed fields stored on UtmClick.
+
+// Ad platform click identifiers we store as first-class fields
+const CLICK_ID_PARAMS = ['fbclid', 'gclid', 'wbraid', 'gbraid', 'ttclid', 'msclkid'];
+
+const MAX_FIELD_LENGTH = 1000;
+// Where a tracked call-to-action leads (data-utm-track / site CTA config)
+const CTA_CHANNELS = ['whatsapp', 'call', 'form', 'telegram'];
+// Consent the snippet found on the page, and where it came from
+const CONSENT_STATES = ['granted', 'denied', 'unknown'];
+const CONSENT_SOURCES = ['tcf', 'cmp', 'flag', 'none'];
+// Payload fields that identify the visitor, their device or their ad click
+const IDENTIFYING_PAYLOAD_FIELDS = [
+  'original_params', 'click_ids', 'first_touch', 'last_touch', 'cookies',
+  'referrer', 'visitor_id', 'full_url', 'client_hints', 'gallabox_id'
+];
+// The same data once stored on a UtmClick
+const IDENTIFYING_CLICK_FIELDS = [
+  'original_params', 'click_ids', 'first_touch', 'last_touch', 'fbp', 'fbc',
+  'referrer', 'visitor_id', 'full_url', 'client_hints', 'viewport'
+];
+// Clicks per batched beacon from the snippet's offline queue
+const MAX_BATCH_SIZE = 20;
+// Queued clicks older than this are stored as received now
+const MAX_CLICK_DELAY_MS = 7 * 24 * 60 * 60 * 1000;
+
+class ClickValidationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ClickValidationError';
+    this.statusCode = statusCode;
+  }
+}
+
+// =============================================
+// Request schema
+// =============================================
+
+// Snippet-generated IDs: "wa-<ms>-<uuid prefix>"; other integrations may use UUIDs
+const SESSION_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{7,99}$/;
+// Issued with the session ID by GET /click-session; the server re-derives it either way
+const REF_CODE_FORMAT = /^[2-9A-HJ-NP-Z]{5}$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const optional = (check) => (value) => value === undefined || value === null || check(value);
+const string = (maxLength) => (value) => typeof value === 'string' && value.length <= maxLength;
+const stringMap = (maxKeys, maxLength) => (value) => isPlainObject(value) &&
+  Object.keys(value).length <= maxKeys &&
+  Object.values(value).every(item => item === null || (['string', 'number', 'boolean'].includes(typeof item) && String(item).length <= maxLength));
+const object = (fields) => (value) => isPlainObject(value) &&
+  Object.entries(value).every(([key, item]) => fields[key] && fields[key](item));
+
+const touchSchema = optional(object({
+  source: optional(string(200)),
+  medium: optional(string(200)),
+  campaign: optional(string(200)),
+  content: optional(string(200)),
+  placement: optional(string(200)),
+  click_ids: optional(stringMap(CLICK_ID_PARAMS.length, 500)),
+  params: optional(stringMap(50, 500)),
+  search: optional(string(2000)),
+  landing_path: optional(string(1000)),
+  referrer: optional(string(2000)),
+  captured_at: optional(string(40)),
+  expires_at: optional(Number.isFinite)
+}));
+
+// Every field /store-click accepts - anything else is rejected
+const CLICK_PAYLOAD_SCHEMA = {
+  session_id: (value) => typeof value === 'string' && SESSION_ID_PATTERN.test(value),
+  ref_code: optional((value) => typeof value === 'string' && REF_CODE_FORMAT.test(value)),
+  cta_id: optional(string(100)),
+  cta_channel: optional((value) => CTA_CHANNELS.includes(value)),
+  source: optional(string(200)),
+  medium: optional(string(200)),
+  campaign: optional(string(200)),
+  content: optional(string(200)),
+  placement: optional(string(200)),
+  gallabox_id: optional(string(200)),
+  original_params: optional(stringMap(50, 500)),
+  click_ids: optional(stringMap(CLICK_ID_PARAMS.length, 500)),
+  first_touch: touchSchema,
+  last_touch: touchSchema,
+  cookies: optional(stringMap(4, 500)),
+  referrer: optional(string(2000)),
+  landing_path: optional(string(1000)),
+  site_id: optional(string(100)),
+  snippet_version: optional(string(50)),
+  visitor_id: optional(string(100)),
+  full_url: optional(string(2000)),
+  prefilled_message: optional(string(MAX_FIELD_LENGTH)),
+  click_time: optional(string(40)),
+  sent_at: optional(string(40)),
+  consent_state: optional((value) => CONSENT_STATES.includes(value)),
+  consent_source: optional((value) => CONSENT_SOURCES.includes(value)),
+  tcf_string: optional(string(4000)),
+  client_hints: optional(object({
+    user_agent: optional(string(1000)),
+    platform: optional(string(100)),
+    mobile: optional((value) => typeof value === 'boolean'),
+    language: optional(string(50)),
+    timezone: optional(string(100)),
+    webdriver: optional((value) => typeof value === 'boolean'),
+    viewport: optional(object({
+      width: optional(Number.isFinite),
+      height: optional(Number.isFinite)
+    }))
+  }))
+};
+
+function validateClickPayload(body) {
+  if (!isPlainObject(body)) {
+    throw new ClickValidationError('Request body must be a JSON object');
+  }
+
+  const unknown = Object.keys(body).filter(key => !CLICK_PAYLOAD_SCHEMA[key]);
+  if (unknown.length > 0) {
+    throw new ClickValidationError(`Unknown field(s): ${unknown.join(', ')}`);
+  }
+
+  const invalid = Object.entries(CLICK_PAYLOAD_SCHEMA)
+    .filter(([key, check]) => !check(body[key]))
+    .map(([key]) => key);
+  if (invalid.length > 0) {
+    throw new ClickValidationError(`Invalid field(s): ${invalid.join(', ')}`);
+  }
+
+  return body;
+}
+
+// One click, or { clicks: [...] } from the snippet's offline queue. Beacons
+// arrive as text/plain (no CORS preflight), so the body may still be a string.
+function parseClickBatch(body) {
+  let parsed = body;
+  if (typeof body === 'string') {
+    try {
+      parsed = JSON.parse(body);
+    } catch (err) {
+      throw new ClickValidationError('Request body must be JSON');
+    }
+  }
+
+  if (!isPlainObject(parsed) || !('clicks' in parsed)) {
+    return { batch: false, clicks: [parsed] };
+  }
+  if (!Array.isArray(parsed.clicks) || parsed.clicks.length === 0 || Object.keys(parsed).length > 1) {
+    throw new ClickValidationError('Batch body must be { clicks: [...] }');
+  }
+  if (parsed.clicks.length > MAX_BATCH_SIZE) {
+    throw new ClickValidationError(`At most ${MAX_BATCH_SIZE} clicks per batch`, 413);
+  }
+  return { batch: true, clicks: parsed.clicks };
+}
+
+// When the visitor actually clicked. A queued click arrives late: step back
+// from the receive time by how long the snippet held it (both times come from
+// the browser clock, so its skew cancels out).
+function resolveClickTime(body, receivedAt = new Date()) {
+  const delay = Date.parse(body.sent_at) - Date.parse(body.click_time);
+  if (!Number.isFinite(delay) || delay < 0 || delay > MAX_CLICK_DELAY_MS) {
+    return receivedAt;
+  }
+  return new Date(receivedAt.getTime() - delay);
+}
+
+// =============================================
+// Consent
+// =============================================
+
+// Consent recorded on the click. No signal on the page ("unknown") only
+// counts as consent where the site doesn't require it.
+function resolveConsent(body, { required = false } = {}) {
+  return {
+    state: body.consent_state || 'unknown',
+    source: body.consent_source || 'none',
+    required,
+    tcf_string: body.consent_state ? cleanString(body.tcf_string, 4000) : null
+  };
+}
+
+// Whether identifiers may be kept, exported and sent to ad platforms.
+// Clicks stored before consent tracking carry no consent and count as granted.
+function hasTrackingConsent(click) {
+  const consent = click?.consent;
+  if (!consent?.state) return true;
+  return consent.state === 'granted' || (consent.state === 'unknown' && !consent.required);
+}
+
+// Campaign-level payload only - what the snippet sends without consent
+function withoutIdentifiers(body) {
+  return Object.fromEntries(Object.entries(body).filter(([key]) => !IDENTIFYING_PAYLOAD_FIELDS.includes(key)));
+}
+
+// Stored click with its identifiers blanked, for exports
+function redactClick(click) {
+  return { ...click, ...Object.fromEntries(IDENTIFYING_CLICK_FIELDS.map(field => [field, null])) };
+}
+
+// =============================================
+// Normalization
+// =============================================
+
+function cleanString(value, maxLength = MAX_FIELD_LENGTH) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+function cleanNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? Math.round(number) : null;
+}
+
+// Prefer the snippet's typed click_ids, fall back to raw query params from older snippets
+function extractClickIds(body = {}) {
+  const typed = body.click_ids || {};
+  const params = body.original_params || {};
+
+  return Object.fromEntries(
+    CLICK_ID_PARAMS.map(name => [name, cleanString(typed[name] || params[name])])
+  );
+}
+
+// Referrer, landing page, cookies & viewport captured by the snippet
+function extractLandingContext(body = {}) {
+  const cookies = body.cookies || {};
+  const viewport = body.client_hints?.viewport || {};
+
+  return {
+    referrer: cleanString(body.referrer),
+    landing_path: cleanString(body.landing_path),
+    fbp: cleanString(cookies.fbp || cookies._fbp),
+    fbc: cleanString(cookies.fbc || cookies._fbc),
+    viewport: {
+      width: cleanNumber(viewport.width),
+      height: cleanNumber(viewport.height)
+    }
+  };
+}
+
+// First/last-touch campaign parameters remembered by the snippet across page views
+function extractTouch(touch) {
+  if (!touch || typeof touch !== 'object') return null;
+
+  const capturedAt = touch.captured_at ? new Date(touch.captured_at) : null;
+
+  return {
+    source: cleanString(touch.source),
+    medium: cleanString(touch.medium),
+    campaign: cleanString(touch.campaign),
+    content: cleanString(touch.content),
+    placement: cleanString(touch.placement),
+    click_ids: extractClickIds({ click_ids: touch.click_ids, original_params: touch.params }),
+    params: touch.params && typeof touch.params === 'object' ? touch.params : {},
+    landing_path: cleanString(touch.landing_path),
+    referrer: cleanString(touch.referrer),
+    captured_at: capturedAt && !Number.isNaN(capturedAt.getTime()) ? capturedAt : null
+  };
+}
+
+module.exports = {
+  CLICK_ID_PARAMS,
+  CTA_CHANNELS,
+  ClickValidationError,
+  validateClickPayload,
+  parseClickBatch,
+  resolveClickTime,
+  resolveConsent,
+  hasTrackingConsent,
+  withoutIdentifiers,
+  redactClick,
+  cleanString,
+  extractClickIds,
+  extractLandingContext,
+  extractTouch
+};
@@ -0,0 +1,217 @@
+const { UtmClick, ConversionEvent } = require('./db');
+const { queueAdPlatformEvents } = require('./ad-platforms');
+const { normalizePhone, toE164, phoneLookupValues } = require('./phone');
+require('dotenv').config();
+
+// Conversion events
+// Lifecycle stages after the first WhatsApp message (consultation, visit,
+// purchase...). Each event is credited to the contact's original engaged
+// click so campaign revenue lines up with the campaign that brought them in.
+
+const DEFAULT_STAGES = ['lead', 'consultation_booked', 'visit', 'purchase'];
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'INR';
+
+class ConversionError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ConversionError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Ordered funnel stages - override with CONVERSION_STAGES (comma separated)
+function getStages() {
+  const configured = (process.env.CONVERSION_STAGES || '')
+    .split(',')
+    .map(stage => stage.trim())
+    .filter(Boolean);
+  return configured.length > 0 ? configured : DEFAULT_STAGES;
+}
+
+// Gallabox tag/label → stage mapping from GALLABOX_TAG_STAGES (JSON), e.g.
+// {"Consultation Booked":"consultation_booked","Purchased":{"stage":"purchase","value":45000}}
+function getTagStageMapping() {
+  if (!process.env.GALLABOX_TAG_STAGES) return {};
+
+  try {
+    return JSON.parse(process.env.GALLABOX_TAG_STAGES);
+  } catch (err) {
+    console.warn('⚠️ Invalid GALLABOX_TAG_STAGES config:', err.message);
+    return {};
+  }
+}
+
+// The contact's first engaged click is the one that gets the credit. With a
+// channel number only clicks that engaged on that channel are considered.
+async function findOriginalClick({ phoneNumber, contactId, conversationId, channelNumber }) {
+  const filters = [];
+  if (phoneNumber) filters.push({ phoneNumber: { $in: phoneLookupValues(phoneNumber) } });
+  if (contactId) filters.push({ contactId });
+  if (conversationId) filters.push({ conversationId });
+  if (filters.length === 0) return null;
+
+  return UtmClick.findOne({
+    $or: filters,
+    hasEngaged: true,
+    ...(channelNumber && { channel_number: channelNumber })
+  }).sort({ engagedAt: 1 });
+}
+
+// Check and normalize one conversion without writing anything - throws a
+// ConversionError for bad input, so a batch can be checked before any of it is recorded
+function validateConversion(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ConversionError('Each conversion must be an object');
+  }
+
+  const stages = getStages();
+  const stage = String(input.stage || '').trim();
+
+  if (!stages.includes(stage)) {
+    throw new ConversionError(`Unknown stage "${stage}" - expected one of: ${stages.join(', ')}`);
+  }
+
+  const phone = normalizePhone(input.phoneNumber || input.phone);
+  if (phone.raw && !phone.valid) {
+    throw new ConversionError(`Invalid phone number: ${phone.raw}`);
+  }
+
+  const phoneNumber = phone.e164;
+  const contactId = input.contactId || null;
+  const conversationId = input.conversationId || null;
+  if (!phoneNumber && !contactId && !conversationId) {
+    throw new ConversionError('A phoneNumber, contactId or conversationId is required');
+  }
+
+  const value = input.value === undefined || input.value === null ? 0 : Number(input.value);
+  if (Number.isNaN(value) || value < 0) {
+    throw new ConversionError('value must be a non-negative number');
+  }
+
+  const occurredAt = input.occurredAt ? new Date(input.occurredAt) : new Date();
+  if (Number.isNaN(occurredAt.getTime())) {
+    throw new ConversionError(`Invalid occurredAt: ${input.occurredAt}`);
+  }
+
+  return { stage, phone, phoneNumber, contactId, conversationId, value, occurredAt };
+}
+
+async function recordConversion(input) {
+  const stages = getStages();
+  const { stage, phone, phoneNumber, contactId, conversationId, value, occurredAt } = validateConversion(input);
+
+  // Retried deliveries with the same eventId are no-ops
+  if (input.eventId) {
+    const existing = await ConversionEvent.findOne({ eventId: input.eventId });
+    if (existing) {
+      return { status: 'duplicate', conversion: existing };
+    }
+  }
+
+  const click = await findOriginalClick({ phoneNumber, contactId, conversationId, channelNumber: input.channelNumber });
+
+  let conversion;
+  try {
+    conversion = await ConversionEvent.create({
+      eventId: input.eventId || null,
+      stage,
+      value,
+      currency: (input.currency || DEFAULT_CURRENCY).toUpperCase(),
+      occurredAt,
+      origin: input.origin || 'api',
+      phoneNumber,
+      phoneRaw: phone.raw,
+      contactId: contactId || click?.contactId || null,
+      conversationId: conversationId || click?.conversationId || null,
+      sessionId: click ? click._id.toString() : null,
+      source: click?.source || null,
+      medium: click?.medium || null,
+      campaign: click?.campaign || null,
+      content: click?.content || null,
+      placement: click?.placement || null,
+      metadata: input.metadata || {}
+    });
+  } catch (err) {
+    // A concurrent delivery of the same event got there first
+    if (err.code !== 11000 || !input.eventId) throw err;
+    return { status: 'duplicate', conversion: await ConversionEvent.findOne({ eventId: input.eventId }) };
+  }
+
+  if (click) {
+    // Furthest stage reached wins; value accumulates across events
+    const currentIndex = stages.indexOf(click.lifecycle_stage);
+    const update = {
+      $inc: { conversion_value: value, conversion_count: 1 },
+      $set: {
+        conversion_currency: conversion.currency,
+        last_conversion_at: occurredAt,
+        syncedToSheets: false,
+        ...(stages.indexOf(stage) > currentIndex && { lifecycle_stage: stage })
+      }
+    };
+    await UtmClick.findByIdAndUpdate(click._id, update);
+    console.log(`💰 Conversion ${stage} (${value} ${conversion.currency}) credited to ${click._id}`);
+
+    await queueAdPlatformEvents({
+      click,
+      stage,
+      eventTime: occurredAt,
+      value,
+      currency: conversion.currency,
+      dedupeKey: `conversion:${conversion.eventId || conversion._id}`,
+      conversionId: conversion._id.toString()
+    });
+  } else {
+    console.warn(`⚠️ Conversion ${stage} has no engaged click for ${phoneNumber || contactId || conversationId}`);
+  }
+
+  return { status: click ? 'attributed' : 'unattributed', conversion };
+}
+
+// Turn a Gallabox tag webhook into conversion events via the mapping. Only
+// the tags the event carries count - contact.tags lists everything the
+// contact already has, and would credit earlier stages again.
+async function recordGallaboxTagEvent(event, { channelNumber = null } = {}) {
+  const mapping = getTagStageMapping();
+  const rawTags = [
+    ...(event.tags || []),
+    ...(event.tag ? [event.tag] : [])
+  ];
+  const tags = rawTags.map(tag => (typeof tag === 'string' ? tag : tag?.name)).filter(Boolean);
+
+  const results = [];
+  for (const tag of tags) {
+    const target = mapping[tag];
+    if (!target) continue;
+
+    const { stage, value, currency } = typeof target === 'string' ? { stage: target } : target;
+    const contactId = event.contactId || event.contact?.id || null;
+    // Gallabox sends WhatsApp IDs - country code included, no "+"
+    const phoneNumber = toE164(event.contact?.phone || event.whatsapp?.from, { international: true });
+    // A tag counts once per contact (per channel), however many webhooks mention it
+    const contactKey = contactId || phoneNumber || event.conversationId;
+
+    results.push(await recordConversion({
+      stage,
+      value,
+      currency,
+      origin: 'gallabox_tag',
+      eventId: contactKey ? ['gallabox_tag', channelNumber, contactKey, tag].filter(Boolean).join(':') : null,
+      phoneNumber,
+      contactId,
+      conversationId: event.conversationId || null,
+      channelNumber,
+      metadata: { tag }
+    }));
+  }
+
+  return { tags, matched: results.length, results };
+}
+
+module.exports = {
+  ConversionError,
+  getStages,
+  validateConversion,
+  recordConversion,
+  recordGallaboxTagEvent
+};
@@ -0,0 +1,91 @@
+const { UtmClick } = require('./db');
+const { enqueueExports } = require('./export-queue');
+const { toE164, phoneLookupValues } = require('./phone');
+
+// Admin dashboard queries
+// Backs the /admin UI: recent activity, record lookup and manual Sheets re-sync.
+
+const LIST_FIELDS = [
+  'source', 'medium', 'campaign', 'content', 'placement',
+  'hasEngaged', 'phoneNumber', 'contactId', 'conversationId', 'contactName',
+  'attribution_source', 'timestamp', 'engagedAt', 'syncedToSheets', 'lastSynced'
+].join(' ');
+
+// Phone, contactId, conversationId or session ID lookup. A phone matches as a
+// whole number, or as the start of one with its country code - anchored, so the
+// phoneNumber index serves it.
+function buildSearchFilter(q) {
+  const term = String(q || '').trim();
+  if (!term) return {};
+
+  const filters = [
+    { _id: term },
+    { contactId: term },
+    { conversationId: term }
+  ];
+
+  const e164 = toE164(term);
+  const digits = term.replace(/\D/g, '');
+  if (e164) {
+    filters.push({ phoneNumber: { $in: phoneLookupValues(e164) } });
+  } else if (digits.length >= 4) {
+    // E.164, and bare digits on older records
+    filters.push({ phoneNumber: { $regex: `^\\+${digits}` } }, { phoneNumber: { $regex: `^${digits}` } });
+  }
+
+  return { $or: filters };
+}
+
+async function searchClicks({ q, status, limit = 50 } = {}) {
+  const filter = buildSearchFilter(q);
+
+  if (status === 'engaged') filter.hasEngaged = true;
+  if (status === 'clicked') filter.hasEngaged = false;
+  if (status === 'unsynced') {
+    filter.hasEngaged = true;
+    filter.syncedToSheets = false;
+  }
+
+  return UtmClick.find(filter)
+    .select(LIST_FIELDS)
+    .sort({ timestamp: -1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .lean();
+}
+
+async function getClickDetail(sessionId) {
+  return UtmClick.findById(sessionId).lean();
+}
+
+async function getDashboardSummary() {
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  const [clicks24h, engaged24h, pendingSync, suspicious24h] = await Promise.all([
+    UtmClick.countDocuments({ timestamp: { $gte: since }, source: { $ne: 'direct_message' }, is_suspicious: { $ne: true } }),
+    UtmClick.countDocuments({ engagedAt: { $gte: since } }),
+    UtmClick.countDocuments({ hasEngaged: true, syncedToSheets: false, source: { $ne: 'direct_message' } }),
+    UtmClick.countDocuments({ timestamp: { $gte: since }, is_suspicious: true })
+  ]);
+
+  return { clicks24h, engaged24h, pendingSync, suspicious24h };
+}
+
+// Flag a record so the next scheduled sync picks it up again
+async function requeueSheetsSync(sessionId) {
+  const click = await UtmClick.findById(sessionId);
+  if (!click) return { status: 'not_found' };
+  if (!click.hasEngaged) return { status: 'not_engaged' };
+
+  // Without touching updatedAt - the other sinks already have this version
+  await UtmClick.findByIdAndUpdate(sessionId, { syncedToSheets: false }, { timestamps: false });
+  await enqueueExports([sessionId], { sinkIds: ['sheets'] });
+  console.log(`🔁 Re-queued ${sessionId} for Sheets sync`);
+  return { status: 'queued' };
+}
+
+module.exports = {
+  searchClicks,
+  getClickDetail,
+  getDashboardSummary,
+  requeueSheetsSync
+};
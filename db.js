@@ -18,8 +18,23 @@ const connectDB = async () => {
 };
 
 // UTM Click Schema - matches your Firestore structure
+// First/last-touch parameters persisted by the snippet across page views
+const touchSchema = new mongoose.Schema({
+  source: { type: String, default: null },
+  medium: { type: String, default: null },
+  campaign: { type: String, default: null },
+  content: { type: String, default: null },
+  placement: { type: String, default: null },
+  click_ids: { type: mongoose.Schema.Types.Mixed, default: {} },
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+  landing_path: { type: String, default: null },
+  referrer: { type: String, default: null },
+  captured_at: { type: Date, default: null },
+}, { _id: false });
+
 const utmClickSchema = new mongoose.Schema({
   // Session ID is stored as _id in MongoDB (same as Firestore doc ID)
+  _id: { type: String },
   
   // UTM Parameters
   source: { type: String, default: 'direct_message' },
@@ -31,18 +46,69 @@ const utmClickSchema = new mongoose.Schema({
   // Original parameters (preserves all URL params)
   original_params: { type: mongoose.Schema.Types.Mixed, default: {} },
   
+  // Ad platform click identifiers
+  click_ids: {
+    fbclid: { type: String, default: null },
+    gclid: { type: String, default: null },
+    wbraid: { type: String, default: null },
+    gbraid: { type: String, default: null },
+    ttclid: { type: String, default: null },
+    msclkid: { type: String, default: null }
+  },
+  
+  // Campaign touches leading up to this click
+  first_touch: { type: touchSchema, default: null },
+  last_touch: { type: touchSchema, default: null },
+  
+  // Meta browser cookies (_fbp / _fbc)
+  fbp: { type: String, default: null },
+  fbc: { type: String, default: null },
+  
+  // Landing context
+  referrer: { type: String, default: null },
+  landing_path: { type: String, default: null },
+  
   // Engagement tracking
   hasEngaged: { type: Boolean, default: false },
-  phoneNumber: { type: String, default: null },
+  phoneNumber: { type: String, default: null }, // E.164 (bare digits on older records)
+  phone_raw: { type: String, default: null },
+  phone_country: { type: String, default: null },
   
   // Gallabox identifiers
   contactId: { type: String, default: null },
   conversationId: { type: String, default: null },
   contactName: { type: String, default: null },
   lastMessage: { type: String, default: null },
+  firstMessage: { type: String, default: null },
+  messageCount: { type: Number, default: 0 },
+  
+  // Customer journey (browser-level visitor ID and the contact it resolved to)
+  visitor_id: { type: String, default: null },
+  journey_id: { type: String, default: null },
   
   // Attribution
   attribution_source: { type: String, default: 'unknown' },
+  attribution_decision: {
+    matcher: { type: String, default: null },
+    confidence: { type: Number, default: null },
+    tried: [{
+      _id: false,
+      matcher: String,
+      matched: Boolean,
+      candidates: [String],
+      reason: String,
+      error: String
+    }],
+    candidateIds: [String],
+    decidedAt: { type: Date, default: null }
+  },
+  
+  // Conversions (credited from ConversionEvent)
+  lifecycle_stage: { type: String, default: null },
+  conversion_value: { type: Number, default: 0 },
+  conversion_currency: { type: String, default: null },
+  conversion_count: { type: Number, default: 0 },
+  last_conversion_at: { type: Date, default: null },
   
   // Timestamps
   timestamp: { type: Date, default: Date.now },
@@ -52,9 +118,50 @@ const utmClickSchema = new mongoose.Schema({
   // Sync tracking
   syncedToSheets: { type: Boolean, default: false },
   lastSynced: { type: Date, default: null },
+  // Export sink ID → updatedAt of the version last written to that sink
+  sinkSync: { type: mongoose.Schema.Types.Mixed, default: {} },
+  
+  // Snippet that produced the click
+  site_id: { type: String, default: null },
+  snippet_version: { type: String, default: null },
+  // Call-to-action that was clicked (data-utm-cta / site CTA config) and where it leads
+  cta_id: { type: String, default: null },
+  cta_channel: { type: String, enum: ['whatsapp', 'call', 'form', 'telegram'], default: 'whatsapp' },
+  // Tracking consent on the page at click time - without it no visitor, device
+  // or ad-click identifiers are stored, exported or sent to ad platforms
+  consent: {
+    state: { type: String, enum: ['granted', 'denied', 'unknown'], default: 'unknown' },
+    source: { type: String, enum: ['tcf', 'cmp', 'flag', 'none'], default: 'none' },
+    // Site required consent, so "unknown" counts as denied
+    required: { type: Boolean, default: false },
+    tcf_string: { type: String, default: null }
+  },
+  
+  // Abuse protection - flagged clicks are kept out of reports
+  is_suspicious: { type: Boolean, default: false },
+  suspicion_reasons: { type: [String], default: [] },
+  origin: { type: String, default: null },
+  
+  // WhatsApp channel (number) the click was sent to, and its brand
+  channel_number: { type: String, default: null },
+  brand: { type: String, default: null },
   
   // Additional metadata
   full_url: { type: String, default: null },
+  ref_code: { type: String, default: null },
+  prefilled_message: { type: String, default: null },
+  client_hints: {
+    user_agent: { type: String, default: null },
+    platform: { type: String, default: null },
+    mobile: { type: Boolean, default: null },
+    language: { type: String, default: null },
+    timezone: { type: String, default: null },
+    webdriver: { type: Boolean, default: null },
+    viewport: {
+      width: { type: Number, default: null },
+      height: { type: Number, default: null }
+    }
+  },
 }, {
   timestamps: true, // Adds createdAt and updatedAt automatically
   collection: 'utmClicks'
@@ -66,7 +173,370 @@ utmClickSchema.index({ contactId: 1 });
 utmClickSchema.index({ conversationId: 1 });
 utmClickSchema.index({ hasEngaged: 1, syncedToSheets: 1, source: 1 });
 utmClickSchema.index({ timestamp: -1 });
+utmClickSchema.index({ updatedAt: 1, _id: 1 });
+utmClickSchema.index({ ref_code: 1, timestamp: -1 });
+utmClickSchema.index({ visitor_id: 1 });
+utmClickSchema.index({ journey_id: 1 });
+utmClickSchema.index({ site_id: 1, timestamp: -1 });
+utmClickSchema.index({ cta_id: 1, timestamp: -1 });
+utmClickSchema.index({ brand: 1, timestamp: -1 });
+utmClickSchema.index({ channel_number: 1, hasEngaged: 1, syncedToSheets: 1 });
+utmClickSchema.index({ 'click_ids.fbclid': 1 }, { partialFilterExpression: { 'click_ids.fbclid': { $type: 'string' } } });
+utmClickSchema.index({ 'click_ids.gclid': 1 }, { partialFilterExpression: { 'click_ids.gclid': { $type: 'string' } } });
+utmClickSchema.index({ 'click_ids.wbraid': 1 }, { partialFilterExpression: { 'click_ids.wbraid': { $type: 'string' } } });
+utmClickSchema.index({ 'click_ids.gbraid': 1 }, { partialFilterExpression: { 'click_ids.gbraid': { $type: 'string' } } });
+utmClickSchema.index({ 'click_ids.ttclid': 1 }, { partialFilterExpression: { 'click_ids.ttclid': { $type: 'string' } } });
+utmClickSchema.index({ 'click_ids.msclkid': 1 }, { partialFilterExpression: { 'click_ids.msclkid': { $type: 'string' } } });
 
 const UtmClick = mongoose.model('UtmClick', utmClickSchema);
 
-module.exports = { connectDB, UtmClick };
+// Conversion Event Schema - lifecycle stages after the first message
+const conversionEventSchema = new mongoose.Schema({
+  eventId: { type: String, default: null },
+  stage: { type: String, required: true },
+  value: { type: Number, default: 0 },
+  currency: { type: String, default: 'INR' },
+  occurredAt: { type: Date, default: Date.now },
+  origin: { type: String, default: 'api' },
+  
+  // Contact identifiers
+  phoneNumber: { type: String, default: null }, // E.164
+  phoneRaw: { type: String, default: null },
+  contactId: { type: String, default: null },
+  conversationId: { type: String, default: null },
+  
+  // Credited click and a snapshot of its UTM parameters
+  sessionId: { type: String, default: null },
+  source: { type: String, default: null },
+  medium: { type: String, default: null },
+  campaign: { type: String, default: null },
+  content: { type: String, default: null },
+  placement: { type: String, default: null },
+  
+  metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+}, {
+  timestamps: true,
+  collection: 'conversionEvents'
+});
+
+conversionEventSchema.index({ eventId: 1 }, { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } });
+conversionEventSchema.index({ sessionId: 1 });
+conversionEventSchema.index({ phoneNumber: 1, occurredAt: -1 });
+conversionEventSchema.index({ occurredAt: -1 });
+
+const ConversionEvent = mongoose.model('ConversionEvent', conversionEventSchema);
+
+// Ad Platform Delivery Schema - outbound Meta CAPI / Google Ads events and their attempts
+const adPlatformDeliverySchema = new mongoose.Schema({
+  platform: { type: String, required: true },
+  dedupeKey: { type: String, required: true },
+  eventName: { type: String, default: null },
+  sessionId: { type: String, default: null },
+  conversionId: { type: String, default: null },
+  eventTime: { type: Date, default: Date.now },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  
+  // Queue state
+  status: { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  sentAt: { type: Date, default: null },
+  
+  // One entry per delivery attempt
+  log: [{
+    _id: false,
+    at: Date,
+    status: String,
+    httpStatus: Number,
+    error: String,
+    response: mongoose.Schema.Types.Mixed
+  }],
+}, {
+  timestamps: true,
+  collection: 'adPlatformDeliveries'
+});
+
+adPlatformDeliverySchema.index({ platform: 1, dedupeKey: 1 }, { unique: true });
+adPlatformDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+adPlatformDeliverySchema.index({ sessionId: 1 });
+
+const AdPlatformDelivery = mongoose.model('AdPlatformDelivery', adPlatformDeliverySchema);
+
+// Site Schema - per-landing-site tracking snippet configuration
+const siteSchema = new mongoose.Schema({
+  // Site ID (e.g. "american-hairline") is stored as _id
+  _id: { type: String },
+  name: { type: String, default: null },
+  whatsappNumber: { type: String, required: true },
+  defaultMessage: { type: String, default: 'Hello!' },
+  selectors: { type: [String], default: [] },
+  // Non-WhatsApp (or differently labelled) CTAs the snippet tracks
+  ctas: {
+    type: [{
+      _id: false,
+      selector: { type: String, required: true },
+      channel: { type: String, enum: ['whatsapp', 'call', 'form', 'telegram', null], default: null },
+      cta: { type: String, default: null }
+    }],
+    default: []
+  },
+  utmDefaults: {
+    _id: false,
+    source: String,
+    medium: String,
+    campaign: String,
+    content: String,
+    placement: String
+  },
+  touchExpiryDays: { type: Number, default: 30 },
+  // Track only campaign-level data until the visitor consents (TCF, CMP callback or flag)
+  consentRequired: { type: Boolean, default: false },
+  // Origins allowed to call /store-click for this site (empty = not restricted)
+  allowedOrigins: { type: [String], default: [] },
+  active: { type: Boolean, default: true },
+}, {
+  timestamps: true,
+  collection: 'sites'
+});
+
+const Site = mongoose.model('Site', siteSchema);
+
+// Channel Schema - one per receiving WhatsApp number (brand, token, Sheets, policy)
+const channelSchema = new mongoose.Schema({
+  // Number digits with country code (e.g. "919137279145") are stored as _id
+  _id: { type: String },
+  brand: { type: String, required: true },
+  name: { type: String, default: null },
+  gallaboxToken: { type: String, default: null },
+  gallaboxTokenSecret: { type: String, default: null },
+  // HMAC signing secrets - several can be active while rotating
+  webhookSecrets: { type: [String], default: [] },
+  webhookSecretsSecret: { type: String, default: null },
+  sheets: {
+    spreadsheetId: { type: String, default: null },
+    sheetName: { type: String, default: null }
+  },
+  directMessagePolicy: { type: String, enum: ['store', 'ignore'], default: 'ignore' },
+  active: { type: Boolean, default: true },
+}, {
+  timestamps: true,
+  collection: 'channels'
+});
+
+const Channel = mongoose.model('Channel', channelSchema);
+
+// Webhook Delivery Schema - processed delivery IDs, for replay protection
+const webhookDeliverySchema = new mongoose.Schema({
+  // "<route>:<delivery ID>" is stored as _id so claiming one is a single insert
+  _id: { type: String },
+  route: { type: String, required: true },
+  deliveryId: { type: String, required: true },
+  // processing until the response goes out; a processing claim whose lease
+  // has run out (crashed process) can be claimed again
+  status: { type: String, enum: ['processing', 'processed'], default: 'processing' },
+  leaseExpiresAt: { type: Date, default: null },
+  receivedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}, {
+  collection: 'webhookDeliveries'
+});
+
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+// Webhook Event Schema - inbound event log with processing outcome
+const webhookEventSchema = new mongoose.Schema({
+  type: { type: String, enum: ['message', 'tag'], required: true },
+  // "<type>:<WhatsApp message ID / Gallabox event ID>"
+  dedupeKey: { type: String, default: null },
+  deliveryId: { type: String, default: null },
+  channelNumber: { type: String, default: null },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  
+  // Processing outcome
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'skipped', 'failed'],
+    default: 'processing'
+  },
+  sessionId: { type: String, default: null },
+  attribution: { type: String, default: null },
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  error: { type: String, default: null },
+  attempts: { type: Number, default: 0 },
+  duplicates: { type: Number, default: 0 },
+  replays: { type: Number, default: 0 },
+  receivedAt: { type: Date, default: Date.now },
+  lastAttemptAt: { type: Date, default: null },
+  processedAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  collection: 'webhookEvents'
+});
+
+webhookEventSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } });
+webhookEventSchema.index({ status: 1, receivedAt: -1 });
+webhookEventSchema.index({ sessionId: 1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+// Message Schema - WhatsApp conversation history linked to clicks
+const messageSchema = new mongoose.Schema({
+  messageId: { type: String, default: null },
+  sessionId: { type: String, default: null },
+  contactId: { type: String, default: null },
+  conversationId: { type: String, default: null },
+  phoneNumber: { type: String, default: null },
+  channelNumber: { type: String, default: null },
+  
+  direction: { type: String, enum: ['inbound', 'outbound'], default: 'inbound' },
+  type: {
+    type: String,
+    enum: ['text', 'interactive', 'button', 'media', 'location', 'other'],
+    default: 'other'
+  },
+  subtype: { type: String, default: null }, // list_reply, button_reply, image, ...
+  text: { type: String, default: null },
+  truncated: { type: Boolean, default: false },
+  sentAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true,
+  collection: 'messages'
+});
+
+messageSchema.index({ messageId: 1 }, { unique: true, partialFilterExpression: { messageId: { $type: 'string' } } });
+messageSchema.index({ sessionId: 1, sentAt: 1 });
+messageSchema.index({ conversationId: 1, sentAt: 1 });
+messageSchema.index({ contactId: 1, sentAt: 1 });
+messageSchema.index({ phoneNumber: 1, sentAt: 1 });
+
+const Message = mongoose.model('Message', messageSchema);
+
+// Export Job Schema - one queued write per click and export sink
+const exportJobSchema = new mongoose.Schema({
+  // "<sink>:<sessionId>" is stored as _id, so a click is queued at most once per sink
+  _id: { type: String },
+  sink: { type: String, required: true },
+  sessionId: { type: String, required: true },
+  // Click's updatedAt when queued - due jobs are claimed oldest change first
+  version: { type: Date, default: null },
+  
+  // Queue state - dead jobs stay put until retried from the API
+  status: { type: String, enum: ['pending', 'processing', 'done', 'dead'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil: { type: Date, default: null },
+  lockedBy: { type: String, default: null },
+  // Click changed again while a worker held the job - run it once more
+  requeued: { type: Boolean, default: false },
+  lastError: { type: String, default: null },
+  completedAt: { type: Date, default: null },
+  
+  // One entry per failed attempt
+  log: [{
+    _id: false,
+    at: Date,
+    error: String,
+    worker: String
+  }],
+}, {
+  timestamps: true,
+  collection: 'exportJobs'
+});
+
+exportJobSchema.index({ status: 1, nextAttemptAt: 1, version: 1 });
+exportJobSchema.index({ lockedBy: 1, status: 1 });
+exportJobSchema.index({ sink: 1, status: 1 });
+exportJobSchema.index({ sessionId: 1 });
+
+const ExportJob = mongoose.model('ExportJob', exportJobSchema);
+
+// Export Sink Schema - where click records are exported to (see export-sinks.js)
+const exportSinkSchema = new mongoose.Schema({
+  // Sink ID (e.g. "crm-webhook") is stored as _id
+  _id: { type: String },
+  type: { type: String, enum: ['sheets', 'file', 's3', 'webhook'], required: true },
+  name: { type: String, default: null },
+  // Export schema the records are built with
+  schema: { type: String, default: 'default' },
+  format: { type: String, enum: ['jsonl', 'csv', null], default: null },
+  // Type-specific settings: directory / bucket, endpoint, prefix / url, secret
+  config: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Only clicks for these brands (empty = all)
+  brands: { type: [String], default: [] },
+  // Clicks last changed before this are not exported unless backfilled
+  startAt: { type: Date, default: null },
+  active: { type: Boolean, default: true },
+}, {
+  timestamps: true,
+  collection: 'exportSinks'
+});
+
+const ExportSink = mongoose.model('ExportSink', exportSinkSchema);
+
+// Sync Cursor Schema - where a background sync left off (change stream resume
+// token, an export sink's last write) or how far a long-running job like a
+// Sheets rebuild has got
+const syncCursorSchema = new mongoose.Schema({
+  // Cursor name (e.g. "sheets-change-stream") is stored as _id
+  _id: { type: String },
+  resumeToken: { type: mongoose.Schema.Types.Mixed, default: null },
+  lastEventAt: { type: Date, default: null },
+  // Last click scanned, in (updatedAt, _id) order - sink sweeps and backfills
+  watermark: {
+    updatedAt: { type: Date, default: null },
+    sessionId: { type: String, default: null }
+  },
+  // Backfills - clicks last changed in [from, to]
+  range: {
+    from: { type: Date, default: null },
+    to: { type: Date, default: null }
+  },
+  
+  // Long-running jobs - held by one worker at a time
+  status: { type: String, default: null },
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+  progress: { type: mongoose.Schema.Types.Mixed, default: null },
+  error: { type: String, default: null },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null }
+}, {
+  timestamps: true,
+  collection: 'syncCursors'
+});
+
+const SyncCursor = mongoose.model('SyncCursor', syncCursorSchema);
+
+// Export Schema - column layout for exported click records (Sheets, ...)
+const exportSchemaSchema = new mongoose.Schema({
+  // Export name (e.g. "sheets") is stored as _id
+  _id: { type: String },
+  timezone: { type: String, default: 'UTC' },
+  // [{ key, header, field | fields | expression, format, ... }] - see export-schema.js
+  columns: { type: [mongoose.Schema.Types.Mixed], default: [] }
+}, {
+  timestamps: true,
+  collection: 'exportSchemas'
+});
+
+const ExportSchema = mongoose.model('ExportSchema', exportSchemaSchema);
+
+module.exports = {
+  connectDB,
+  UtmClick,
+  ConversionEvent,
+  AdPlatformDelivery,
+  Site,
+  Channel,
+  WebhookDelivery,
+  WebhookEvent,
+  Message,
+  ExportJob,
+  ExportSink,
+  SyncCursor,
+  ExportSchema
+};
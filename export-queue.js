@@ -0,0 +1,987 @@
+const os = require('os');
+const crypto = require('crypto');
+const { UtmClick, ExportJob, SyncCursor } = require('./db');
+const {
+  getSheetsDestinations,
+  rebuildSheet,
+  syncAttributionModels
+} = require('./google-sheets-sync');
+const {
+  ExportSinkError,
+  listSinks,
+  getSink,
+  needsExport,
+  partitionClicks,
+  writeToSink,
+  getSyncedFields
+} = require('./export-sinks');
+require('dotenv').config();
+
+// Durable export queue
+// The change stream only enqueues an ExportJob per changed click and sink
+// (_id "<sinkId>:<sessionId>") and saves its resume token. Workers on every
+// instance claim due jobs in batches (the lock carries the worker ID, so a job
+// is written by one instance only), write each sink's share with one request
+// per partition, and back off exponentially on failure. Jobs that keep failing
+// end up 'dead' until retried from the API. Each sink keeps its own cursor:
+// sinkSync.<sinkId> on the click, plus a "sink:<sinkId>" SyncCursor with the
+// sink's last write and error, and the watermark its sweep has paged up to.
+// A full Sheets rebuild pauses the Sheets jobs.
+
+const BATCH_SIZE = readSetting('EXPORT_BATCH_SIZE', readSetting('SHEETS_SYNC_BATCH_SIZE', 100));
+const CONCURRENCY = readSetting('EXPORT_CONCURRENCY', readSetting('SHEETS_SYNC_CONCURRENCY', 2)); // partitions written in parallel, per instance
+const MAX_ATTEMPTS = readSetting('EXPORT_MAX_ATTEMPTS', readSetting('SHEETS_SYNC_MAX_ATTEMPTS', 8));
+const LOCK_MS = readSetting('EXPORT_LOCK_SECONDS', readSetting('SHEETS_SYNC_LOCK_SECONDS', 300)) * 1000;
+const BASE_BACKOFF_MS = 30 * 1000;
+const DEBOUNCE_MS = 2000;
+const MAX_BATCHES_PER_RUN = 20;
+const SWEEP_PAGE_SIZE = 500;
+const SWEEP_MAX_PAGES = 20; // per sink and sweep - a long backlog takes several sweeps
+// Changes younger than this may still be committing with an earlier updatedAt
+const WATERMARK_SETTLE_MS = 10 * 1000;
+const BACKFILL_MAX_PENDING = readSetting('EXPORT_BACKFILL_MAX_PENDING', 5000); // per sink, before a backfill waits
+const BACKFILL_WAIT_MS = 5000;
+const JOB_STATUSES = ['pending', 'processing', 'done', 'dead'];
+
+const CURSOR_ID = 'sheets-change-stream';
+const REBUILD_ID = 'sheets-rebuild';
+const REBUILD_WAIT_MS = 2000;
+const RESUBSCRIBE_DELAY_MS = 60 * 1000;
+// Resume token no longer usable - start fresh and sweep for what was missed
+const LOST_HISTORY_CODES = [260, 280, 286];
+// Updates that only record a sink write - nothing new to export
+const BOOKKEEPING_FIELDS = /^(sinkSync(\.|$)|syncedToSheets$|lastSynced$)/;
+
+const WORKER_ID = `${os.hostname()}-${process.pid}-${crypto.randomUUID().slice(0, 8)}`;
+
+// Same records the Sheets export has always taken
+const ELIGIBLE_FILTER = {
+  hasEngaged: true,
+  source: { $ne: 'direct_message' }
+};
+
+function readSetting(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? Math.floor(value) : fallback;
+}
+
+function getJobId(sinkId, sessionId) {
+  return `${sinkId}:${sessionId}`;
+}
+
+function toJobEntry(sink, click) {
+  return { sink: sink._id, sessionId: String(click._id), version: click.updatedAt };
+}
+
+// =============================================
+// Enqueue
+// =============================================
+
+// Queue jobs ({ sink, sessionId, version }) for the next write. Idempotent -
+// a click has one job per sink at most.
+async function enqueueJobs(entries) {
+  const ids = [...new Set(entries.map(({ sink, sessionId }) => getJobId(sink, sessionId)))];
+  if (ids.length === 0) return { queued: 0 };
+  const now = new Date();
+
+  const inserted = await ExportJob.bulkWrite(entries.map(({ sink, sessionId, version }) => ({
+    updateOne: {
+      filter: { _id: getJobId(sink, sessionId) },
+      update: {
+        $set: { version: version || null },
+        $setOnInsert: { sink, sessionId, status: 'pending', attempts: 0, nextAttemptAt: now }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  // Flag running jobs first: a worker finishing in between leaves the job
+  // 'done', which the next update picks up
+  await ExportJob.updateMany(
+    { _id: { $in: ids }, status: 'processing' },
+    { requeued: true }
+  );
+  const reopened = await ExportJob.updateMany(
+    { _id: { $in: ids }, status: { $in: ['done', 'dead'] } },
+    { status: 'pending', attempts: 0, nextAttemptAt: now, lastError: null, completedAt: null }
+  );
+
+  const queued = inserted.upsertedCount + reopened.modifiedCount;
+  if (queued > 0) triggerExportQueue();
+  return { queued };
+}
+
+// Queue clicks for every active sink (or the given ones) that doesn't have
+// their current version yet
+async function enqueueExports(sessionIds, { sinkIds = null } = {}) {
+  const ids = [...new Set(sessionIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return { queued: 0 };
+
+  const sinks = (await listSinks()).filter(sink => !sinkIds || sinkIds.includes(sink._id));
+  const clicks = await UtmClick.find({ _id: { $in: ids }, ...ELIGIBLE_FILTER })
+    .select('brand updatedAt sinkSync syncedToSheets')
+    .lean();
+
+  const entries = [];
+  for (const click of clicks) {
+    for (const sink of sinks) {
+      if (needsExport(sink, click)) entries.push(toJobEntry(sink, click));
+    }
+  }
+  return enqueueJobs(entries);
+}
+
+// =============================================
+// Worker
+// =============================================
+
+// Claim up to `limit` due jobs for this worker
+async function claimJobs(limit, { excludeSinks = [] } = {}) {
+  const now = new Date();
+  const lockedUntil = new Date(now.getTime() + LOCK_MS);
+
+  // Jobs whose worker died mid-batch go back in the queue
+  await ExportJob.updateMany(
+    { status: 'processing', lockedUntil: { $lte: now } },
+    { status: 'pending', lockedBy: null, lockedUntil: null }
+  );
+
+  const due = await ExportJob.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: now },
+    ...(excludeSinks.length > 0 && { sink: { $nin: excludeSinks } })
+  })
+    .select('_id')
+    .sort({ nextAttemptAt: 1, version: 1 })
+    .limit(limit)
+    .lean();
+  if (due.length === 0) return [];
+
+  // Conditional per document - another instance claiming the same IDs gets none of ours
+  await ExportJob.updateMany(
+    { _id: { $in: due.map(job => job._id) }, status: 'pending' },
+    { status: 'processing', lockedBy: WORKER_ID, lockedUntil, requeued: false }
+  );
+
+  return ExportJob.find({ _id: { $in: due.map(job => job._id) }, status: 'processing', lockedBy: WORKER_ID }).lean();
+}
+
+// IDs of the given jobs this worker still holds, with the lock extended
+async function renewLock(ids) {
+  await ExportJob.updateMany(
+    { _id: { $in: ids }, status: 'processing', lockedBy: WORKER_ID },
+    { lockedUntil: new Date(Date.now() + LOCK_MS) }
+  );
+  const held = await ExportJob.find({ _id: { $in: ids }, status: 'processing', lockedBy: WORKER_ID })
+    .select('_id')
+    .lean();
+  return held.map(job => job._id);
+}
+
+async function completeJobs(ids) {
+  const now = new Date();
+
+  await ExportJob.updateMany(
+    { _id: { $in: ids }, status: 'processing', lockedBy: WORKER_ID, requeued: false },
+    { status: 'done', completedAt: now, lastError: null, lockedBy: null, lockedUntil: null }
+  );
+  // The click changed while we held it - write the newer version too
+  await ExportJob.updateMany(
+    { _id: { $in: ids }, status: 'processing', lockedBy: WORKER_ID },
+    { status: 'pending', attempts: 0, nextAttemptAt: now, requeued: false, lockedBy: null, lockedUntil: null }
+  );
+}
+
+// [{ job, error }] - jobs of one sink that failed
+async function failJobs(failures, sinkId) {
+  const summary = { retry: 0, dead: 0 };
+
+  for (const { job, error } of failures) {
+    const attempts = job.attempts + 1;
+    const dead = attempts >= MAX_ATTEMPTS;
+    const backoffMs = BASE_BACKOFF_MS * Math.pow(2, attempts - 1);
+
+    await ExportJob.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      {
+        status: dead ? 'dead' : 'pending',
+        attempts,
+        lastError: error,
+        nextAttemptAt: dead ? null : new Date(Date.now() + backoffMs),
+        requeued: false,
+        lockedBy: null,
+        lockedUntil: null,
+        $push: { log: { $each: [{ at: new Date(), error, worker: WORKER_ID }], $slice: -MAX_ATTEMPTS } }
+      }
+    );
+    summary[dead ? 'dead' : 'retry']++;
+  }
+
+  console.error(`❌ Export to ${sinkId} failed for ${failures.length} job(s) (${summary.dead} dead):`, failures[0].error);
+  return summary;
+}
+
+// Record the sink's side of a write on its sync cursor
+async function recordSinkWrite(sinkId, { synced = 0, failed = 0, error = null }) {
+  const now = new Date();
+  await SyncCursor.updateOne(
+    { _id: `sink:${sinkId}` },
+    {
+      status: error ? 'failing' : 'ok',
+      error,
+      ...(synced > 0 && { lastEventAt: now }),
+      $inc: { 'progress.synced': synced, 'progress.failed': failed }
+    },
+    // A null progress default would clash with the $inc on insert
+    { upsert: true, setDefaultsOnInsert: false }
+  ).catch(err => console.error(`⚠️ Could not update the ${sinkId} cursor:`, err.message));
+}
+
+// Run `worker` over items, at most `limit` at a time
+async function mapWithConcurrency(items, limit, worker) {
+  const queue = [...items];
+  const runners = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length > 0) {
+      await worker(queue.shift());
+    }
+  });
+  await Promise.all(runners);
+}
+
+async function writeGroup(group, summary) {
+  const { sink, partition } = group;
+  const held = new Set(await renewLock(group.jobs.map(job => job._id)));
+  const jobs = group.jobs.filter(job => held.has(job._id));
+  if (jobs.length === 0) return;
+  const heldSessions = new Set(jobs.map(job => job.sessionId));
+  const clicks = partition.clicks.filter(click => heldSessions.has(click._id.toString()));
+
+  let written;
+  try {
+    written = await writeToSink(sink, clicks, partition);
+  } catch (err) {
+    const failed = await failJobs(jobs.map(job => ({ job, error: err.message })), sink._id);
+    summary.retry += failed.retry;
+    summary.dead += failed.dead;
+    await recordSinkWrite(sink._id, { failed: jobs.length, error: err.message });
+    return;
+  }
+
+  // Leads the sink rejected one by one (webhook) are retried on their own
+  const errors = new Map(written.failed.map(({ sessionId, error }) => [String(sessionId), error]));
+  const succeeded = clicks.filter(click => !errors.has(click._id.toString()));
+
+  // Only after the sink has the records. A click that changed since it was
+  // read keeps its older version, so the change stream queues it again.
+  const lastSynced = new Date();
+  if (succeeded.length > 0) {
+    await UtmClick.bulkWrite(succeeded.map(click => ({
+      updateOne: {
+        filter: { _id: click._id, updatedAt: click.updatedAt },
+        update: { [`sinkSync.${sink._id}`]: click.updatedAt, ...getSyncedFields(sink, lastSynced) },
+        timestamps: false
+      }
+    })), { ordered: false });
+  }
+
+  const done = jobs.filter(job => !errors.has(job.sessionId));
+  await completeJobs(done.map(job => job._id));
+  summary.synced += done.length;
+  summary.sinks[sink._id] = (summary.sinks[sink._id] || 0) + done.length;
+  if (written.updated) summary.updated += written.updated;
+  if (written.appended) summary.appended += written.appended;
+
+  const failures = jobs.filter(job => errors.has(job.sessionId)).map(job => ({ job, error: errors.get(job.sessionId) }));
+  if (failures.length > 0) {
+    const failed = await failJobs(failures, sink._id);
+    summary.retry += failed.retry;
+    summary.dead += failed.dead;
+  }
+  await recordSinkWrite(sink._id, {
+    synced: done.length,
+    failed: failures.length,
+    error: failures.length > 0 ? failures[0].error : null
+  });
+}
+
+async function processBatch(jobs, summary) {
+  const clicks = await UtmClick.find({ _id: { $in: [...new Set(jobs.map(job => job.sessionId))] } });
+  const clicksById = new Map(clicks.map(click => [click._id.toString(), click]));
+  const sinks = new Map((await listSinks()).map(sink => [sink._id, sink]));
+
+  // Oldest change first, so appended rows and file lines follow the order clicks changed in
+  const changedAt = job => clicksById.get(job.sessionId)?.updatedAt?.getTime() || 0;
+  const ordered = [...jobs].sort((a, b) => changedAt(a) - changedAt(b) || a.sessionId.localeCompare(b.sessionId));
+
+  // Clicks that were deleted or no longer qualify, and sinks that were
+  // switched off, have nothing to write
+  const skipped = [];
+  const bySink = new Map();
+  for (const job of ordered) {
+    const sink = sinks.get(job.sink);
+    const click = clicksById.get(job.sessionId);
+    if (!sink || !click || !click.hasEngaged || click.source === 'direct_message') {
+      skipped.push(job._id);
+      continue;
+    }
+
+    if (!bySink.has(sink._id)) bySink.set(sink._id, { sink, jobs: [], clicks: [] });
+    bySink.get(sink._id).jobs.push(job);
+    bySink.get(sink._id).clicks.push(click);
+  }
+
+  if (skipped.length > 0) {
+    await completeJobs(skipped);
+    summary.skipped += skipped.length;
+  }
+
+  const groups = [];
+  for (const { sink, jobs: sinkJobs, clicks: sinkClicks } of bySink.values()) {
+    let partitions;
+    try {
+      partitions = await partitionClicks(sink, sinkClicks);
+    } catch (err) {
+      const failed = await failJobs(sinkJobs.map(job => ({ job, error: err.message })), sink._id);
+      summary.retry += failed.retry;
+      summary.dead += failed.dead;
+      continue;
+    }
+
+    const jobsBySession = new Map(sinkJobs.map(job => [job.sessionId, job]));
+    for (const partition of partitions) {
+      groups.push({
+        sink,
+        partition,
+        jobs: partition.clicks.map(click => jobsBySession.get(click._id.toString()))
+      });
+    }
+  }
+
+  await mapWithConcurrency(groups, CONCURRENCY, group => writeGroup(group, summary));
+}
+
+let activeRun = null;
+let rerunRequested = false;
+let triggerTimer = null;
+
+// Work through due jobs. One run per instance at a time - concurrent callers
+// share the run in progress and get a follow-up run for their new work.
+function processExportQueue() {
+  if (activeRun) {
+    rerunRequested = true;
+    return activeRun;
+  }
+
+  activeRun = (async () => {
+    const summary = { synced: 0, updated: 0, appended: 0, skipped: 0, retry: 0, dead: 0, batches: 0, sinks: {} };
+    try {
+      do {
+        rerunRequested = false;
+        for (let i = 0; i < MAX_BATCHES_PER_RUN; i++) {
+          // The rebuild writes every Sheets row itself - leave those jobs until it's done
+          const rebuilding = Boolean(await getActiveRebuild());
+          if (rebuilding) summary.sheetsPaused = true;
+
+          const jobs = await claimJobs(BATCH_SIZE, { excludeSinks: rebuilding ? ['sheets'] : [] });
+          if (jobs.length === 0) break;
+          summary.batches++;
+          await processBatch(jobs, summary);
+        }
+      } while (rerunRequested);
+    } finally {
+      activeRun = null;
+    }
+
+    if (summary.batches > 0) {
+      console.log('📋 Export queue run:', summary);
+    }
+    return summary;
+  })();
+
+  return activeRun;
+}
+
+// Short delay so a burst of changes goes out as one batch
+function triggerExportQueue() {
+  if (triggerTimer) return;
+  triggerTimer = setTimeout(() => {
+    triggerTimer = null;
+    processExportQueue().catch(err => console.error('❌ Export queue error:', err.message));
+  }, DEBOUNCE_MS);
+}
+
+// =============================================
+// Cursor locks
+// =============================================
+
+// Take a cursor's lock for this worker (creating the cursor), or null when
+// another worker holds it
+async function claimCursor(cursorId, update = {}) {
+  const now = new Date();
+  try {
+    return await SyncCursor.findOneAndUpdate(
+      { _id: cursorId, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { ...update, lockedBy: WORKER_ID, lockedUntil: new Date(now.getTime() + LOCK_MS) },
+      // No defaults - a null progress would clash with recordSinkWrite's $inc
+      { upsert: true, new: true, setDefaultsOnInsert: false }
+    ).lean();
+  } catch (err) {
+    // Lock document exists and is held
+    if (err.code === 11000) return null;
+    throw err;
+  }
+}
+
+// Update a cursor this worker holds, extending the lock
+async function updateCursor(cursorId, update) {
+  const result = await SyncCursor.updateOne(
+    { _id: cursorId, lockedBy: WORKER_ID },
+    { ...update, lockedUntil: new Date(Date.now() + LOCK_MS) }
+  );
+  if (result.matchedCount === 0) {
+    throw new Error(`Lock on ${cursorId} was lost`);
+  }
+}
+
+async function releaseCursor(cursorId, update = {}) {
+  await SyncCursor.updateOne(
+    { _id: cursorId, lockedBy: WORKER_ID },
+    { ...update, lockedBy: null, lockedUntil: null }
+  ).catch(() => {});
+}
+
+// =============================================
+// Watermark sweep & backfill
+// =============================================
+
+// Eligible clicks of a sink changed in [from, to] after the watermark
+// ({ updatedAt, sessionId }) - pages are read in (updatedAt, _id) order
+function getClickPageFilter(sink, watermark, { from = null, to }) {
+  return {
+    ...ELIGIBLE_FILTER,
+    ...(sink.brands?.length > 0 && { brand: { $in: sink.brands } }),
+    updatedAt: { ...(from && { $gte: new Date(from) }), $lte: new Date(to) },
+    ...(watermark?.updatedAt && {
+      $or: [
+        { updatedAt: { $gt: watermark.updatedAt } },
+        { updatedAt: watermark.updatedAt, _id: { $gt: watermark.sessionId } }
+      ]
+    })
+  };
+}
+
+function findClickPage(sink, watermark, range) {
+  return UtmClick.find(getClickPageFilter(sink, watermark, range))
+    .select('brand updatedAt sinkSync syncedToSheets')
+    .sort({ updatedAt: 1, _id: 1 })
+    .limit(SWEEP_PAGE_SIZE)
+    .lean();
+}
+
+function toWatermark(click) {
+  return { updatedAt: click.updatedAt, sessionId: String(click._id) };
+}
+
+// Page through a sink's clicks from its watermark on, queueing the ones it
+// doesn't have yet - catches whatever the change stream never saw (stream
+// down, history lost, sink added), oldest change first
+async function sweepSink(sink) {
+  const cursorId = `sink:${sink._id}`;
+  const cursor = await claimCursor(cursorId);
+  if (!cursor) return { scanned: 0, queued: 0, busy: true };
+
+  const result = { scanned: 0, queued: 0 };
+  const to = new Date(Date.now() - WATERMARK_SETTLE_MS);
+  let watermark = cursor.watermark?.updatedAt ? cursor.watermark : null;
+
+  try {
+    for (let page = 0; page < SWEEP_MAX_PAGES; page++) {
+      const clicks = await findClickPage(sink, watermark, { from: sink.startAt, to });
+      if (clicks.length === 0) break;
+
+      const { queued } = await enqueueJobs(clicks.filter(click => needsExport(sink, click)).map(click => toJobEntry(sink, click)));
+      watermark = toWatermark(clicks[clicks.length - 1]);
+      await updateCursor(cursorId, { watermark });
+      result.scanned += clicks.length;
+      result.queued += queued;
+      if (clicks.length < SWEEP_PAGE_SIZE) break;
+    }
+  } finally {
+    await releaseCursor(cursorId);
+  }
+
+  if (result.queued > 0) {
+    console.log(`🧹 Queued ${result.queued} of ${result.scanned} click(s) for ${sink._id} (watermark ${watermark.updatedAt.toISOString()})`);
+  }
+  return { ...result, watermark: watermark?.updatedAt || null };
+}
+
+async function sweepSinks() {
+  const result = { scanned: 0, queued: 0, sinks: {} };
+
+  for (const sink of await listSinks()) {
+    try {
+      const swept = await sweepSink(sink);
+      result.sinks[sink._id] = swept;
+      result.scanned += swept.scanned;
+      result.queued += swept.queued;
+    } catch (err) {
+      console.error(`❌ Sweep for ${sink._id} failed:`, err.message);
+      result.sinks[sink._id] = { error: err.message };
+    }
+  }
+
+  result.backfillsResumed = await resumeBackfills();
+  return result;
+}
+
+function getBackfillId(sinkId) {
+  return `backfill:${sinkId}`;
+}
+
+async function listBackfills(sinkId) {
+  const filter = sinkId ? { _id: getBackfillId(sinkId) } : { _id: /^backfill:/ };
+  return SyncCursor.find(filter).select('-resumeToken').sort({ startedAt: -1 }).lean();
+}
+
+// Queue every click of the backfill's range, whether or not the sink has it,
+// a page at a time - and only while the sink's queue has room, so live
+// changes aren't stuck behind the whole range
+async function runBackfill(sink, cursor) {
+  const cursorId = cursor._id;
+  const progress = { scanned: 0, queued: 0, ...cursor.progress };
+  let watermark = cursor.watermark?.updatedAt ? cursor.watermark : null;
+
+  try {
+    while (true) {
+      while (await ExportJob.countDocuments({ sink: sink._id, status: 'pending' }) >= BACKFILL_MAX_PENDING) {
+        await updateCursor(cursorId, { status: 'running' });
+        await new Promise(resolve => setTimeout(resolve, BACKFILL_WAIT_MS));
+      }
+
+      const clicks = await findClickPage(sink, watermark, cursor.range);
+      if (clicks.length === 0) break;
+
+      const { queued } = await enqueueJobs(clicks.map(click => toJobEntry(sink, click)));
+      watermark = toWatermark(clicks[clicks.length - 1]);
+      progress.scanned += clicks.length;
+      progress.queued += queued;
+      await updateCursor(cursorId, { watermark, progress });
+    }
+
+    await releaseCursor(cursorId, { status: 'completed', finishedAt: new Date() });
+    console.log(`✅ Backfill for ${sink._id} completed:`, progress);
+  } catch (err) {
+    console.error(`❌ Backfill for ${sink._id} failed:`, err.message);
+    await releaseCursor(cursorId, { status: 'failed', error: err.message, finishedAt: new Date() });
+  }
+}
+
+// Re-export a sink's clicks last changed in [from, to] (to defaults to now).
+// Runs in the background; progress is kept on the "backfill:<sinkId>" cursor.
+async function startBackfill({ sink: sinkId, from, to } = {}) {
+  const sink = sinkId ? await getSink(String(sinkId)) : null;
+  if (!sink) {
+    return { status: 'not_found' };
+  }
+
+  const range = { from: from ? new Date(from) : null, to: to ? new Date(to) : new Date() };
+  if ((range.from && Number.isNaN(range.from.getTime())) || Number.isNaN(range.to.getTime())) {
+    throw new ExportSinkError('from and to must be dates');
+  }
+  if (range.from && range.from > range.to) {
+    throw new ExportSinkError('from must be before to');
+  }
+
+  const cursorId = getBackfillId(sink._id);
+  const claimed = await claimCursor(cursorId, {
+    status: 'running',
+    range,
+    watermark: { updatedAt: null, sessionId: null },
+    progress: { scanned: 0, queued: 0 },
+    error: null,
+    startedAt: new Date(),
+    finishedAt: null
+  });
+  if (!claimed) {
+    return { status: 'already_running', backfill: (await listBackfills(sink._id))[0] };
+  }
+
+  console.log(`⏪ Backfilling ${sink._id}: ${range.from?.toISOString() || 'start'} → ${range.to.toISOString()}`);
+  runBackfill(sink, claimed);
+  return { status: 'started', backfill: claimed };
+}
+
+// Backfills whose worker stopped part-way carry on from their watermark
+async function resumeBackfills() {
+  const stalled = await SyncCursor.find({
+    _id: /^backfill:/,
+    status: 'running',
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }]
+  }).select('_id').lean();
+
+  let resumed = 0;
+  for (const { _id } of stalled) {
+    const sink = await getSink(_id.slice('backfill:'.length));
+    if (!sink) continue;
+
+    const cursor = await claimCursor(_id);
+    if (!cursor) continue;
+    if (cursor.status !== 'running') {
+      await releaseCursor(_id);
+      continue;
+    }
+    console.log(`⏪ Resuming backfill for ${sink._id}`);
+    runBackfill(sink, cursor);
+    resumed++;
+  }
+  return resumed;
+}
+
+// =============================================
+// Full rebuild
+// =============================================
+
+async function getActiveRebuild() {
+  return SyncCursor.findOne({ _id: REBUILD_ID, lockedUntil: { $gt: new Date() } }).lean();
+}
+
+async function getRebuildStatus() {
+  return SyncCursor.findById(REBUILD_ID).select('-resumeToken').lean();
+}
+
+// Take the rebuild lock for this worker, or null when another rebuild holds it
+async function claimRebuild() {
+  return claimCursor(REBUILD_ID, {
+    status: 'waiting',
+    progress: { destinations: [] },
+    error: null,
+    startedAt: new Date(),
+    finishedAt: null
+  });
+}
+
+async function updateRebuild(update) {
+  await updateCursor(REBUILD_ID, update);
+}
+
+// Wait for batches other workers already claimed, so none lands mid-rebuild
+async function waitForRunningJobs() {
+  const deadline = Date.now() + LOCK_MS;
+  while (Date.now() < deadline) {
+    const running = await ExportJob.countDocuments({ sink: 'sheets', status: 'processing', lockedUntil: { $gt: new Date() } });
+    if (running === 0) return;
+    await updateRebuild({ status: 'waiting' });
+    await new Promise(resolve => setTimeout(resolve, REBUILD_WAIT_MS));
+  }
+  throw new Error('Timed out waiting for running Sheets jobs');
+}
+
+async function runRebuild(destinations) {
+  const progress = { destinations: [] };
+
+  try {
+    await waitForRunningJobs();
+
+    for (const destination of destinations) {
+      const entry = { spreadsheetId: destination.spreadsheetId, sheetName: destination.sheetName, count: 0 };
+      progress.destinations.push(entry);
+      await updateRebuild({ status: 'running', progress });
+
+      const cursor = UtmClick.find({ ...destination.filter, ...ELIGIBLE_FILTER })
+        .sort({ timestamp: 1, _id: 1 })
+        .cursor();
+
+      await rebuildSheet(destination, cursor, {
+        onChunk: async clicks => {
+          // Same rule as the worker - a click that changed since it was read stays unsynced
+          const lastSynced = new Date();
+          await UtmClick.bulkWrite(clicks.map(click => ({
+            updateOne: {
+              filter: { _id: click._id, updatedAt: click.updatedAt },
+              update: { syncedToSheets: true, lastSynced, 'sinkSync.sheets': click.updatedAt },
+              timestamps: false
+            }
+          })), { ordered: false });
+          entry.count += clicks.length;
+          await updateRebuild({ progress });
+        }
+      });
+    }
+
+    await updateRebuild({ status: 'completed', progress, finishedAt: new Date() });
+    console.log('✅ Sheets rebuild completed:', progress.destinations);
+  } catch (err) {
+    console.error('❌ Sheets rebuild failed:', err.message);
+    await SyncCursor.updateOne(
+      { _id: REBUILD_ID, lockedBy: WORKER_ID },
+      { status: 'failed', error: err.message, progress, finishedAt: new Date() }
+    ).catch(() => {});
+  } finally {
+    await releaseCursor(REBUILD_ID);
+    // Changes queued during the rebuild update their rows in place now
+    triggerExportQueue();
+  }
+}
+
+// Rewrite every destination (or the one given) from MongoDB. Runs in the
+// background; progress is kept on the rebuild cursor document.
+async function startSheetsRebuild({ spreadsheetId, sheetName } = {}) {
+  let destinations = await getSheetsDestinations();
+  if (spreadsheetId || sheetName) {
+    destinations = destinations.filter(d =>
+      (!spreadsheetId || d.spreadsheetId === spreadsheetId) && (!sheetName || d.sheetName === sheetName)
+    );
+    if (destinations.length === 0) {
+      return { status: 'not_found' };
+    }
+  }
+
+  const claimed = await claimRebuild();
+  if (!claimed) {
+    return { status: 'already_running', rebuild: await getRebuildStatus() };
+  }
+
+  console.log(`🏗️ Rebuilding ${destinations.length} Sheets destination(s)`);
+  runRebuild(destinations);
+  return {
+    status: 'started',
+    destinations: destinations.map(({ spreadsheetId, sheetName }) => ({ spreadsheetId, sheetName }))
+  };
+}
+
+// Put dead jobs (of one sink, or one click) back in the queue
+async function retryDeadJobs({ sink, sessionId } = {}) {
+  const result = await ExportJob.updateMany(
+    { ...(sink && { sink }), ...(sessionId && { sessionId }), status: 'dead' },
+    { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null }
+  );
+  if (result.modifiedCount > 0) triggerExportQueue();
+  return { requeued: result.modifiedCount };
+}
+
+async function listExportJobs({ status, sink, limit = 50 } = {}) {
+  const filter = {};
+  if (status && JOB_STATUSES.includes(status)) filter.status = status;
+  if (sink) filter.sink = String(sink);
+
+  return ExportJob.find(filter)
+    .sort({ updatedAt: -1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .lean();
+}
+
+function secondsSince(date, now) {
+  return date ? Math.max(0, Math.round((now - new Date(date).getTime()) / 1000)) : 0;
+}
+
+// Queue counts plus each sink's progress: how far its sweep has paged
+// (watermark, clicks past it, sweep lag), how old its oldest queued change
+// is (queue lag), its last write and any backfill
+async function getExportQueueStats() {
+  const now = Date.now();
+  const counts = await ExportJob.aggregate([
+    { $group: { _id: { sink: '$sink', status: '$status' }, count: { $sum: 1 }, oldestVersion: { $min: '$version' } } }
+  ]);
+  const emptyCounts = () => Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+  const stats = emptyCounts();
+
+  const activeSinks = await listSinks();
+  const sinks = {};
+  for (const sink of activeSinks) {
+    sinks[sink._id] = { type: sink.type, ...emptyCounts(), queueLagSeconds: 0 };
+  }
+  for (const { _id, count, oldestVersion } of counts) {
+    stats[_id.status] += count;
+    sinks[_id.sink] = sinks[_id.sink] || { type: null, inactive: true, ...emptyCounts() };
+    sinks[_id.sink][_id.status] = count;
+    if (_id.status === 'pending') sinks[_id.sink].queueLagSeconds = secondsSince(oldestVersion, now);
+  }
+
+  const cursors = await SyncCursor.find({
+    _id: { $in: activeSinks.flatMap(sink => [`sink:${sink._id}`, getBackfillId(sink._id)]) }
+  }).select('-resumeToken').lean();
+  const cursorsById = new Map(cursors.map(cursor => [cursor._id, cursor]));
+
+  for (const sink of activeSinks) {
+    const cursor = cursorsById.get(`sink:${sink._id}`);
+    const watermark = cursor?.watermark?.updatedAt ? cursor.watermark : null;
+    const unscanned = getClickPageFilter(sink, watermark, { from: sink.startAt, to: new Date(now) });
+    const [remaining, next] = await Promise.all([
+      UtmClick.countDocuments(unscanned),
+      UtmClick.findOne(unscanned).sort({ updatedAt: 1, _id: 1 }).select('updatedAt').lean()
+    ]);
+    const backfill = cursorsById.get(getBackfillId(sink._id));
+
+    Object.assign(sinks[sink._id], {
+      watermark,
+      remaining,
+      sweepLagSeconds: secondsSince(next?.updatedAt, now),
+      lastWriteAt: cursor?.lastEventAt || null,
+      state: cursor?.status || null,
+      error: cursor?.error || null,
+      totals: cursor?.progress || null,
+      backfill: backfill
+        ? { status: backfill.status, range: backfill.range, watermark: backfill.watermark, progress: backfill.progress, error: backfill.error }
+        : null
+    });
+  }
+
+  const oldest = await ExportJob.findOne({ status: 'pending' }).sort({ createdAt: 1 }).select('createdAt').lean();
+  stats.oldestPendingAt = oldest?.createdAt || null;
+  stats.worker = WORKER_ID;
+  stats.rebuilding = Boolean(await getActiveRebuild());
+  stats.sinks = sinks;
+  return stats;
+}
+
+// =============================================
+// Scheduled & real-time producers
+// =============================================
+
+async function scheduledSync() {
+  const startTime = Date.now();
+  const result = {
+    success: false,
+    duration: 0,
+    syncedCount: 0
+  };
+
+  try {
+    result.sweep = await sweepSinks();
+    const queueResult = await processExportQueue();
+    result.success = true;
+    result.syncedCount = queueResult.synced;
+    result.queue = queueResult;
+    result.duration = Date.now() - startTime;
+
+    // Model comparison tab is best-effort - never fail the main sync over it
+    try {
+      result.attributionModels = await syncAttributionModels();
+    } catch (err) {
+      console.error('⚠️ Attribution models sync failed:', err.message);
+    }
+  } catch (err) {
+    result.error = err.message;
+    result.retryable = err.message.includes('quota') || err.code === 429;
+  } finally {
+    result.timestamp = new Date().toISOString();
+    console.log('⏱️ Sync result:', result);
+    return result;
+  }
+}
+
+async function saveResumeToken(resumeToken) {
+  await SyncCursor.updateOne(
+    { _id: CURSOR_ID },
+    { resumeToken, lastEventAt: new Date() },
+    { upsert: true }
+  );
+}
+
+// Real-time sync using MongoDB Change Streams - enqueue only, never write here
+async function setupRealtimeSync() {
+  console.log('🔄 Setting up real-time MongoDB export sync');
+
+  let changeStream = null;
+  let resubscribeTimer = null;
+  let closed = false;
+  // Changes are handled one at a time so the saved token never skips ahead
+  let handling = Promise.resolve();
+
+  const resubscribe = () => {
+    if (closed || resubscribeTimer) return;
+    resubscribeTimer = setTimeout(() => {
+      resubscribeTimer = null;
+      subscribe().catch(err => {
+        console.error('💥 Failed to set up real-time sync:', err.message);
+        resubscribe();
+      });
+    }, RESUBSCRIBE_DELAY_MS);
+  };
+
+  const handleChange = async change => {
+    const doc = change.fullDocument;
+    const updatedFields = change.operationType === 'update'
+      ? [...Object.keys(change.updateDescription?.updatedFields || {}), ...(change.updateDescription?.removedFields || [])]
+      : [];
+    // A worker recording its own write
+    const bookkeeping = updatedFields.length > 0 && updatedFields.every(field => BOOKKEEPING_FIELDS.test(field));
+
+    if (doc && !bookkeeping) {
+      await enqueueExports([doc._id]);
+    }
+    await saveResumeToken(change._id);
+  };
+
+  const subscribe = async () => {
+    const cursor = await SyncCursor.findById(CURSOR_ID).lean();
+    const options = { fullDocument: 'updateLookup' };
+
+    if (cursor?.resumeToken) {
+      options.resumeAfter = cursor.resumeToken;
+      console.log(`🔖 Resuming change stream from ${cursor.lastEventAt?.toISOString() || 'saved token'}`);
+    } else {
+      // No token yet - anything that changed before now is picked up by a sweep
+      await sweepSinks();
+    }
+
+    changeStream = UtmClick.watch([
+      {
+        $match: {
+          operationType: { $in: ['insert', 'update', 'replace'] },
+          'fullDocument.hasEngaged': true,
+          'fullDocument.source': { $ne: 'direct_message' }
+        }
+      }
+    ], options);
+
+    changeStream.on('change', change => {
+      handling = handling
+        .then(() => handleChange(change))
+        .catch(err => console.error('❌ Real-time enqueue error:', err.message));
+    });
+
+    changeStream.on('error', async error => {
+      console.error('🚨 Change stream error:', error.message);
+      changeStream.close().catch(() => {});
+
+      if (LOST_HISTORY_CODES.includes(error.code)) {
+        console.warn('⚠️ Resume token expired - restarting the change stream with a catch-up sweep');
+        await SyncCursor.updateOne({ _id: CURSOR_ID }, { resumeToken: null }).catch(() => {});
+      }
+      resubscribe();
+    });
+  };
+
+  try {
+    await subscribe();
+  } catch (err) {
+    console.error('💥 Failed to set up real-time sync:', err.message);
+    resubscribe();
+  }
+
+  // Return cleanup function
+  return () => {
+    console.log('🛑 Closing change stream');
+    closed = true;
+    clearTimeout(resubscribeTimer);
+    clearTimeout(triggerTimer);
+    if (changeStream) changeStream.close().catch(() => {});
+  };
+}
+
+module.exports = {
+  enqueueExports,
+  sweepSinks,
+  startBackfill,
+  listBackfills,
+  processExportQueue,
+  retryDeadJobs,
+  listExportJobs,
+  getExportQueueStats,
+  startSheetsRebuild,
+  getRebuildStatus,
+  scheduledSync,
+  setupRealtimeSync
+};
@@ -0,0 +1,360 @@
+const { ExportSchema } = require('./db');
+const { toE164 } = require('./phone');
+const { hasTrackingConsent, redactClick } = require('./clicks');
+require('dotenv').config();
+
+// Export schema
+// Declarative column layout for exported click records: header, where the
+// value comes from (a field, a fallback chain of fields, or a registered
+// expression) and how it is formatted. A named schema is read from the
+// exportSchemas collection, then (for "sheets") SHEETS_EXPORT_SCHEMA (JSON),
+// then the built-in default below. Export sinks pick a schema by name.
+
+const SCHEMA_CACHE_TTL_MS = 60 * 1000;
+const FORMATS = ['text', 'number', 'boolean', 'datetime', 'date', 'phone'];
+const DATETIME_STYLES = ['iso', 'local'];
+// Row index column - every schema needs it so rows can be updated in place
+const SESSION_ID_KEY = 'session_id';
+
+class ExportSchemaError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ExportSchemaError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Utm fields fall back to the raw ad-platform URL params captured on the click
+const paramChain = (names, field) => [...names.map(name => `original_params.${name}`), field];
+
+const DEFAULT_COLUMNS = [
+  { key: 'timestamp', header: 'Timestamp', fields: ['click_time', 'timestamp'], format: 'datetime' },
+  { key: 'phone', header: 'Phone Number', field: 'phoneNumber', format: 'phone', default: 'N/A' },
+  {
+    key: 'utm_source', header: 'UTM Source', default: 'direct',
+    fields: paramChain(['CampaignSource', 'Campaign Source', 'Campaign_Source', 'source'], 'source')
+  },
+  {
+    key: 'utm_medium', header: 'UTM Medium', default: 'organic',
+    fields: paramChain(['AdSetName', 'Ad Set Name', 'Ad_Set_Name', 'medium'], 'medium')
+  },
+  {
+    key: 'utm_campaign', header: 'UTM Campaign', default: 'none',
+    fields: paramChain(['CampaignName', 'Campaign Name', 'Campaign_Name', 'campaign'], 'campaign')
+  },
+  {
+    key: 'utm_content', header: 'UTM Content', default: 'none',
+    fields: paramChain(['AdName', 'Ad Name', 'Ad_Name', 'content'], 'content')
+  },
+  { key: 'placement', header: 'Placement', fields: paramChain(['Placement', 'placement'], 'placement'), default: 'N/A' },
+  { key: 'engaged', header: 'Engaged', field: 'hasEngaged', format: 'boolean', trueValue: '✅ YES', falseValue: '❌ NO' },
+  { key: 'engaged_at', header: 'Engaged At', field: 'engagedAt', format: 'datetime', default: 'N/A' },
+  { key: 'attribution_source', header: 'Attribution Source', field: 'attribution_source', default: 'unknown' },
+  { key: 'contact_id', header: 'Contact ID', field: 'contactId', default: 'N/A' },
+  { key: 'conversation_id', header: 'Conversation ID', field: 'conversationId', default: 'N/A' },
+  { key: 'contact_name', header: 'Contact Name', field: 'contactName', default: 'Anonymous' },
+  { key: 'last_message', header: 'Last Message', field: 'lastMessage', maxLength: 150, singleLine: true, default: 'No text content' },
+  { key: 'lifecycle_stage', header: 'Lifecycle Stage', field: 'lifecycle_stage', default: 'N/A' },
+  { key: 'conversion_value', header: 'Conversion Value', expression: 'conversion_value', default: '0' },
+  { key: 'first_message', header: 'First Message', field: 'firstMessage', maxLength: 150, singleLine: true, default: 'N/A' },
+  { key: 'message_count', header: 'Message Count', field: 'messageCount', format: 'number', default: 0 },
+  // Bot-flagged clicks are exported too, but must not pass for ad traffic
+  { key: 'is_suspicious', header: 'Suspicious', field: 'is_suspicious', format: 'boolean', trueValue: '⚠️ YES', falseValue: 'NO' },
+  { key: 'suspicion_reasons', header: 'Suspicion Reasons', expression: 'suspicion_reasons', default: '' },
+  { key: SESSION_ID_KEY, header: 'Session ID', field: '_id' }
+];
+
+// =============================================
+// Expressions
+// =============================================
+
+const expressions = new Map();
+
+// Computed values a column can reference by name instead of a field
+function registerExportExpression(name, fn) {
+  expressions.set(name, fn);
+}
+
+registerExportExpression('conversion_value', data =>
+  data.conversion_value ? `${data.conversion_value} ${data.conversion_currency || ''}`.trim() : null
+);
+
+registerExportExpression('utm', data =>
+  [data.source, data.medium, data.campaign].filter(Boolean).join(' / ') || null
+);
+
+registerExportExpression('suspicion_reasons', data =>
+  data.suspicion_reasons?.length ? data.suspicion_reasons.join(', ') : null
+);
+
+// =============================================
+// Validation
+// =============================================
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function validateColumn(column, i) {
+  const label = `columns[${i}]`;
+  if (!column || typeof column !== 'object') {
+    throw new ExportSchemaError(`${label} must be an object`);
+  }
+  if (!column.key || !/^[a-z][a-z0-9_]*$/.test(column.key)) {
+    throw new ExportSchemaError(`${label}.key must be snake_case`);
+  }
+
+  const sources = ['field', 'fields', 'expression'].filter(name => column[name] !== undefined);
+  if (sources.length !== 1) {
+    throw new ExportSchemaError(`${label} needs exactly one of field, fields or expression`);
+  }
+  if (column.fields !== undefined && (!Array.isArray(column.fields) || column.fields.length === 0)) {
+    throw new ExportSchemaError(`${label}.fields must be a non-empty list`);
+  }
+  if (column.expression !== undefined && !expressions.has(column.expression)) {
+    throw new ExportSchemaError(`${label}.expression must be one of: ${[...expressions.keys()].join(', ')}`);
+  }
+
+  const format = column.format || 'text';
+  if (!FORMATS.includes(format)) {
+    throw new ExportSchemaError(`${label}.format must be one of: ${FORMATS.join(', ')}`);
+  }
+  if (column.style && !DATETIME_STYLES.includes(column.style)) {
+    throw new ExportSchemaError(`${label}.style must be one of: ${DATETIME_STYLES.join(', ')}`);
+  }
+  if (column.timezone && !isValidTimezone(column.timezone)) {
+    throw new ExportSchemaError(`${label}.timezone is not a valid IANA time zone`);
+  }
+  if (column.maxLength !== undefined && !(Number(column.maxLength) > 0)) {
+    throw new ExportSchemaError(`${label}.maxLength must be a positive number`);
+  }
+
+  return {
+    key: column.key,
+    header: column.header ? String(column.header) : column.key,
+    // Earlier headers of this column - lets a rename move the existing data along
+    aliases: Array.isArray(column.aliases) ? column.aliases.map(String) : [],
+    ...(column.field !== undefined && { field: String(column.field) }),
+    ...(column.fields !== undefined && { fields: column.fields.map(String) }),
+    ...(column.expression !== undefined && { expression: column.expression }),
+    format,
+    ...(column.style && { style: column.style }),
+    ...(column.timezone && { timezone: column.timezone }),
+    ...(column.maxLength !== undefined && { maxLength: Math.floor(Number(column.maxLength)) }),
+    ...(column.singleLine && { singleLine: true }),
+    ...(column.trueValue !== undefined && { trueValue: column.trueValue }),
+    ...(column.falseValue !== undefined && { falseValue: column.falseValue }),
+    ...(column.default !== undefined && { default: column.default })
+  };
+}
+
+function validateExportSchema(data = {}) {
+  const timezone = data.timezone || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    throw new ExportSchemaError('timezone is not a valid IANA time zone');
+  }
+  if (!Array.isArray(data.columns) || data.columns.length === 0) {
+    throw new ExportSchemaError('columns must be a non-empty list');
+  }
+
+  const columns = data.columns.map(validateColumn);
+
+  const seen = new Set();
+  for (const name of columns.flatMap(c => [c.key, `header:${c.header}`])) {
+    if (seen.has(name)) {
+      throw new ExportSchemaError(`Duplicate column ${name.replace('header:', 'header ')}`);
+    }
+    seen.add(name);
+  }
+
+  const sessionColumn = columns.find(c => c.key === SESSION_ID_KEY);
+  if (!sessionColumn || sessionColumn.field !== '_id') {
+    throw new ExportSchemaError(`columns must include { key: '${SESSION_ID_KEY}', field: '_id' } - it is the row index`);
+  }
+
+  return { timezone, columns };
+}
+
+// =============================================
+// Active schema
+// =============================================
+
+function getDefaultSchema() {
+  return validateExportSchema({
+    timezone: process.env.SHEETS_TIMEZONE || 'UTC',
+    columns: DEFAULT_COLUMNS
+  });
+}
+
+// SHEETS_EXPORT_SCHEMA - a bad value is logged and ignored rather than stopping the sync
+function getConfiguredSchema() {
+  if (!process.env.SHEETS_EXPORT_SCHEMA) return null;
+  try {
+    return validateExportSchema(JSON.parse(process.env.SHEETS_EXPORT_SCHEMA));
+  } catch (err) {
+    console.error('⚠️ Ignoring invalid SHEETS_EXPORT_SCHEMA:', err.message);
+    return null;
+  }
+}
+
+const schemaCache = new Map();
+
+async function getExportSchema(name = 'sheets', { fresh = false } = {}) {
+  const cached = schemaCache.get(name);
+  if (!fresh && cached && cached.expiresAt > Date.now()) {
+    return cached.schema;
+  }
+
+  const stored = await ExportSchema.findById(name).lean();
+  let schema;
+  if (stored) {
+    schema = { ...validateExportSchema(stored), source: 'database' };
+  } else {
+    const configured = name === 'sheets' ? getConfiguredSchema() : null;
+    schema = configured ? { ...configured, source: 'config' } : { ...getDefaultSchema(), source: 'default' };
+  }
+
+  schemaCache.set(name, { schema, expiresAt: Date.now() + SCHEMA_CACHE_TTL_MS });
+  return schema;
+}
+
+async function saveExportSchema(name, data) {
+  const { timezone, columns } = validateExportSchema(data);
+  await ExportSchema.findByIdAndUpdate(name, { timezone, columns }, { upsert: true, new: true });
+
+  schemaCache.delete(name);
+  console.log(`🧾 Export schema "${name}" updated: ${columns.length} columns`);
+  return getExportSchema(name);
+}
+
+// Back to config / default
+async function resetExportSchema(name) {
+  await ExportSchema.deleteOne({ _id: name });
+  schemaCache.delete(name);
+  return getExportSchema(name);
+}
+
+// =============================================
+// Rendering
+// =============================================
+
+function getPath(data, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+// Date parts in a time zone, via Intl
+function dateParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map(part => [part.type, part.value]));
+}
+
+function formatDate(date, { timezone, style, dateOnly }) {
+  if (!dateOnly && style === 'iso' && timezone === 'UTC') {
+    return date.toISOString();
+  }
+
+  const p = dateParts(date, timezone);
+  const day = `${p.year}-${p.month}-${p.day}`;
+  if (dateOnly) return day;
+
+  const time = `${p.hour}:${p.minute}:${p.second}`;
+  // "local" is what Sheets parses as a date-time value with USER_ENTERED
+  if (style === 'local') return `${day} ${time}`;
+
+  const offsetMinutes = Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offsetMinutes) % 60).padStart(2, '0');
+  return `${day}T${time}${sign}${hours}:${minutes}`;
+}
+
+function formatValue(value, column, schema, options) {
+  switch (column.format) {
+    case 'boolean':
+      return value ? (column.trueValue ?? 'TRUE') : (column.falseValue ?? 'FALSE');
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : column.default ?? '';
+    }
+    case 'datetime':
+    case 'date': {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) return column.default ?? '';
+      return formatDate(date, {
+        timezone: column.timezone || schema.timezone,
+        style: column.style || 'iso',
+        dateOnly: column.format === 'date'
+      });
+    }
+    case 'phone': {
+      const phone = toE164(value, { international: true }) || value;
+      // Leading apostrophe keeps the "+" - Sheets would turn the number into a numeric value
+      return options.sheets ? `'${phone}` : phone;
+    }
+    default: {
+      let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      if (column.singleLine) text = text.replace(/\n/g, ' ');
+      if (column.maxLength) text = text.substring(0, column.maxLength);
+      return text;
+    }
+  }
+}
+
+function columnValue(data, column, schema, options) {
+  let value;
+  if (column.expression) {
+    value = expressions.get(column.expression)(data);
+  } else {
+    const fields = column.fields || [column.field];
+    value = fields.map(field => getPath(data, field)).find(candidate => !isEmpty(candidate));
+  }
+
+  // Booleans render false rather than falling back
+  if (column.format === 'boolean') return formatValue(value, column, schema, options);
+  if (isEmpty(value)) return column.default ?? '';
+  return formatValue(value, column, schema, options);
+}
+
+// One row of cell values, in schema column order. { sheets: true } renders
+// values the way Sheets' USER_ENTERED input needs them. Columns reading a
+// visitor or ad-click identifier come out empty for clicks without consent.
+function toRow(doc, schema, options = {}) {
+  const click = doc.toObject ? doc.toObject() : doc;
+  const data = hasTrackingConsent(click) ? click : redactClick(click);
+  return schema.columns.map(column => columnValue(data, column, schema, options));
+}
+
+// Same values keyed by column key
+function toRecord(doc, schema, options = {}) {
+  const row = toRow(doc, schema, options);
+  return Object.fromEntries(schema.columns.map((column, i) => [column.key, row[i]]));
+}
+
+function getHeaders(schema) {
+  return schema.columns.map(column => column.header);
+}
+
+module.exports = {
+  ExportSchemaError,
+  SESSION_ID_KEY,
+  registerExportExpression,
+  validateExportSchema,
+  getExportSchema,
+  saveExportSchema,
+  resetExportSchema,
+  toRow,
+  toRecord,
+  getHeaders
+};
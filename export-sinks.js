@@ -0,0 +1,487 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const AWS = require('aws-sdk');
+const { ExportSink } = require('./db');
+const { getExportSchema, getHeaders, toRecord } = require('./export-schema');
+const { getSheetsDestinations, findDestination, writeToSheet } = require('./google-sheets-sync');
+require('dotenv').config();
+
+// Export sinks
+// Everywhere engaged clicks are exported to. Sink types are pluggable: each
+// one writes a batch of clicks and may split the batch into partitions
+// (Sheets: one per destination tab). Sinks are registered in the exportSinks
+// collection; the Google Sheets sink is built in. Every sink keeps its own
+// sync state - sinkSync.<sinkId> on the click holds the version last written.
+
+const SINK_CACHE_TTL_MS = 60 * 1000;
+const SECRET_CACHE_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 10000;
+const FORMATS = ['jsonl', 'csv'];
+
+// Webhook sink headers a sink config can't set: hop-by-hop and transport
+// headers, and the ones the signature scheme owns
+const RESERVED_WEBHOOK_HEADERS = [
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'proxy-connection',
+  'te', 'trailer', 'transfer-encoding', 'upgrade', 'host', 'content-length', 'content-type',
+  'x-utm-signature', 'x-utm-timestamp', 'x-utm-delivery-id', 'idempotency-key'
+];
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+const secretsManager = new AWS.SecretsManager({
+  region: process.env.AWS_REGION || 'ap-south-1'
+});
+
+class ExportSinkError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ExportSinkError';
+    this.statusCode = statusCode;
+  }
+}
+
+// =============================================
+// Sink types
+// =============================================
+
+const sinkTypes = new Map();
+
+// { type, validate(config, sink), write(sink, clicks, partition), partition?,
+//   isPending? (instead of "sinkSync.<id> older than updatedAt"), syncedFields?, secretFields? }
+function registerSinkType(sinkType) {
+  if (!sinkType?.type || typeof sinkType.write !== 'function') {
+    throw new Error('Sink type requires a type and a write() function');
+  }
+  sinkTypes.set(sinkType.type, sinkType);
+}
+
+function getSinkType(type) {
+  const sinkType = sinkTypes.get(type);
+  if (!sinkType) throw new ExportSinkError(`Unknown sink type: ${type}`, 500);
+  return sinkType;
+}
+
+let secretCache = new Map();
+
+async function getSinkSecret(secretName) {
+  const cached = secretCache.get(secretName);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const data = await secretsManager.getSecretValue({ SecretId: secretName }).promise();
+  secretCache.set(secretName, { value: data.SecretString, expiresAt: Date.now() + SECRET_CACHE_TTL_MS });
+  return data.SecretString;
+}
+
+// Records for a batch, built with the sink's export schema
+async function buildRecords(sink, clicks) {
+  const schema = await getExportSchema(sink.schema || 'default');
+  return { schema, records: clicks.map(click => toRecord(click, schema)) };
+}
+
+function toCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// File body for the file and s3 sinks - CSV with a header row, or newline-delimited JSON
+function serializeRecords(format, schema, records) {
+  if (format === 'csv') {
+    const keys = schema.columns.map(column => column.key);
+    const lines = [
+      getHeaders(schema).map(toCsvValue).join(','),
+      ...records.map(record => keys.map(key => toCsvValue(record[key])).join(','))
+    ];
+    return { body: `${lines.join('\r\n')}\r\n`, contentType: 'text/csv', extension: 'csv' };
+  }
+  return {
+    body: records.map(record => JSON.stringify(record)).join('\n') + '\n',
+    contentType: 'application/x-ndjson',
+    extension: 'jsonl'
+  };
+}
+
+// <sinkId>/YYYY/MM/DD/<timestamp>-<random>.<ext> - never overwrites an earlier drop
+function buildObjectKey(sink, extension) {
+  const now = new Date();
+  const day = now.toISOString().slice(0, 10).replace(/-/g, '/');
+  const stamp = now.toISOString().replace(/[:.]/g, '-');
+  return `${sink._id}/${day}/${stamp}-${crypto.randomUUID().slice(0, 8)}.${extension}`;
+}
+
+function validateFormat(format) {
+  const value = format || 'jsonl';
+  if (!FORMATS.includes(value)) {
+    throw new ExportSinkError(`format must be one of: ${FORMATS.join(', ')}`);
+  }
+  return value;
+}
+
+// Google Sheets - rows updated in place, one partition per destination tab
+registerSinkType({
+  type: 'sheets',
+  validate: () => ({}),
+  async partition(sink, clicks) {
+    const destinations = await getSheetsDestinations();
+    const groups = new Map();
+    for (const click of clicks) {
+      const destination = findDestination(destinations, click.channel_number);
+      const key = `${destination.spreadsheetId}/${destination.sheetName}`;
+      if (!groups.has(key)) groups.set(key, { key, destination, clicks: [] });
+      groups.get(key).clicks.push(click);
+    }
+    return [...groups.values()];
+  },
+  async write(sink, clicks, { destination }) {
+    const result = await writeToSheet(destination, clicks);
+    return { count: result.count, updated: result.updated, appended: result.appended };
+  },
+  // Clicks synced before sinks existed only carry syncedToSheets; the
+  // dashboard re-queues a click by clearing it
+  isPending: (sink, click) => click.syncedToSheets === false ||
+    Boolean(click.sinkSync?.sheets && new Date(click.sinkSync.sheets) < new Date(click.updatedAt)),
+  syncedFields: lastSynced => ({ syncedToSheets: true, lastSynced })
+});
+
+// CSV / JSONL file drop on local disk. Files only ever land under
+// EXPORT_FILE_DIR (default ./exports); config.directory is a subdirectory of it.
+function getFileExportRoot() {
+  return path.resolve(process.env.EXPORT_FILE_DIR || 'exports');
+}
+
+function resolveExportDirectory(directory) {
+  const relative = String(directory || '');
+  if (path.isAbsolute(relative) || relative.split(/[\\/]/).includes('..')) {
+    throw new ExportSinkError('config.directory must be a relative path under EXPORT_FILE_DIR, without ".."');
+  }
+
+  const root = getFileExportRoot();
+  const resolved = path.resolve(root, relative);
+  if (resolved !== root && !resolved.startsWith(`${root}${path.sep}`)) {
+    throw new ExportSinkError('config.directory must stay inside EXPORT_FILE_DIR');
+  }
+  return resolved;
+}
+
+registerSinkType({
+  type: 'file',
+  validate(config, sink) {
+    validateFormat(sink.format);
+    const directory = config.directory ? String(config.directory) : '';
+    resolveExportDirectory(directory);
+    return { directory };
+  },
+  async write(sink, clicks) {
+    // Checked again here - sinks stored before the root existed may point anywhere
+    const directory = resolveExportDirectory(sink.config.directory);
+    const { schema, records } = await buildRecords(sink, clicks);
+    const { body, extension } = serializeRecords(sink.format || 'jsonl', schema, records);
+    const filePath = path.join(directory, buildObjectKey(sink, extension));
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, body, { flag: 'wx' });
+    console.log(`📁 Export ${sink._id}: ${records.length} record(s) → ${filePath}`);
+    return { count: records.length, location: filePath };
+  }
+});
+
+// S3-compatible object store (AWS S3, MinIO, ...)
+const s3Clients = new Map();
+
+async function getS3Client(sink) {
+  const { endpoint, region, forcePathStyle, accessKeyId, secretAccessKey, credentialsSecretName } = sink.config;
+  const cacheKey = `${sink._id}:${sink.updatedAt?.getTime?.() || 0}`;
+  if (s3Clients.has(cacheKey)) return s3Clients.get(cacheKey);
+
+  // Explicit keys (MinIO), a Secrets Manager JSON { accessKeyId, secretAccessKey }, or the default chain
+  let credentials = accessKeyId ? { accessKeyId, secretAccessKey } : null;
+  if (!credentials && credentialsSecretName) {
+    credentials = JSON.parse(await getSinkSecret(credentialsSecretName));
+  }
+
+  const client = new AWS.S3({
+    region: region || process.env.AWS_REGION || 'ap-south-1',
+    ...(endpoint && { endpoint }),
+    s3ForcePathStyle: Boolean(forcePathStyle),
+    signatureVersion: 'v4',
+    ...(credentials && { accessKeyId: credentials.accessKeyId, secretAccessKey: credentials.secretAccessKey })
+  });
+  s3Clients.set(cacheKey, client);
+  return client;
+}
+
+registerSinkType({
+  type: 's3',
+  secretFields: ['secretAccessKey'],
+  validate(config, sink) {
+    validateFormat(sink.format);
+    if (!config.bucket) {
+      throw new ExportSinkError('config.bucket is required');
+    }
+    if (config.endpoint && !/^https?:\/\//.test(config.endpoint)) {
+      throw new ExportSinkError('config.endpoint must be an http(s) URL');
+    }
+    if (Boolean(config.accessKeyId) !== Boolean(config.secretAccessKey)) {
+      throw new ExportSinkError('config.accessKeyId and config.secretAccessKey go together');
+    }
+    return {
+      bucket: String(config.bucket),
+      prefix: config.prefix ? String(config.prefix).replace(/^\/+/, '') : '',
+      endpoint: config.endpoint ? String(config.endpoint) : null,
+      region: config.region ? String(config.region) : null,
+      forcePathStyle: Boolean(config.forcePathStyle),
+      accessKeyId: config.accessKeyId ? String(config.accessKeyId) : null,
+      secretAccessKey: config.secretAccessKey ? String(config.secretAccessKey) : null,
+      credentialsSecretName: config.credentialsSecretName ? String(config.credentialsSecretName) : null
+    };
+  },
+  async write(sink, clicks) {
+    const { schema, records } = await buildRecords(sink, clicks);
+    const { body, contentType, extension } = serializeRecords(sink.format || 'jsonl', schema, records);
+    const key = `${sink.config.prefix}${buildObjectKey(sink, extension)}`;
+
+    const s3 = await getS3Client(sink);
+    await s3.putObject({ Bucket: sink.config.bucket, Key: key, Body: body, ContentType: contentType }).promise();
+    console.log(`🪣 Export ${sink._id}: ${records.length} record(s) → s3://${sink.config.bucket}/${key}`);
+    return { count: records.length, location: `s3://${sink.config.bucket}/${key}` };
+  }
+});
+
+// Signed HTTP webhook - x-utm-signature is "sha256=" + HMAC-SHA256 of
+// "<x-utm-timestamp>.<raw body>", the same scheme inbound Gallabox webhooks use
+function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+const isReservedHeader = name => RESERVED_WEBHOOK_HEADERS.includes(String(name).toLowerCase());
+
+async function postWebhook(sink, secret, records, idempotencyKey) {
+  const body = JSON.stringify({
+    event: 'lead.upserted',
+    sink: sink._id,
+    sentAt: new Date().toISOString(),
+    records
+  });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  const response = await fetch(sink.config.url, {
+    method: 'POST',
+    headers: {
+      // Filtered again for sinks saved before the allow-list
+      ...Object.fromEntries(Object.entries(sink.config.headers || {}).filter(([name]) => !isReservedHeader(name))),
+      'Content-Type': 'application/json',
+      'x-utm-timestamp': timestamp,
+      'x-utm-delivery-id': crypto.randomUUID(),
+      'Idempotency-Key': idempotencyKey,
+      ...(secret && { 'x-utm-signature': signWebhook(secret, timestamp, body) })
+    },
+    body,
+    signal: AbortSignal.timeout(sink.config.timeoutMs)
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`HTTP error ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }
+}
+
+registerSinkType({
+  type: 'webhook',
+  secretFields: ['secret'],
+  validate(config) {
+    let url;
+    try {
+      url = new URL(config.url);
+    } catch (err) {
+      throw new ExportSinkError('config.url must be a valid URL');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new ExportSinkError('config.url must be an http(s) URL');
+    }
+    const headers = config.headers && typeof config.headers === 'object' ? config.headers : {};
+    for (const name of Object.keys(headers)) {
+      if (!HEADER_NAME_PATTERN.test(name)) {
+        throw new ExportSinkError(`config.headers: invalid header name "${name}"`);
+      }
+      if (isReservedHeader(name)) {
+        throw new ExportSinkError(`config.headers: "${name}" can't be set on a webhook sink`);
+      }
+    }
+    return {
+      url: url.toString(),
+      secret: config.secret ? String(config.secret) : null,
+      secretName: config.secretName ? String(config.secretName) : null,
+      headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name, String(value)])),
+      timeoutMs: Number(config.timeoutMs) > 0 ? Math.floor(Number(config.timeoutMs)) : DEFAULT_WEBHOOK_TIMEOUT_MS,
+      // One request for the whole batch instead of one per lead
+      batch: Boolean(config.batch)
+    };
+  },
+  async write(sink, clicks) {
+    const { records } = await buildRecords(sink, clicks);
+    const secret = sink.config.secret || (sink.config.secretName ? await getSinkSecret(sink.config.secretName) : null);
+    const items = records.map((data, i) => ({
+      id: String(clicks[i]._id),
+      version: clicks[i].updatedAt ? new Date(clicks[i].updatedAt).toISOString() : null,
+      data
+    }));
+
+    if (sink.config.batch) {
+      await postWebhook(sink, secret, items, crypto.createHash('sha256').update(items.map(i => `${i.id}:${i.version}`).join('|')).digest('hex'));
+      return { count: items.length };
+    }
+
+    // One lead per request - a failure only retries that lead
+    const failed = [];
+    for (const item of items) {
+      try {
+        await postWebhook(sink, secret, [item], `${item.id}:${item.version}`);
+      } catch (err) {
+        failed.push({ sessionId: item.id, error: err.message });
+      }
+    }
+    return { count: items.length - failed.length, failed };
+  }
+});
+
+// =============================================
+// Registry
+// =============================================
+
+// Built-in Sheets sink - a registry entry with the same ID overrides it
+function getBuiltInSinks() {
+  return [{
+    _id: 'sheets',
+    type: 'sheets',
+    name: 'Google Sheets',
+    schema: 'sheets',
+    format: null,
+    config: {},
+    brands: [],
+    startAt: null,
+    active: process.env.SHEETS_SYNC_ENABLED !== 'false',
+    builtIn: true
+  }];
+}
+
+let sinkCache = { sinks: null, expiresAt: 0 };
+
+// Active sinks, or every registered one with { all: true }
+async function listSinks({ all = false } = {}) {
+  if (!sinkCache.sinks || sinkCache.expiresAt <= Date.now()) {
+    const registered = await ExportSink.find().lean();
+    const builtIn = getBuiltInSinks().filter(sink => !registered.some(r => r._id === sink._id));
+    sinkCache = { sinks: [...registered, ...builtIn], expiresAt: Date.now() + SINK_CACHE_TTL_MS };
+  }
+
+  return all ? sinkCache.sinks : sinkCache.sinks.filter(sink => sink.active && sinkTypes.has(sink.type));
+}
+
+async function getSink(sinkId) {
+  const sinks = await listSinks();
+  return sinks.find(sink => sink._id === sinkId) || null;
+}
+
+// Does a click belong in this sink at all (brand, start date)?
+function sinkAccepts(sink, click) {
+  if (sink.brands?.length > 0 && !sink.brands.includes(click.brand)) return false;
+  if (sink.startAt && click.updatedAt && new Date(click.updatedAt) < new Date(sink.startAt)) return false;
+  return true;
+}
+
+// Does this sink still need the click's current version?
+function needsExport(sink, click) {
+  if (!sinkAccepts(sink, click)) return false;
+  const sinkType = getSinkType(sink.type);
+  if (sinkType.isPending) return sinkType.isPending(sink, click);
+
+  const version = click.sinkSync?.[sink._id];
+  return !version || new Date(version) < new Date(click.updatedAt);
+}
+
+// Batch → partitions written independently (default: one)
+async function partitionClicks(sink, clicks) {
+  const sinkType = getSinkType(sink.type);
+  if (sinkType.partition) return sinkType.partition(sink, clicks);
+  return [{ key: sink._id, clicks }];
+}
+
+async function writeToSink(sink, clicks, partition) {
+  const result = await getSinkType(sink.type).write(sink, clicks, partition);
+  return { count: result.count, failed: result.failed || [], ...result };
+}
+
+// Extra click fields to set once a sink has the latest version
+function getSyncedFields(sink, lastSynced) {
+  const sinkType = getSinkType(sink.type);
+  return sinkType.syncedFields ? sinkType.syncedFields(lastSynced) : {};
+}
+
+function validateSink(sinkId, data = {}) {
+  if (!/^[a-z0-9][a-z0-9-]{1,49}$/.test(sinkId)) {
+    throw new ExportSinkError('Sink ID must be 2-50 lowercase letters, digits or dashes');
+  }
+  if (!sinkTypes.has(data.type)) {
+    throw new ExportSinkError(`type must be one of: ${[...sinkTypes.keys()].join(', ')}`);
+  }
+  if (data.type === 'sheets' && sinkId !== 'sheets') {
+    throw new ExportSinkError('Sheets destinations are configured per channel - only the "sheets" sink has type sheets');
+  }
+
+  const format = ['file', 's3'].includes(data.type) ? validateFormat(data.format) : null;
+  const startAt = data.startAt ? new Date(data.startAt) : new Date();
+  if (Number.isNaN(startAt.getTime())) {
+    throw new ExportSinkError('startAt must be a date');
+  }
+
+  const sink = {
+    type: data.type,
+    name: data.name ? String(data.name) : sinkId,
+    schema: data.schema ? String(data.schema) : (data.type === 'sheets' ? 'sheets' : 'default'),
+    format,
+    brands: Array.isArray(data.brands) ? data.brands.map(String).filter(Boolean) : [],
+    // The built-in Sheets sink already covers history
+    startAt: data.type === 'sheets' ? null : startAt,
+    active: data.active !== false
+  };
+  sink.config = getSinkType(data.type).validate(data.config || {}, sink);
+  return sink;
+}
+
+async function upsertSink(sinkId, data) {
+  const fields = validateSink(sinkId, data);
+  const existing = await ExportSink.findById(sinkId).lean();
+  // Keep the original start date unless a new one is given
+  if (existing?.startAt && !data.startAt) fields.startAt = existing.startAt;
+
+  const sink = await ExportSink.findByIdAndUpdate(sinkId, fields, { upsert: true, new: true, setDefaultsOnInsert: true }).lean();
+
+  sinkCache = { sinks: null, expiresAt: 0 };
+  console.log(`📤 Export sink updated: ${sinkId} (${sink.type})`);
+  return sink;
+}
+
+// Registry entries without secrets, for the API
+function toPublicSink(sink) {
+  const secretFields = [...(sinkTypes.get(sink.type)?.secretFields || [])];
+  const config = { ...sink.config };
+  for (const field of secretFields) {
+    config[`has${field[0].toUpperCase()}${field.slice(1)}`] = Boolean(config[field]);
+    delete config[field];
+  }
+  return { ...sink, config };
+}
+
+module.exports = {
+  ExportSinkError,
+  registerSinkType,
+  signWebhook,
+  listSinks,
+  getSink,
+  sinkAccepts,
+  needsExport,
+  partitionClicks,
+  writeToSink,
+  getSyncedFields,
+  upsertSink,
+  toPublicSink
+};
@@ -1,22 +1,159 @@
-document.addEventListener('DOMContentLoaded', () => {
+function initUtmTracker() {
+    // Guard against the snippet being included twice on one page
+    if (window.__utmTrackerLoaded) return;
+    window.__utmTrackerLoaded = true;
+
     // =============================================
     // 1. Configuration & Constants
     // =============================================
-    const whatsappNumber = '919137279145';
+    // When served from GET /tracker.js?site=..., the server prepends the site's
+    // registry entry as window.UTM_TRACKER_CONFIG; the values below are the
+    // fallbacks for a hand-copied snippet.
+    const config = window.UTM_TRACKER_CONFIG || {};
+    const SNIPPET_VERSION = '2.5.3';
+    const siteId = config.site || null;
+
+    const whatsappNumber = config.whatsappNumber || '919137279145';
     
-    // 🚨 UPDATE THIS URL AFTER AWS DEPLOYMENT
+    // 🚨 UPDATE THIS URL AFTER AWS DEPLOYMENT (hand-copied snippet only)
     // Get this from: AWS Console → App Runner → Your Service → Default domain
-    const trackingEndpoint = 'https://YOUR-APP-RUNNER-URL.ap-south-1.awsapprunner.com/store-click';
+    const trackingEndpoint = config.trackingEndpoint || 'https://YOUR-APP-RUNNER-URL.ap-south-1.awsapprunner.com/store-click';
+    // Issues the session ID + signed ref code for the next WhatsApp click
+    const sessionEndpoint = config.sessionEndpoint || trackingEndpoint.replace(/\/store-click$/, '/click-session');
+    
+    const defaultMessage = config.defaultMessage || 'Hello!';
+
+    // Where a tracked CTA leads. Only WhatsApp clicks open a chat carrying a ref code.
+    const CTA_CHANNELS = ['whatsapp', 'call', 'form', 'telegram'];
+
+    // Any element with data-utm-track="<channel>" is tracked; these are tracked too.
+    // config.selectors are WhatsApp buttons (Chaty widget + plain wa.me links by default),
+    // config.ctas are { selector, channel, cta } entries for any other CTA.
+    const whatsappSelectors = config.selectors?.length ? config.selectors : [
+        '[data-channel="Whatsapp"] a.chaty-tooltip',
+        '.chaty-channel.Whatsapp-channel a',
+        'a[href*="wa.me"]'
+    ];
+    const ctaBindings = [
+        ...(config.ctas || []),
+        ...whatsappSelectors.map(selector => ({ selector, channel: 'whatsapp' }))
+    ].filter(isValidBinding);
+
+    // Values recorded when the page carries no campaign parameters
+    const utmDefaults = {
+        source: 'facebook',
+        medium: 'fb_ads',
+        campaign: 'unknown',
+        content: 'unknown',
+        placement: 'unknown',
+        ...config.utmDefaults
+    };
+    
+    // How long first/last-touch campaign parameters are remembered in this browser
+    const touchExpiryDays = config.touchExpiryDays || 30;
+    const TOUCH_STORAGE_KEY = 'utm_touches';
+    const VISITOR_STORAGE_KEY = 'utm_visitor_id';
+
+    // Site requires consent: until the visitor gives it, no signal counts as "no"
+    const consentRequired = config.consentRequired === true;
+    // TCF purposes needed for identifiers: store/access device info, measure ad performance
+    const TCF_PURPOSES = [1, 7];
     
-    const defaultMessage = 'Hello!';
-    const MAX_RETRIES = 8;
-    const POLL_INTERVAL = 250;
+    // Clicks that couldn't be delivered wait here for the next page load
+    const QUEUE_STORAGE_KEY = 'utm_click_queue';
+    const MAX_QUEUED_CLICKS = 20;
+    const MAX_DELIVERY_ATTEMPTS = 5;
+    const QUEUE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+    const MAX_BATCH_BYTES = 60000; // keepalive fetch and beacon bodies are capped at 64 KB
+
+    // =============================================
+    // 2. Consent
+    // =============================================
+    // Read from a TCF v2 CMP (__tcfapi), a CMP callback calling
+    // window.utmTracker.setConsent(true | false), or the global flag
+    // window.UTM_TRACKER_CONSENT (true / false / 'granted' / 'denied').
+    // Without consent only campaign-level data is sent and nothing is kept in the browser.
+    let cmpConsent = null;
+
+    function getConsent() {
+        if (cmpConsent) return cmpConsent;
+
+        const flag = window.UTM_TRACKER_CONSENT;
+        if (flag === true || flag === 'granted') return { state: 'granted', source: 'flag', tcfString: null };
+        if (flag === false || flag === 'denied') return { state: 'denied', source: 'flag', tcfString: null };
+        return { state: 'unknown', source: 'none', tcfString: null };
+    }
+
+    function hasConsent() {
+        const { state } = getConsent();
+        return state === 'granted' || (state === 'unknown' && !consentRequired);
+    }
+
+    function hasStoredData() {
+        try {
+            return [TOUCH_STORAGE_KEY, VISITOR_STORAGE_KEY, QUEUE_STORAGE_KEY].some(key => localStorage.getItem(key) !== null);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Consent withdrawn: forget everything this tracker kept in the browser
+    function clearStoredData() {
+        try {
+            [TOUCH_STORAGE_KEY, VISITOR_STORAGE_KEY, QUEUE_STORAGE_KEY].forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            // Storage blocked (private mode, cookies disabled)
+        }
+    }
+
+    // 'granted' / 'denied' from the values CMPs pass around; null for anything else
+    function normalizeConsent(value) {
+        if (value === true || value === 'granted') return 'granted';
+        if (value === false || value === 'denied') return 'denied';
+        return null;
+    }
+
+    // unknown -> granted: record this page's touch and send what earlier pages queued.
+    // -> denied: wipe storage, but only if there is something a past grant left behind.
+    // Anything that isn't an explicit answer leaves state and storage as they are.
+    function setConsent(value, source = 'cmp', tcfString = null) {
+        const state = normalizeConsent(value);
+        if (!state) {
+            console.warn('Ignoring consent value that is neither granted nor denied:', value);
+            return;
+        }
+
+        const hadConsent = hasConsent();
+        cmpConsent = { state, source, tcfString };
+
+        if (state === 'granted' && !hadConsent) {
+            recordTouch();
+            flushQueue();
+        } else if (state === 'denied' && (hadConsent || hasStoredData())) {
+            clearStoredData();
+        }
+    }
+
+    // Called on load and again whenever the visitor changes their choices
+    function listenForTcf() {
+        if (typeof window.__tcfapi !== 'function') return;
+
+        window.__tcfapi('addEventListener', 2, (tcData, success) => {
+            if (!success || !['tcloaded', 'useractioncomplete'].includes(tcData?.eventStatus)) return;
+
+            const granted = tcData.gdprApplies === false ||
+                TCF_PURPOSES.every(purpose => tcData.purpose?.consents?.[purpose] === true);
+            setConsent(granted, 'tcf', tcData.tcString || null);
+        });
+    }
+
+    window.utmTracker = { ...window.utmTracker, setConsent: (value) => setConsent(value) };
 
     // =============================================
-    // 2. Enhanced Parameter Handling
+    // 3. Enhanced Parameter Handling
     // =============================================
-    const getParam = (names) => {
-        const params = new URLSearchParams(window.location.search);
+    const getParam = (names, search = window.location.search) => {
+        const params = new URLSearchParams(search);
         
         // Check all name variations: original, lowercase, and underscore variants
         for (const name of names) {
@@ -35,127 +172,445 @@ document.addEventListener('DOMContentLoaded', () => {
         return '';
     };
 
+    const CLICK_ID_PARAMS = ['fbclid', 'gclid', 'wbraid', 'gbraid', 'ttclid', 'msclkid'];
+
+    // Ad network implied by the click ID when no UTM source was tagged
+    const CLICK_ID_SOURCES = {
+        gclid: 'google',
+        wbraid: 'google',
+        gbraid: 'google',
+        msclkid: 'bing',
+        ttclid: 'tiktok',
+        fbclid: 'facebook'
+    };
+
+    const PARAM_NAMES = {
+        source: ['Campaign Source', 'utm_source', 'site_source_name'],
+        medium: ['Ad Set Name', 'utm_medium', 'adset.name'],
+        campaign: ['Campaign Name', 'utm_campaign', 'campaign.name'],
+        content: ['Ad Name', 'utm_content', 'ad.name'],
+        placement: ['Placement', 'utm_placement']
+    };
+
+    function getClickIds(search) {
+        return Object.fromEntries(CLICK_ID_PARAMS.map(name => [name, getParam([name], search) || null]));
+    }
+
+    function getCookie(name) {
+        const match = document.cookie.match(new RegExp(`(?:^|; )${name}=([^;]*)`));
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
     // =============================================
-    // 3. Unified Tracking Data Construction
+    // 4. First & Last Touch Persistence
     // =============================================
-    function buildTrackingData(sessionId) {
-        return {
-            source: getParam(['Campaign Source', 'utm_source', 'site_source_name']) || 'facebook',
-            medium: getParam(['Ad Set Name', 'utm_medium', 'adset.name']) || 'fb_ads',
-            campaign: getParam(['Campaign Name', 'utm_campaign', 'campaign.name']) || 'unknown',
-            content: getParam(['Ad Name', 'utm_content', 'ad.name']) || 'unknown',
-            placement: getParam(['Placement', 'utm_placement']) || 'unknown',
-            gallabox_id: getParam(['gbx_id', 'gallabox_contact']),
-            original_params: Object.fromEntries(new URLSearchParams(window.location.search)),
+    const hasTrackingParams = (search) => {
+        const names = [...Object.values(PARAM_NAMES).flat(), ...CLICK_ID_PARAMS];
+        return names.some(name => getParam([name], search));
+    };
+
+    function readTouches() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(TOUCH_STORAGE_KEY) || '{}');
+            const now = Date.now();
+            return {
+                first: stored.first && stored.first.expires_at > now ? stored.first : null,
+                last: stored.last && stored.last.expires_at > now ? stored.last : null
+            };
+        } catch (error) {
+            return { first: null, last: null };
+        }
+    }
+
+    function buildTouch(search) {
+        const touch = {
+            params: Object.fromEntries(new URLSearchParams(search)),
+            click_ids: getClickIds(search),
+            search,
+            landing_path: window.location.pathname,
+            referrer: document.referrer || null,
+            captured_at: new Date().toISOString(),
+            expires_at: Date.now() + touchExpiryDays * 24 * 60 * 60 * 1000
+        };
+        Object.entries(PARAM_NAMES).forEach(([field, names]) => {
+            touch[field] = getParam(names, search) || null;
+        });
+        return touch;
+    }
+
+    // Remember campaign parameters from the landing page so later pages keep them
+    function recordTouch() {
+        if (!hasTrackingParams(window.location.search)) return;
+
+        const touches = readTouches();
+        const touch = buildTouch(window.location.search);
+        try {
+            localStorage.setItem(TOUCH_STORAGE_KEY, JSON.stringify({
+                first: touches.first || touch,
+                last: touch
+            }));
+        } catch (error) {
+            // Storage blocked (private mode, cookies disabled)
+        }
+    }
+
+    // Storage is only wiped on an explicit "no". While a CMP has yet to answer,
+    // earlier pages' touches and queued clicks stay put and setConsent() picks them up.
+    if (hasConsent()) {
+        recordTouch();
+    } else if (getConsent().state === 'denied') {
+        clearStoredData();
+    }
+
+    // =============================================
+    // 5. Unified Tracking Data Construction
+    // =============================================
+    function buildTrackingData(sessionId, refCode, cta) {
+        const consented = hasConsent();
+        const consent = getConsent();
+
+        // Current page's parameters win; otherwise fall back to the last stored touch
+        const touches = consented ? readTouches() : { first: null, last: null };
+        const onTaggedPage = hasTrackingParams(window.location.search);
+        const search = onTaggedPage ? window.location.search : (touches.last?.search || window.location.search);
+        const landingTouch = onTaggedPage ? null : touches.last;
+
+        const clickIds = getClickIds(search);
+        const clickIdSource = CLICK_ID_PARAMS
+            .filter(name => clickIds[name])
+            .map(name => CLICK_ID_SOURCES[name])[0];
+
+        // Campaign-level fields - all that is sent without consent
+        const trackingData = {
+            source: getParam(PARAM_NAMES.source, search) || clickIdSource || utmDefaults.source,
+            medium: getParam(PARAM_NAMES.medium, search) || utmDefaults.medium,
+            campaign: getParam(PARAM_NAMES.campaign, search) || utmDefaults.campaign,
+            content: getParam(PARAM_NAMES.content, search) || utmDefaults.content,
+            placement: getParam(PARAM_NAMES.placement, search) || utmDefaults.placement,
+            landing_path: landingTouch ? landingTouch.landing_path : window.location.pathname,
             session_id: sessionId,
-            full_url: window.location.href,
+            ref_code: refCode,
+            cta_id: cta.id,
+            cta_channel: cta.channel,
+            site_id: siteId,
+            snippet_version: SNIPPET_VERSION,
+            prefilled_message: cta.channel === 'whatsapp' ? defaultMessage : null,
+            consent_state: consent.state,
+            consent_source: consent.source,
+            tcf_string: consent.tcfString,
             click_time: new Date().toISOString()
         };
+        if (!consented) return trackingData;
+
+        return {
+            ...trackingData,
+            gallabox_id: getParam(['gbx_id', 'gallabox_contact'], search),
+            original_params: Object.fromEntries(new URLSearchParams(search)),
+            click_ids: clickIds,
+            first_touch: touches.first,
+            last_touch: touches.last,
+            cookies: {
+                fbp: getCookie('_fbp'),
+                fbc: getCookie('_fbc')
+            },
+            referrer: landingTouch ? landingTouch.referrer : (document.referrer || null),
+            visitor_id: getVisitorId(),
+            full_url: window.location.href,
+            client_hints: buildClientHints()
+        };
+    }
+
+    // Stable per-browser ID so the server can join this visitor's clicks into one journey
+    function getVisitorId() {
+        try {
+            let visitorId = localStorage.getItem(VISITOR_STORAGE_KEY);
+            if (!visitorId) {
+                visitorId = `v-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`;
+                localStorage.setItem(VISITOR_STORAGE_KEY, visitorId);
+            }
+            return visitorId;
+        } catch (error) {
+            // Storage blocked (private mode, cookies disabled)
+            return null;
+        }
+    }
+
+    // Device hints used by the server to tell concurrent visitors apart
+    function buildClientHints() {
+        let timezone = null;
+        try {
+            timezone = Intl.DateTimeFormat().resolvedOptions().timeZone || null;
+        } catch (error) {
+            // Older browsers without Intl support
+        }
+
+        return {
+            user_agent: navigator.userAgent,
+            platform: navigator.userAgentData?.platform || navigator.platform || null,
+            mobile: navigator.userAgentData?.mobile ?? /Mobi|Android|iPhone|iPad/i.test(navigator.userAgent),
+            language: navigator.language || null,
+            timezone,
+            webdriver: navigator.webdriver === true,
+            viewport: {
+                width: window.innerWidth,
+                height: window.innerHeight
+            }
+        };
     }
 
     // =============================================
-    // 4. Core Click Handler
+    // 6. Click Delivery & Offline Queue
     // =============================================
-    async function handleWhatsAppClick(e) {
-        e.preventDefault();
-        e.stopPropagation();
-
-        const sessionId = `wa-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`;
-        const utmData = buildTrackingData(sessionId);
+    function readQueue() {
+        try {
+            const queue = JSON.parse(localStorage.getItem(QUEUE_STORAGE_KEY) || '[]');
+            const oldest = Date.now() - QUEUE_MAX_AGE_MS;
+            return Array.isArray(queue)
+                ? queue.filter(entry => entry?.data?.session_id && entry.queued_at > oldest && entry.attempts < MAX_DELIVERY_ATTEMPTS)
+                : [];
+        } catch (error) {
+            return [];
+        }
+    }
 
+    function writeQueue(queue) {
         try {
-            const response = await fetch(trackingEndpoint, {
+            if (queue.length === 0) {
+                localStorage.removeItem(QUEUE_STORAGE_KEY);
+            } else {
+                localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue.slice(-MAX_QUEUED_CLICKS)));
+            }
+        } catch (error) {
+            // Storage blocked (private mode, cookies disabled)
+        }
+    }
+
+    // Drop delivered clicks, count a failed attempt for the rest of `sessionIds`
+    function settleQueue(sessionIds, delivered) {
+        const ids = new Set(sessionIds);
+        writeQueue(readQueue()
+            .filter(entry => !(ids.has(entry.data.session_id) && delivered.has(entry.data.session_id)))
+            .map(entry => (ids.has(entry.data.session_id) ? { ...entry, attempts: entry.attempts + 1 } : entry)));
+    }
+
+    // text/plain keeps this a CORS "simple" request: no preflight, and beacons accept it.
+    // Resolves with the server's answer, or {} when a beacon gives none to read.
+    function postClicks(payload) {
+        const body = JSON.stringify(payload);
+
+        if (window.fetch && window.Request && 'keepalive' in Request.prototype) {
+            return fetch(trackingEndpoint, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(utmData)
+                keepalive: true,
+                headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+                body
+            }).then(response => {
+                // Rejected clicks won't do better next time - only rate limits and outages are retried
+                if (response.status === 429 || response.status >= 500) {
+                    throw new Error(`HTTP error ${response.status}`);
+                }
+                return response.json().catch(() => ({}));
             });
+        }
 
-            if (!response.ok) throw new Error(`HTTP error ${response.status}`);
+        if (navigator.sendBeacon && navigator.sendBeacon(trackingEndpoint, new Blob([body], { type: 'text/plain;charset=UTF-8' }))) {
+            return Promise.resolve({});
+        }
+        return Promise.reject(new Error('Beacon not accepted'));
+    }
 
-            const contextData = {
-                session_id: sessionId,
-                source: utmData.source,
-                medium: utmData.medium,
-                campaign: utmData.campaign,
-                placement: utmData.placement,
-                click_time: utmData.click_time
-            };
+    // Queued before it is sent: if the page is gone before the answer comes
+    // back, the next page load sends it again (the server ignores duplicates)
+    function sendClick(clickData) {
+        // Without consent nothing is queued in the browser - the click gets one attempt
+        if (!hasConsent()) {
+            postClicks({ ...clickData, sent_at: new Date().toISOString() })
+                .catch(error => console.warn('Click delivery failed:', error.message));
+            return;
+        }
 
-            const encodedContext = btoa(JSON.stringify(contextData));
-            window.open(
-                `https://api.whatsapp.com/send/?phone=${whatsappNumber}` +
-                `&text=${encodeURIComponent(defaultMessage)}` +
-                `&context=${encodedContext}`,
-                '_blank'
-            );
+        const sessionId = clickData.session_id;
+        writeQueue([...readQueue(), { data: clickData, queued_at: Date.now(), attempts: 0 }]);
 
-        } catch (error) {
-            console.error('Tracking failed:', error);
-            window.open(`https://api.whatsapp.com/send/?phone=${whatsappNumber}`, '_blank');
+        postClicks({ ...clickData, sent_at: new Date().toISOString() })
+            .then(() => settleQueue([sessionId], new Set([sessionId])))
+            .catch(error => {
+                console.warn('Click delivery failed, will retry on the next page load:', error.message);
+                settleQueue([sessionId], new Set());
+            });
+    }
+
+    // Send what earlier pages couldn't, as one batch
+    function flushQueue() {
+        if (!hasConsent()) return;
+
+        const batch = [];
+        let size = 0;
+        for (const entry of readQueue()) {
+            size += JSON.stringify(entry.data).length;
+            if (batch.length > 0 && size > MAX_BATCH_BYTES) break;
+            batch.push(entry.data);
         }
+        if (batch.length === 0) return;
+
+        const sessionIds = batch.map(click => click.session_id);
+        const sentAt = new Date().toISOString();
+        postClicks({ clicks: batch.map(click => ({ ...click, sent_at: sentAt })) })
+            .then(({ results }) => {
+                const retry = new Set((results || []).filter(result => result.retry).map(result => result.session_id));
+                settleQueue(sessionIds, new Set(sessionIds.filter(id => !retry.has(id))));
+            })
+            .catch(() => settleQueue(sessionIds, new Set()));
     }
 
+    flushQueue();
+    window.addEventListener('online', flushQueue);
+
     // =============================================
-    // 5. Robust Event Binding System
+    // 7. Core Click Handlers
     // =============================================
-    function attachHandler(button) {
-        if (button && !button.dataset.trackingAttached) {
-            button.addEventListener('click', handleWhatsAppClick);
-            button.dataset.trackingAttached = "true";
-            console.log("Tracking successfully attached to:", button);
+    // The ref code lets the server find this exact click when the message
+    // arrives. Only the server can sign one, so it is fetched ahead of the
+    // click and WhatsApp still opens without waiting on the network.
+    let nextSession = null;
+
+    function prefetchSession() {
+        if (!window.fetch) return;
+
+        fetch(sessionEndpoint, { credentials: 'omit' })
+            .then(response => (response.ok ? response.json() : null))
+            .then(session => {
+                if (session?.session_id && session.ref_code) nextSession = session;
+            })
+            .catch(() => {
+                // Offline or blocked - the next click goes without a ref code
+            });
+    }
+
+    function takeSession() {
+        const session = nextSession;
+        nextSession = null;
+        prefetchSession();
+        return session;
+    }
+
+    function handleWhatsAppClick(e, cta) {
+        e.preventDefault();
+        e.stopPropagation();
+
+        // Without a prefetched session the click is still tracked and matched by timing
+        const session = takeSession();
+        const sessionId = session?.session_id || `wa-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`;
+        const refCode = session?.ref_code || null;
+        const utmData = buildTrackingData(sessionId, refCode, cta);
+        const message = refCode ? `${defaultMessage} [ref: ${refCode}]` : defaultMessage;
+
+        const contextData = {
+            session_id: sessionId,
+            source: utmData.source,
+            medium: utmData.medium,
+            campaign: utmData.campaign,
+            placement: utmData.placement,
+            click_time: utmData.click_time
+        };
+
+        // Open the chat straight away - the click is delivered in the background
+        const encodedContext = btoa(JSON.stringify(contextData));
+        window.open(
+            `https://api.whatsapp.com/send/?phone=${whatsappNumber}` +
+            `&text=${encodeURIComponent(message)}` +
+            `&context=${encodedContext}`,
+            '_blank'
+        );
+
+        sendClick(utmData);
+    }
+
+    // Calls, Telegram links and form submits go ahead as normal; the queued
+    // keepalive request outlives the page if the browser navigates away
+    function handleCtaClick(cta) {
+        const sessionId = `${cta.channel}-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`;
+        sendClick(buildTrackingData(sessionId, null, cta));
+    }
+
+    // =============================================
+    // 8. Declarative CTA Binding
+    // =============================================
+    // One delegated listener on the document, so CTAs rendered later (Chaty
+    // widget, popups, SPA routes) are covered without polling the DOM
+    function isValidBinding(binding) {
+        if (!binding?.selector || (binding.channel && !CTA_CHANNELS.includes(binding.channel))) {
+            console.warn('Ignoring invalid CTA binding:', binding);
+            return false;
+        }
+        try {
+            document.documentElement.matches(binding.selector);
+            return true;
+        } catch (error) {
+            console.warn('Ignoring invalid CTA selector:', binding.selector);
+            return false;
         }
     }
 
-    // Immediate binding attempt
-    const initialButton = document.querySelector([
-        '[data-channel="Whatsapp"] a.chaty-tooltip',
-        '.chaty-channel.Whatsapp-channel a',
-        'a[href*="wa.me"]'
-    ].join(','));
-    attachHandler(initialButton);
-
-    // Polling fallback mechanism
-    let pollCount = 0;
-    const poller = setInterval(() => {
-        const button = document.querySelector([
-            '[data-channel="Whatsapp"] a.chaty-tooltip',
-            '.chaty-channel.Whatsapp-channel a',
-            'a[href*="wa.me"]'
-        ].join(','));
-        
-        if (button || pollCount++ >= MAX_RETRIES) {
-            clearInterval(poller);
-            if (button) attachHandler(button);
-        }
-    }, POLL_INTERVAL);
-
-    // MutationObserver for dynamic content
-    const observer = new MutationObserver(mutations => {
-        mutations.forEach(({ addedNodes }) => {
-            addedNodes.forEach(node => {
-                const elements = node.nodeType === 1 ? 
-                    [node, ...node.querySelectorAll('*')] : 
-                    [];
-                
-                elements.forEach(element => {
-                    if (element.matches?.('[data-channel="Whatsapp"], [href*="wa.me"]')) {
-                        attachHandler(element);
-                    }
-                });
-            });
-        });
-    });
-
-    observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-        attributes: true,
-        attributeFilter: ['data-channel', 'href']
-    });
-
-    // Chaty-specific event listener
-    document.addEventListener('chaty.widget_ready', () => {
-        const button = document.querySelector('[data-channel="Whatsapp"] a.chaty-tooltip');
-        attachHandler(button);
-    });
-});
+    // Channel implied by the link when the markup doesn't name one; null when it can't be told
+    function inferChannel(element) {
+        const href = (element.getAttribute('href') || '').toLowerCase();
+        if (element.tagName === 'FORM') return 'form';
+        if (href.startsWith('tel:')) return 'call';
+        if (/^https?:\/\/(t\.me|telegram\.me)\//.test(href)) return 'telegram';
+        if (href.startsWith('whatsapp:') || /^https?:\/\/(wa\.me|api\.whatsapp\.com|web\.whatsapp\.com)\//.test(href)) return 'whatsapp';
+        return null;
+    }
+
+    // The tracked CTA a click or submit came from, or null. An element whose
+    // channel is unknown is left alone - better untracked than hijacked into WhatsApp.
+    function findCta(target) {
+        if (!target?.closest) return null;
+
+        const tagged = target.closest('[data-utm-track]');
+        const binding = tagged ? {} : ctaBindings.find(({ selector }) => target.closest(selector));
+        const element = tagged || (binding && target.closest(binding.selector));
+        if (!element) return null;
+
+        const channel = element.dataset.utmTrack || element.dataset.utmChannel || binding.channel || inferChannel(element);
+        if (!CTA_CHANNELS.includes(channel)) {
+            console.warn(`Ignoring CTA with unknown channel "${channel || ''}" - expected one of: ${CTA_CHANNELS.join(', ')}`, element);
+            return null;
+        }
+        return {
+            element,
+            id: element.dataset.utmCta || binding.cta || element.id || null,
+            channel
+        };
+    }
+
+    // Capture phase: runs before the widget's own handlers can stop the event
+    document.addEventListener('click', (e) => {
+        const cta = findCta(e.target);
+        // Tracked forms count once, on submit - not on every click inside them
+        if (!cta || cta.element.tagName === 'FORM') return;
+
+        if (cta.channel === 'whatsapp') {
+            handleWhatsAppClick(e, cta);
+        } else {
+            handleCtaClick(cta);
+        }
+    }, true);
+
+    document.addEventListener('submit', (e) => {
+        const cta = findCta(e.target);
+        if (cta && cta.element === e.target) {
+            handleCtaClick(cta);
+        }
+    }, true);
+
+    listenForTcf();
+    prefetchSession();
+}
+
+// The served snippet is often loaded async, after DOMContentLoaded has fired
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initUtmTracker);
+} else {
+    initUtmTracker();
+}
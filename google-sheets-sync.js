@@ -1,4 +1,8 @@
-const { UtmClick } = require('./db');
+const crypto = require('crypto');
+const { SyncCursor } = require('./db');
+const { MODEL_NAMES, getMultiTouchReport } = require('./journeys');
+const { listChannels } = require('./channels');
+const { SESSION_ID_KEY, getExportSchema, getHeaders, toRow } = require('./export-schema');
 const { GoogleAuth } = require('google-auth-library');
 const { sheets } = require('@googleapis/sheets');
 const AWS = require('aws-sdk');
@@ -8,6 +12,17 @@ const secretsManager = new AWS.SecretsManager({
   region: process.env.AWS_REGION || 'ap-south-1'
 });
 
+const DEFAULT_SPREADSHEET_ID = process.env.SHEETS_SPREADSHEET_ID || '1TCoSBJdG3guTxw68LSvAiONxmeP_SFjQb4BfdSmpIXE';
+const DEFAULT_SHEET_NAME = 'Sheet1';
+const EXPORT_SCHEMA_NAME = 'sheets';
+const SHEETS_CLIENT_TTL_MS = 30 * 60 * 1000;
+const LAYOUT_LOCK_MS = 2 * 60 * 1000;
+// Must stay well below the queue's job lock, or a slow write could be retried elsewhere
+const WRITE_TIMEOUT_MS = 60 * 1000;
+const REBUILD_CHUNK_SIZE = 500;
+
+let sheetsClientCache = null;
+
 // Initialize Google Sheets API client
 async function initializeSheetsClient() {
   try {
@@ -38,286 +53,450 @@ async function initializeSheetsClient() {
   }
 }
 
-function convertToSheetRows(docs) {
-  return docs.map(doc => {
-    const data = doc.toObject ? doc.toObject() : doc;
-    console.log('Processing document ID:', doc._id);
-
-    // Extract timestamps with proper handling
-    let timestamp;
-    if (data.click_time) {
-      timestamp = new Date(data.click_time);
-    } else if (data.timestamp) {
-      timestamp = new Date(data.timestamp);
+// Column letter for a 1-based column number (1 → A, 27 → AA)
+function columnLetter(number) {
+  let letters = '';
+  while (number > 0) {
+    const remainder = (number - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    number = Math.floor((number - 1) / 26);
+  }
+  return letters;
+}
+
+// Headers and range letters for an export schema
+function getLayout(schema) {
+  const headers = getHeaders(schema);
+  return {
+    headers,
+    lastColumn: columnLetter(headers.length),
+    // Session ID column - the row index rows are updated in place by
+    sessionColumn: columnLetter(schema.columns.findIndex(c => c.key === SESSION_ID_KEY) + 1),
+    signature: headers.join('|')
+  };
+}
+
+// Structural requests that rearrange the sheet's current columns into the
+// schema's order. Existing columns are moved, so their cells travel with
+// them; new ones are inserted empty. Columns no longer in the schema end up to
+// the right, untouched.
+function planColumnMigration(currentHeaders, schema, sheetId) {
+  const layout = [...currentHeaders];
+  const requests = [];
+
+  schema.columns.forEach((column, target) => {
+    const names = [column.header, ...column.aliases];
+    const from = layout.findIndex((header, i) => i >= target && names.includes(header));
+
+    if (from === target) return;
+    if (from > target) {
+      requests.push({
+        moveDimension: {
+          source: { sheetId, dimension: 'COLUMNS', startIndex: from, endIndex: from + 1 },
+          destinationIndex: target
+        }
+      });
+      layout.splice(target, 0, layout.splice(from, 1)[0]);
+    } else if (target < layout.length) {
+      requests.push({
+        insertDimension: {
+          range: { sheetId, dimension: 'COLUMNS', startIndex: target, endIndex: target + 1 },
+          inheritFromBefore: target > 0
+        }
+      });
+      layout.splice(target, 0, null);
     } else {
-      timestamp = new Date();
+      // Past the last used column - nothing to shift
+      layout.push(null);
     }
+  });
 
-    // Extract engagement timestamp
-    let engagedTimestamp = 'N/A';
-    if (data.engagedAt) {
-      engagedTimestamp = new Date(data.engagedAt).toISOString();
+  return requests;
+}
+
+// Reuse one authenticated client per instance instead of one per append
+async function getSheetsClient() {
+  if (!sheetsClientCache || sheetsClientCache.expiresAt <= Date.now()) {
+    sheetsClientCache = { client: initializeSheetsClient(), expiresAt: Date.now() + SHEETS_CLIENT_TTL_MS };
+  }
+
+  try {
+    return await sheetsClientCache.client;
+  } catch (err) {
+    sheetsClientCache = null;
+    throw err;
+  }
+}
+
+// Sheets destinations - the default sheet, plus one per channel that has its own.
+// Channels without a dedicated sheet and untagged records go to the default.
+async function getSheetsDestinations() {
+  const dedicated = new Map();
+  for (const channel of await listChannels()) {
+    const spreadsheetId = channel.sheets?.spreadsheetId || DEFAULT_SPREADSHEET_ID;
+    const sheetName = channel.sheets?.sheetName || DEFAULT_SHEET_NAME;
+    if (spreadsheetId === DEFAULT_SPREADSHEET_ID && sheetName === DEFAULT_SHEET_NAME) continue;
+
+    const key = `${spreadsheetId}/${sheetName}`;
+    if (!dedicated.has(key)) {
+      dedicated.set(key, { spreadsheetId, sheetName, channelNumbers: [] });
     }
+    dedicated.get(key).channelNumbers.push(channel._id);
+  }
 
-    // Extract parameters with explicit precedence
-    const originalParams = data.original_params || {};
-
-    const rowValues = [
-      timestamp.toISOString(),
-      data.phoneNumber || 'N/A',
-      // UTM Source
-      originalParams.CampaignSource || originalParams['Campaign Source'] || originalParams['Campaign_Source'] || originalParams.source || data.source || 'direct',
-      // UTM Medium
-      originalParams.AdSetName || originalParams['Ad Set Name'] || originalParams['Ad_Set_Name'] || originalParams.medium || data.medium || 'organic',
-      // UTM Campaign
-      originalParams.CampaignName || originalParams['Campaign Name'] || originalParams['Campaign_Name'] || originalParams.campaign || data.campaign || 'none',
-      // UTM Content
-      originalParams.AdName || originalParams['Ad Name'] || originalParams['Ad_Name'] || originalParams.content || data.content || 'none',
-      // Placement
-      originalParams.Placement || originalParams.placement || data.placement || 'N/A',
-      data.hasEngaged ? '✅ YES' : '❌ NO',
-      engagedTimestamp,
-      data.attribution_source || 'unknown',
-      data.contactId || 'N/A',
-      data.conversationId || 'N/A',
-      data.contactName || 'Anonymous',
-      data.lastMessage ? data.lastMessage.substring(0, 150).replace(/\n/g, ' ') : 'No text content'
-    ];
-
-    return rowValues;
-  });
+  const destinations = [...dedicated.values()];
+  return [
+    {
+      spreadsheetId: DEFAULT_SPREADSHEET_ID,
+      sheetName: DEFAULT_SHEET_NAME,
+      channelNumbers: null,
+      filter: { channel_number: { $nin: destinations.flatMap(d => d.channelNumbers) } }
+    },
+    ...destinations.map(d => ({ ...d, filter: { channel_number: { $in: d.channelNumbers } } }))
+  ];
 }
 
-async function syncToSheets() {
-  const SPREADSHEET_ID = process.env.SHEETS_SPREADSHEET_ID || '1TCoSBJdG3guTxw68LSvAiONxmeP_SFjQb4BfdSmpIXE';
-  const SHEET_NAME = 'Sheet1';
-  const MAX_RETRIES = 3;
-  let attempt = 0;
+function findDestination(destinations, channelNumber) {
+  return destinations.find(d => d.channelNumbers?.includes(channelNumber)) || destinations[0];
+}
 
-  console.log(`🔄 Starting sync (Attempt ${attempt + 1}/${MAX_RETRIES})`);
+// One worker at a time changes a tab's layout - two instances applying the
+// same column moves would scramble it
+async function withLayoutLock({ spreadsheetId, sheetName }, fn) {
+  const _id = `sheets-layout:${spreadsheetId}/${sheetName}`;
+  const owner = crypto.randomUUID();
+  const now = new Date();
 
-  while (attempt < MAX_RETRIES) {
-    try {
-      const sheetsClient = await initializeSheetsClient();
+  try {
+    await SyncCursor.findOneAndUpdate(
+      { _id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { status: 'migrating', lockedBy: owner, lockedUntil: new Date(now.getTime() + LAYOUT_LOCK_MS), startedAt: now },
+      { upsert: true }
+    );
+  } catch (err) {
+    if (err.code === 11000) throw new Error(`${sheetName} layout is being updated by another worker`);
+    throw err;
+  }
 
-      // 1. Get spreadsheet metadata and verify sheet exists
-      const { data: spreadsheet } = await sheetsClient.spreadsheets.get({
-        spreadsheetId: SPREADSHEET_ID,
-        includeGridData: false
-      });
+  try {
+    return await fn();
+  } finally {
+    await SyncCursor.updateOne(
+      { _id, lockedBy: owner },
+      { status: 'ready', lockedBy: null, lockedUntil: null, finishedAt: new Date() }
+    );
+  }
+}
 
-      console.log(`✅ Accessing spreadsheet: "${spreadsheet.properties.title}"`);
-
-      // 2. Check if sheet exists
-      const sheetExists = spreadsheet.sheets?.some(s => s.properties?.title === SHEET_NAME);
-
-      // 3. Create sheet if it doesn't exist
-      if (!sheetExists) {
-        console.log(`🔄 Creating new sheet: ${SHEET_NAME}`);
-        await sheetsClient.spreadsheets.batchUpdate({
-          spreadsheetId: SPREADSHEET_ID,
-          resource: {
-            requests: [{
-              addSheet: {
-                properties: {
-                  title: SHEET_NAME,
-                  gridProperties: {
-                    rowCount: 1000,
-                    columnCount: 14
-                  }
-                }
+// Make sure the tab exists, has the schema's columns in order and the current
+// headers. A changed schema migrates the existing columns before new rows land.
+async function prepareSheet(sheetsClient, destination, schema) {
+  return withLayoutLock(destination, () => applyLayout(sheetsClient, destination, schema));
+}
+
+async function applyLayout(sheetsClient, { spreadsheetId: SPREADSHEET_ID, sheetName: SHEET_NAME }, schema) {
+  const layout = getLayout(schema);
+
+  // 1. Get spreadsheet metadata and verify sheet exists
+  const { data: spreadsheet } = await sheetsClient.spreadsheets.get({
+    spreadsheetId: SPREADSHEET_ID,
+    includeGridData: false
+  });
+
+  console.log(`✅ Accessing spreadsheet: "${spreadsheet.properties.title}"`);
+
+  // 2. Check if sheet exists
+  const existingSheet = spreadsheet.sheets?.find(s => s.properties?.title === SHEET_NAME);
+  let currentHeaders = [];
+
+  // 3. Create sheet if it doesn't exist
+  if (!existingSheet) {
+    console.log(`🔄 Creating new sheet: ${SHEET_NAME}`);
+    await sheetsClient.spreadsheets.batchUpdate({
+      spreadsheetId: SPREADSHEET_ID,
+      resource: {
+        requests: [{
+          addSheet: {
+            properties: {
+              title: SHEET_NAME,
+              gridProperties: {
+                rowCount: 1000,
+                columnCount: layout.headers.length
               }
-            }]
+            }
           }
-        });
+        }]
       }
+    });
+  } else {
+    const sheetId = existingSheet.properties.sheetId;
+    const { data: headerData } = await sheetsClient.spreadsheets.values.get({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `'${SHEET_NAME}'!1:1`
+    });
+    currentHeaders = headerData.values?.[0] || [];
 
-      // 4. Now handle headers
-      const { data: sheetsData } = await sheetsClient.spreadsheets.values.get({
+    // 4. Move existing columns to where the schema wants them
+    const migration = currentHeaders.length > 0 ? planColumnMigration(currentHeaders, schema, sheetId) : [];
+    if (migration.length > 0) {
+      console.log(`🔀 Migrating ${SHEET_NAME} columns to the export schema (${migration.length} change(s))`);
+      await sheetsClient.spreadsheets.batchUpdate({
         spreadsheetId: SPREADSHEET_ID,
-        range: `${SHEET_NAME}!A1:N1`
+        resource: { requests: migration }
       });
+      currentHeaders = [];
+    }
 
-      const requiredHeaders = [
-        'Timestamp', 'Phone Number', 'UTM Source', 'UTM Medium',
-        'UTM Campaign', 'UTM Content', 'Placement', 'Engaged',
-        'Engaged At', 'Attribution Source', 'Contact ID',
-        'Conversation ID', 'Contact Name', 'Last Message'
-      ];
-
-      if (!sheetsData.values || !sheetsData.values[0]) {
-        console.log('⏳ Setting up headers');
-        await sheetsClient.spreadsheets.values.update({
-          spreadsheetId: SPREADSHEET_ID,
-          range: `${SHEET_NAME}!A1:N1`,
-          valueInputOption: 'RAW',
-          resource: { values: [requiredHeaders] }
-        });
-      }
-
-      // Query MongoDB for documents to sync
-      const documents = await UtmClick.find({
-        hasEngaged: true,
-        syncedToSheets: false,
-        source: { $ne: 'direct_message' }
-      })
-      .sort({ timestamp: -1 })
-      .limit(250);
-
-      if (documents.length === 0) {
-        console.log('ℹ️ No new records to sync');
-        return { count: 0 };
-      }
-
-      console.log(`🔍 Found ${documents.length} documents to sync`);
-      const rows = convertToSheetRows(documents);
-
-      // Append to sheets FIRST (before marking as synced)
-      const appendResponse = await sheetsClient.spreadsheets.values.append({
+    // Sheets created before columns were added are too narrow for the new headers
+    const columnCount = (existingSheet.properties.gridProperties?.columnCount || 0)
+      + migration.filter(request => request.insertDimension).length;
+    if (columnCount < layout.headers.length) {
+      console.log(`🔄 Widening ${SHEET_NAME} to ${layout.headers.length} columns`);
+      await sheetsClient.spreadsheets.batchUpdate({
         spreadsheetId: SPREADSHEET_ID,
-        range: `${SHEET_NAME}!A:N`,
-        valueInputOption: 'USER_ENTERED',
-        insertDataOption: 'INSERT_ROWS',
-        resource: { values: rows }
+        resource: {
+          requests: [{
+            appendDimension: {
+              sheetId,
+              dimension: 'COLUMNS',
+              length: layout.headers.length - columnCount
+            }
+          }]
+        }
       });
+    }
+  }
 
-      console.log('📊 Sheets update:', appendResponse.data.updates.updatedRange);
-
-      // THEN mark as synced (only after successful sheets write)
-      const updatePromises = documents.map(doc => {
-        return UtmClick.findByIdAndUpdate(doc._id, {
-          syncedToSheets: true,
-          lastSynced: new Date()
-        });
-      });
+  // 5. Write headers on a fresh sheet, or after the columns changed
+  if (currentHeaders.slice(0, layout.headers.length).join('|') !== layout.signature) {
+    console.log('⏳ Setting up headers');
+    await sheetsClient.spreadsheets.values.update({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `'${SHEET_NAME}'!A1:${layout.lastColumn}1`,
+      valueInputOption: 'RAW',
+      resource: { values: [layout.headers] }
+    });
+  }
+}
 
-      await Promise.all(updatePromises);
-      console.log('✅ MongoDB documents updated');
+// Header row plus Session ID → row number, in one read. The index comes from
+// the sheet itself so rows moved or deleted by hand never get overwritten.
+// Rows from before the Session ID column existed are not indexed - a rebuild
+// brings them in.
+async function readSheetState(sheetsClient, { spreadsheetId, sheetName }, { sessionColumn }) {
+  let valueRanges;
+  try {
+    ({ data: { valueRanges } } = await sheetsClient.spreadsheets.values.batchGet({
+      spreadsheetId,
+      ranges: [`'${sheetName}'!1:1`, `'${sheetName}'!${sessionColumn}:${sessionColumn}`]
+    }, { timeout: WRITE_TIMEOUT_MS }));
+  } catch (err) {
+    // Tab doesn't exist yet
+    if (err.code === 400) return { headers: [], index: new Map() };
+    throw err;
+  }
 
-      return {
-        count: rows.length,
-        spreadsheetId: SPREADSHEET_ID,
-        sheetName: SHEET_NAME
-      };
+  const index = new Map();
+  (valueRanges[1].values || []).forEach((cells, i) => {
+    const sessionId = cells[0];
+    // Row 1 is the header; the first row for a session wins
+    if (i > 0 && sessionId && !index.has(sessionId)) index.set(sessionId, i + 1);
+  });
+  return { headers: valueRanges[0].values?.[0] || [], index };
+}
 
-    } catch (err) {
-      attempt++;
-      console.error(`❌ Attempt ${attempt} failed:`, err.message);
+// Schema, layout and row index for a destination, migrating the tab first
+// when its headers don't match the export schema
+async function getSheetState(sheetsClient, destination) {
+  let schema = await getExportSchema(EXPORT_SCHEMA_NAME);
+  let layout = getLayout(schema);
+  let state = await readSheetState(sheetsClient, destination, layout);
+  if (state.headers.slice(0, layout.headers.length).join('|') === layout.signature) {
+    return { schema, layout, index: state.index };
+  }
 
-      if (attempt >= MAX_RETRIES) {
-        console.error('💥 Maximum retries exceeded');
-        throw new Error(`Final sync failure: ${err.message}`);
-      }
+  // The schema may have changed on another instance - never migrate from a cached copy
+  schema = await getExportSchema(EXPORT_SCHEMA_NAME, { fresh: true });
+  layout = getLayout(schema);
+  await prepareSheet(sheetsClient, destination, schema);
+  state = await readSheetState(sheetsClient, destination, layout);
+  return { schema, layout, index: state.index };
+}
 
-      await new Promise(resolve => setTimeout(resolve, attempt * 2000));
+// Write click rows to one destination - rows already in the sheet are updated
+// in place with one batch update, the rest appended in one request. Callers
+// mark the clicks synced only after this resolves.
+async function writeToSheet(destination, docs) {
+  const { spreadsheetId: SPREADSHEET_ID, sheetName: SHEET_NAME } = destination;
+  const sheetsClient = await getSheetsClient();
+  const { schema, layout, index } = await getSheetState(sheetsClient, destination);
+
+  const rows = docs.map(doc => toRow(doc, schema, { sheets: true }));
+  const updates = [];
+  const appends = [];
+
+  rows.forEach((values, i) => {
+    const rowNumber = index.get(String(docs[i]._id));
+    if (rowNumber) {
+      updates.push({ range: `'${SHEET_NAME}'!A${rowNumber}:${layout.lastColumn}${rowNumber}`, values: [values] });
+    } else {
+      appends.push(values);
     }
+  });
+
+  if (updates.length > 0) {
+    await sheetsClient.spreadsheets.values.batchUpdate({
+      spreadsheetId: SPREADSHEET_ID,
+      resource: { valueInputOption: 'USER_ENTERED', data: updates }
+    }, { timeout: WRITE_TIMEOUT_MS });
+    console.log(`📊 Sheets update: ${updates.length} row(s) updated in ${SHEET_NAME}`);
+  }
+
+  if (appends.length > 0) {
+    const appendResponse = await sheetsClient.spreadsheets.values.append({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `'${SHEET_NAME}'!A:${layout.lastColumn}`,
+      valueInputOption: 'USER_ENTERED',
+      insertDataOption: 'INSERT_ROWS',
+      resource: { values: appends }
+    }, { timeout: WRITE_TIMEOUT_MS });
+    console.log('📊 Sheets update:', appendResponse.data.updates.updatedRange);
   }
+
+  return {
+    count: rows.length,
+    updated: updates.length,
+    appended: appends.length,
+    spreadsheetId: SPREADSHEET_ID,
+    sheetName: SHEET_NAME
+  };
 }
 
-async function scheduledSync() {
-  const startTime = Date.now();
-  const result = {
-    success: false,
-    duration: 0,
-    syncedCount: 0
+// Rewrite a destination from scratch: every data row is deleted, then the
+// documents from `docs` (any async iterable, e.g. a query cursor) are appended
+// in chunks. `onChunk` runs after each chunk is written.
+async function rebuildSheet(destination, docs, { onChunk = async () => {} } = {}) {
+  const { spreadsheetId: SPREADSHEET_ID, sheetName: SHEET_NAME } = destination;
+  const sheetsClient = await getSheetsClient();
+  const schema = await getExportSchema(EXPORT_SCHEMA_NAME, { fresh: true });
+  const layout = getLayout(schema);
+
+  await prepareSheet(sheetsClient, destination, schema);
+
+  const { data: spreadsheet } = await sheetsClient.spreadsheets.get({
+    spreadsheetId: SPREADSHEET_ID,
+    includeGridData: false
+  });
+  const sheet = spreadsheet.sheets.find(s => s.properties?.title === SHEET_NAME);
+  const rowCount = sheet.properties.gridProperties?.rowCount || 1;
+
+  // Keep the header and one emptied row - Sheets refuses to delete every
+  // row below a frozen header
+  console.log(`🧹 Clearing ${rowCount - 1} row(s) from ${SHEET_NAME}`);
+  await sheetsClient.spreadsheets.values.clear({
+    spreadsheetId: SPREADSHEET_ID,
+    range: `'${SHEET_NAME}'!2:${Math.max(rowCount, 2)}`
+  });
+  if (rowCount > 2) {
+    await sheetsClient.spreadsheets.batchUpdate({
+      spreadsheetId: SPREADSHEET_ID,
+      resource: {
+        requests: [{
+          deleteDimension: {
+            range: { sheetId: sheet.properties.sheetId, dimension: 'ROWS', startIndex: 2, endIndex: rowCount }
+          }
+        }]
+      }
+    });
+  }
+
+  let written = 0;
+  let chunk = [];
+  const flush = async () => {
+    if (chunk.length === 0) return;
+    await sheetsClient.spreadsheets.values.append({
+      spreadsheetId: SPREADSHEET_ID,
+      range: `'${SHEET_NAME}'!A:${layout.lastColumn}`,
+      valueInputOption: 'USER_ENTERED',
+      insertDataOption: 'INSERT_ROWS',
+      resource: { values: chunk.map(doc => toRow(doc, schema, { sheets: true })) }
+    }, { timeout: WRITE_TIMEOUT_MS });
+    written += chunk.length;
+    await onChunk(chunk);
+    chunk = [];
   };
 
-  try {
-    const syncResult = await syncToSheets();
-    result.success = true;
-    result.syncedCount = syncResult.count;
-    result.duration = Date.now() - startTime;
-    result.spreadsheetId = syncResult.spreadsheetId;
-  } catch (err) {
-    result.error = err.message;
-    result.retryable = err.message.includes('quota') || err.code === 429;
-  } finally {
-    result.timestamp = new Date().toISOString();
-    console.log('⏱️ Sync result:', result);
-    return result;
+  for await (const doc of docs) {
+    chunk.push(doc);
+    if (chunk.length >= REBUILD_CHUNK_SIZE) await flush();
   }
+  await flush();
+
+  console.log(`✅ Rebuilt ${SHEET_NAME}: ${written} row(s)`);
+  return { count: written, spreadsheetId: SPREADSHEET_ID, sheetName: SHEET_NAME };
 }
 
-// Real-time sync using MongoDB Change Streams
-async function setupRealtimeSync() {
-  console.log('🔄 Setting up real-time MongoDB to Sheets sync');
-  
-  try {
-    // Create change stream for monitoring new engaged messages
-    const changeStream = UtmClick.watch([
-      {
-        $match: {
-          $and: [
-            { 'fullDocument.hasEngaged': true },
-            { 'fullDocument.syncedToSheets': false },
-            { 'fullDocument.source': { $ne: 'direct_message' } }
-          ]
-        }
-      }
-    ]);
-    
-    // Set up the listener
-    changeStream.on('change', async (change) => {
-      try {
-        // Only process insert and update operations
-        if (change.operationType !== 'insert' && change.operationType !== 'update') {
-          return;
-        }
-        
-        const doc = change.fullDocument;
-        if (!doc) return;
-        
-        console.log(`🔥 Real-time sync triggered for document: ${doc._id}`);
-        
-        // Initialize the sheets client
-        const sheetsClient = await initializeSheetsClient();
-        const SPREADSHEET_ID = process.env.SHEETS_SPREADSHEET_ID || '1TCoSBJdG3guTxw68LSvAiONxmeP_SFjQb4BfdSmpIXE';
-        const SHEET_NAME = 'Sheet1';
-        
-        // Convert the document to sheet row
-        const rows = convertToSheetRows([doc]);
-        
-        // Append to sheets FIRST
-        const appendResponse = await sheetsClient.spreadsheets.values.append({
-          spreadsheetId: SPREADSHEET_ID,
-          range: `${SHEET_NAME}!A:N`,
-          valueInputOption: 'USER_ENTERED',
-          insertDataOption: 'INSERT_ROWS',
-          resource: { values: rows }
-        });
-        
-        console.log('📊 Sheets update:', appendResponse.data.updates.updatedRange);
-        
-        // THEN mark as synced
-        await UtmClick.findByIdAndUpdate(doc._id, {
-          syncedToSheets: true,
-          lastSynced: new Date()
-        });
-        
-        console.log('✅ Real-time sync completed');
-        
-      } catch (err) {
-        console.error('❌ Real-time sync error:', err);
+// Rewrite the side-by-side attribution model comparison tab
+async function syncAttributionModels() {
+  const SPREADSHEET_ID = DEFAULT_SPREADSHEET_ID;
+  const SHEET_NAME = 'Attribution Models';
+
+  const sheetsClient = await getSheetsClient();
+  const report = await getMultiTouchReport();
+
+  const { data: spreadsheet } = await sheetsClient.spreadsheets.get({
+    spreadsheetId: SPREADSHEET_ID,
+    includeGridData: false
+  });
+
+  if (!spreadsheet.sheets?.some(s => s.properties?.title === SHEET_NAME)) {
+    console.log(`🔄 Creating new sheet: ${SHEET_NAME}`);
+    await sheetsClient.spreadsheets.batchUpdate({
+      spreadsheetId: SPREADSHEET_ID,
+      resource: {
+        requests: [{ addSheet: { properties: { title: SHEET_NAME } } }]
       }
     });
-    
-    changeStream.on('error', (error) => {
-      console.error('🚨 Change stream error:', error);
-      // Attempt to recreate the listener after a delay
-      setTimeout(() => setupRealtimeSync(), 60000);
-    });
-    
-    // Return cleanup function
-    return () => {
-      console.log('🛑 Closing change stream');
-      changeStream.close();
-    };
-    
-  } catch (err) {
-    console.error('💥 Failed to set up real-time sync:', err);
-    // Attempt to recreate the listener after a delay
-    setTimeout(() => setupRealtimeSync(), 60000);
   }
+
+  const modelHeaders = {
+    first_touch: 'First Touch',
+    last_touch: 'Last Touch',
+    linear: 'Linear',
+    time_decay: 'Time Decay',
+    position_based: 'Position Based'
+  };
+
+  const values = [
+    ['UTM Source', 'UTM Medium', 'UTM Campaign', ...MODEL_NAMES.map(model => modelHeaders[model])],
+    ...report.rows.map(row => [
+      row.source,
+      row.medium,
+      row.campaign,
+      ...MODEL_NAMES.map(model => row[model])
+    ])
+  ];
+
+  await sheetsClient.spreadsheets.values.clear({
+    spreadsheetId: SPREADSHEET_ID,
+    range: `'${SHEET_NAME}'`
+  });
+
+  await sheetsClient.spreadsheets.values.update({
+    spreadsheetId: SPREADSHEET_ID,
+    range: `'${SHEET_NAME}'!A1`,
+    valueInputOption: 'RAW',
+    resource: { values }
+  });
+
+  console.log(`📊 Attribution models updated: ${report.rows.length} rows from ${report.journeys} journeys`);
+  return { rows: report.rows.length, journeys: report.journeys };
 }
 
-module.exports = { syncToSheets, scheduledSync, setupRealtimeSync };
+module.exports = {
+  getSheetsDestinations,
+  findDestination,
+  writeToSheet,
+  rebuildSheet,
+  syncAttributionModels
+};
@@ -0,0 +1,402 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { UtmClick, WebhookEvent } = require('./db');
+const { resolveAttribution, stripRefCode } = require('./attribution');
+const { linkJourney } = require('./journeys');
+const { queueAdPlatformEvents } = require('./ad-platforms');
+const { recordGallaboxTagEvent } = require('./conversions');
+const { normalizeNumber, getChannel } = require('./channels');
+const { normalizePhone, toE164 } = require('./phone');
+const { extractMessage, recordMessage } = require('./messages');
+
+// Inbound webhook event log
+// Every Gallabox delivery is stored in webhookEvents before it is processed,
+// keyed by the WhatsApp message ID. A retried delivery of an event that was
+// already processed is a no-op; failed events - and events stuck in
+// processing after a crash or timeout - are retried by the next delivery or
+// replayed from the admin API.
+
+const EVENT_STATUSES = ['processing', 'processed', 'skipped', 'failed'];
+const DEFAULT_LOCK_SECONDS = 300;
+
+class InboundEventError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'InboundEventError';
+    this.statusCode = statusCode;
+  }
+}
+
+// =============================================
+// Processors
+// =============================================
+
+// Match a WhatsApp message to its click and mark the click engaged
+async function processMessageEvent(event, channel) {
+  const channelTags = { channel_number: channel._id, brand: channel.brand };
+
+  if (normalizeNumber(event.channelNumber) !== channel._id) {
+    console.log(`⏭️ Skipping: Message has no receiving number for ${channel.brand}`);
+    return { status: 'skipped', reason: 'wrong_number' };
+  }
+
+  // Extract critical identifiers
+  const senderPhone = event.whatsapp?.from || '';
+  const contactId = event.contactId || event.contact?.id || null;
+  const conversationId = event.conversationId || null;
+  const contactName = event.contact?.name || null;
+  const rawMessageContent = extractMessage(event.whatsapp).text || 'No text content';
+
+  // Replies sent from the business number only go into the thread
+  if (normalizeNumber(senderPhone) === channel._id) {
+    return processOutboundMessage(event, channel);
+  }
+  const messageContent = stripRefCode(rawMessageContent);
+
+  // Phone number normalization - WhatsApp IDs carry the country code without "+"
+  const phone = normalizePhone(senderPhone, { international: true });
+  if (!phone.raw) {
+    throw new InboundEventError('Missing phone number');
+  }
+  if (!phone.valid) {
+    console.warn(`⚠️ Could not normalize sender phone: ${phone.raw}`);
+  }
+
+  const normalizedPhone = phone.e164;
+  const phoneFields = { phoneNumber: normalizedPhone, phone_raw: phone.raw, phone_country: phone.country };
+
+  let sessionId;
+  let utmData = {
+    source: 'direct_message',
+    medium: 'whatsapp',
+    campaign: 'organic',
+    content: 'none'
+  };
+  let attribution = 'direct';
+
+  // Run the attribution matchers (context → ref code → recent click → phone → existing conversation)
+  const match = await resolveAttribution({
+    event,
+    contactId,
+    conversationId,
+    contactName,
+    normalizedPhone,
+    messageContent: rawMessageContent,
+    channelNumber: channel._id
+  });
+  const attributionDecision = match.decision;
+
+  if (match.matched) {
+    sessionId = match.sessionId;
+    utmData = match.utmData;
+    attribution = match.attribution;
+  }
+
+  // Start of Modified Direct Message Handling
+  // No matching click: kept as a direct record only when the channel stores
+  // direct messages. Without a conversation ID the record is created below.
+  if (!sessionId) {
+    if (channel.directMessagePolicy === 'store') {
+      sessionId = `direct-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`;
+    } else {
+      console.log(`⏭️ Skipping direct message from ${normalizedPhone || phone.raw}`);
+      attribution = 'ignored_direct';
+      sessionId = 'not_stored';
+    }
+
+    if (conversationId && sessionId !== 'not_stored') {
+      attribution = 'new_direct';
+      console.log(`📝 Creating new direct record: ${sessionId}`);
+
+      await UtmClick.create({
+        _id: sessionId,
+        ...utmData,
+        ...channelTags,
+        timestamp: new Date(),
+        hasEngaged: true,
+        ...phoneFields,
+        lastMessage: messageContent,
+        engagedAt: new Date(),
+        syncedToSheets: false,
+        attribution_decision: attributionDecision,
+        contactId,
+        conversationId,
+        contactName
+      });
+    }
+  }
+  // End of Modified Direct Message Handling
+
+  // Update existing records
+  if (attribution !== 'new_direct' && sessionId !== 'not_stored') {
+    const updateData = {
+      hasEngaged: true,
+      ...phoneFields,
+      engagedAt: new Date(),
+      syncedToSheets: false,
+      attribution_source: attribution,
+      attribution_decision: attributionDecision,
+      ...channelTags,
+      contactId,
+      conversationId,
+      ...(contactName && { contactName }),
+      ...(messageContent && { lastMessage: messageContent })
+    };
+
+    const existingDoc = await UtmClick.findById(sessionId);
+
+    if (existingDoc) {
+      await UtmClick.findByIdAndUpdate(sessionId, updateData);
+    } else {
+      await UtmClick.create({
+        _id: sessionId,
+        ...utmData,
+        ...updateData,
+        timestamp: new Date()
+      });
+    }
+  }
+
+  // Keep the message in the contact's thread
+  if (sessionId !== 'not_stored') {
+    await recordMessage({ event, sessionId, phoneNumber: normalizedPhone, channelNumber: channel._id });
+  }
+
+  // Group this contact's clicks into one customer journey
+  if (sessionId && sessionId !== 'not_stored') {
+    await linkJourney(sessionId);
+  }
+
+  // Report ad-attributed leads back to Meta / Google Ads
+  if (match.matched) {
+    await queueAdPlatformEvents({
+      click: await UtmClick.findById(sessionId),
+      stage: 'lead',
+      dedupeKey: `lead:${sessionId}`
+    });
+  }
+
+  console.log(`✅ Processed message from ${normalizedPhone || phone.raw} (${channel.brand}) with attribution: ${attribution}`);
+  return {
+    status: 'processed',
+    sessionId,
+    brand: channel.brand,
+    source: utmData.source,
+    attribution
+  };
+}
+
+// Business-side message - linked to the conversation's latest click, no attribution
+async function processOutboundMessage(event, channel) {
+  const conversationId = event.conversationId || null;
+  const contactId = event.contactId || event.contact?.id || null;
+  const filters = [];
+  if (conversationId) filters.push({ conversationId });
+  if (contactId) filters.push({ contactId });
+
+  const click = filters.length > 0
+    ? await UtmClick.findOne({ $or: filters, hasEngaged: true }).sort({ engagedAt: -1 }).select('_id')
+    : null;
+  const sessionId = click ? click._id.toString() : null;
+
+  await recordMessage({
+    event,
+    direction: 'outbound',
+    sessionId,
+    phoneNumber: toE164(event.whatsapp?.to, { international: true }),
+    channelNumber: channel._id
+  });
+
+  console.log(`📤 Stored outbound message for ${sessionId || conversationId || 'unknown conversation'}`);
+  return { status: 'processed', direction: 'outbound', sessionId, brand: channel.brand };
+}
+
+// Contact tag / label updates mapped to conversion stages
+async function processTagEvent(event, channel) {
+  const result = await recordGallaboxTagEvent(event, { channelNumber: channel?._id || null });
+  console.log(`🏷️ Tag webhook: ${result.matched} of ${result.tags.length} tag(s) mapped`);
+  return {
+    status: 'processed',
+    tags: result.tags,
+    conversions: result.results.map(({ status, conversion }) => ({ status, stage: conversion.stage }))
+  };
+}
+
+const PROCESSORS = {
+  message: processMessageEvent,
+  tag: processTagEvent
+};
+
+// =============================================
+// Event log
+// =============================================
+
+// WhatsApp message ID for messages, Gallabox event ID otherwise
+function getDedupeKey(type, payload) {
+  const id = type === 'message'
+    ? payload.whatsapp?.id || payload.messageId || payload.id
+    : payload.id;
+  return id ? `${type}:${String(id).slice(0, 200)}` : null;
+}
+
+// How long a delivery may sit in processing before a retry can take it over
+function getLockMs() {
+  const seconds = Number(process.env.INBOUND_EVENT_LOCK_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_LOCK_SECONDS) * 1000;
+}
+
+// Log the delivery and claim it for processing. Returns { duplicate: true }
+// when the same event was already processed or is being processed right now.
+async function claimInboundEvent(type, payload, { channelNumber = null, deliveryId = null } = {}) {
+  const dedupeKey = getDedupeKey(type, payload);
+  const now = new Date();
+
+  if (!dedupeKey) {
+    const event = await WebhookEvent.create({
+      type, dedupeKey, deliveryId, channelNumber, payload,
+      status: 'processing', attempts: 1, lastAttemptAt: now
+    });
+    return { duplicate: false, event };
+  }
+
+  let existing;
+  try {
+    existing = await WebhookEvent.findOneAndUpdate(
+      { dedupeKey },
+      {
+        $setOnInsert: {
+          type, dedupeKey, deliveryId, channelNumber, payload,
+          status: 'processing', attempts: 1, lastAttemptAt: now, receivedAt: now
+        }
+      },
+      { upsert: true, new: false }
+    );
+  } catch (err) {
+    // Concurrent delivery inserted it first
+    if (err.code !== 11000) throw err;
+    existing = await WebhookEvent.findOne({ dedupeKey });
+  }
+  if (!existing) {
+    return { duplicate: false, event: await WebhookEvent.findOne({ dedupeKey }) };
+  }
+
+  // Earlier attempt failed, or never finished (crash, timeout) - this retry takes it over
+  const retried = await WebhookEvent.findOneAndUpdate(
+    {
+      _id: existing._id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', lastAttemptAt: { $lte: new Date(now.getTime() - getLockMs()) } }
+      ]
+    },
+    { status: 'processing', lastAttemptAt: now, $inc: { attempts: 1, duplicates: 1 } },
+    { new: true }
+  );
+  if (retried) {
+    return { duplicate: false, event: retried };
+  }
+
+  await WebhookEvent.updateOne({ _id: existing._id }, { $inc: { duplicates: 1 } });
+  console.log(`🔁 Duplicate ${type} event ${dedupeKey} (${existing.status}) ignored`);
+  return { duplicate: true, event: existing };
+}
+
+// Run the event's processor and record the outcome on the log entry
+async function runInboundEvent(event, channel) {
+  try {
+    const result = await PROCESSORS[event.type](event.payload, channel);
+    await WebhookEvent.findByIdAndUpdate(event._id, {
+      status: result.status === 'skipped' ? 'skipped' : 'processed',
+      sessionId: result.sessionId || null,
+      attribution: result.attribution || null,
+      result,
+      error: null,
+      processedAt: new Date()
+    });
+    return result;
+  } catch (err) {
+    await WebhookEvent.findByIdAndUpdate(event._id, {
+      status: 'failed',
+      error: err.message,
+      processedAt: new Date()
+    });
+    throw err;
+  }
+}
+
+// Response for a duplicate delivery - whatever the first one produced
+function describeDuplicate(event) {
+  return {
+    status: 'duplicate',
+    eventStatus: event.status,
+    ...(event.result && { result: event.result })
+  };
+}
+
+// Re-run a failed (or, with force, any) logged event
+async function replayInboundEvent(eventId, { force = false } = {}) {
+  const event = mongoose.isValidObjectId(eventId) ? await WebhookEvent.findById(eventId) : null;
+  if (!event) {
+    throw new InboundEventError('Event not found', 404);
+  }
+  if (!force && event.status !== 'failed') {
+    throw new InboundEventError(`Only failed events can be replayed (status: ${event.status})`, 409);
+  }
+
+  // Tag events logged before they were tied to a channel replay unscoped
+  let channel = null;
+  if (event.type === 'message' || event.channelNumber) {
+    channel = await getChannel(event.channelNumber);
+    if (!channel) {
+      throw new InboundEventError(`Channel ${event.channelNumber} is no longer registered`, 409);
+    }
+  }
+
+  const claimed = await WebhookEvent.findOneAndUpdate(
+    { _id: event._id, status: event.status },
+    { status: 'processing', lastAttemptAt: new Date(), $inc: { attempts: 1, replays: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw new InboundEventError('Event is already being processed', 409);
+  }
+
+  console.log(`🔄 Replaying ${event.type} event ${event._id}`);
+  try {
+    return { status: 'replayed', result: await runInboundEvent(claimed, channel) };
+  } catch (err) {
+    return { status: 'failed', error: err.message };
+  }
+}
+
+async function listInboundEvents({ status, type, limit = 50 } = {}) {
+  const filter = {};
+  if (status) {
+    if (!EVENT_STATUSES.includes(status)) {
+      throw new InboundEventError(`status must be one of: ${EVENT_STATUSES.join(', ')}`);
+    }
+    filter.status = status;
+  }
+  if (type) filter.type = String(type);
+
+  return WebhookEvent.find(filter)
+    .select('-payload')
+    .sort({ receivedAt: -1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .lean();
+}
+
+async function getInboundEvent(eventId) {
+  if (!mongoose.isValidObjectId(eventId)) return null;
+  return WebhookEvent.findById(eventId).lean();
+}
+
+module.exports = {
+  InboundEventError,
+  claimInboundEvent,
+  runInboundEvent,
+  describeDuplicate,
+  replayInboundEvent,
+  listInboundEvents,
+  getInboundEvent
+};
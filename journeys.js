@@ -0,0 +1,247 @@
+const { UtmClick } = require('./db');
+const { phoneLookupValues } = require('./phone');
+require('dotenv').config();
+
+// Customer journeys & multi-touch attribution
+// A journey is every click we can tie to one contact: clicks engaged from the
+// same phone number plus earlier clicks from the same browser (visitor_id).
+// A journey converts when the contact first messages us; each model then
+// splits one conversion of credit across the touchpoints in its lookback window.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Default model configuration - override with ATTRIBUTION_MODELS (JSON),
+// e.g. {"time_decay":{"lookbackDays":14,"halfLifeDays":3}}
+const DEFAULT_MODEL_CONFIG = {
+  first_touch: { lookbackDays: 90 },
+  last_touch: { lookbackDays: 30 },
+  linear: { lookbackDays: 30 },
+  time_decay: { lookbackDays: 30, halfLifeDays: 7 },
+  position_based: { lookbackDays: 30, firstWeight: 0.4, lastWeight: 0.4 }
+};
+
+const MODEL_NAMES = Object.keys(DEFAULT_MODEL_CONFIG);
+
+function loadModelConfig() {
+  let overrides = {};
+  if (process.env.ATTRIBUTION_MODELS) {
+    try {
+      overrides = JSON.parse(process.env.ATTRIBUTION_MODELS);
+    } catch (err) {
+      console.warn('⚠️ Invalid ATTRIBUTION_MODELS config, using defaults:', err.message);
+    }
+  }
+
+  const config = {};
+  for (const name of MODEL_NAMES) {
+    config[name] = { ...DEFAULT_MODEL_CONFIG[name], ...overrides[name] };
+  }
+  return config;
+}
+
+// Credit weights per model - each returns one weight per touchpoint (sum = 1)
+const MODELS = {
+  first_touch: (touches) => touches.map((_, i) => (i === 0 ? 1 : 0)),
+
+  last_touch: (touches) => touches.map((_, i) => (i === touches.length - 1 ? 1 : 0)),
+
+  linear: (touches) => touches.map(() => 1 / touches.length),
+
+  time_decay: (touches, conversionTime, { halfLifeDays }) => {
+    const raw = touches.map(touch => {
+      const ageDays = (conversionTime - touch.clickTime) / DAY_MS;
+      return Math.pow(2, -ageDays / halfLifeDays);
+    });
+    const total = raw.reduce((sum, w) => sum + w, 0);
+    return raw.map(w => w / total);
+  },
+
+  position_based: (touches, conversionTime, { firstWeight, lastWeight }) => {
+    if (touches.length === 1) return [1];
+    if (touches.length === 2) return [0.5, 0.5];
+
+    const middleWeight = (1 - firstWeight - lastWeight) / (touches.length - 2);
+    return touches.map((_, i) => {
+      if (i === 0) return firstWeight;
+      if (i === touches.length - 1) return lastWeight;
+      return middleWeight;
+    });
+  }
+};
+
+function getJourneyKey(click) {
+  return click.journey_id || click.phoneNumber || click.contactId || null;
+}
+
+function toTouchpoint(click) {
+  return {
+    sessionId: click._id.toString(),
+    source: click.source,
+    medium: click.medium,
+    campaign: click.campaign,
+    content: click.content,
+    placement: click.placement,
+    clickTime: new Date(click.click_time || click.timestamp),
+    hasEngaged: click.hasEngaged,
+    engagedAt: click.engagedAt
+  };
+}
+
+// Tie a freshly engaged click and its browser's earlier clicks to the contact
+async function linkJourney(sessionId) {
+  const click = await UtmClick.findById(sessionId);
+  if (!click) return null;
+
+  const phoneFilter = { phoneNumber: { $in: phoneLookupValues(click.phoneNumber) } };
+
+  // Join the journey this number already has (it may be keyed by the pre-E.164 digits)
+  const existing = !click.journey_id && click.phoneNumber
+    ? await UtmClick.findOne({ ...phoneFilter, journey_id: { $ne: null } }).select('journey_id')
+    : null;
+
+  const journeyId = click.journey_id || existing?.journey_id || click.phoneNumber || click.contactId;
+  if (!journeyId) return null;
+
+  const filters = [{ _id: click._id }];
+  if (click.phoneNumber) filters.push(phoneFilter);
+  if (click.visitor_id) filters.push({ visitor_id: click.visitor_id });
+
+  const result = await UtmClick.updateMany(
+    { $or: filters, journey_id: { $in: [null, journeyId] } },
+    { journey_id: journeyId }
+  );
+
+  console.log(`🧭 Journey ${journeyId}: linked ${result.modifiedCount} click(s)`);
+  return journeyId;
+}
+
+// Split credit for one journey under every model
+function attributeJourney(clicks, models = MODEL_NAMES) {
+  const config = loadModelConfig();
+  const touches = clicks
+    .map(toTouchpoint)
+    .sort((a, b) => a.clickTime - b.clickTime);
+
+  const conversion = touches
+    .filter(touch => touch.hasEngaged && touch.engagedAt)
+    .sort((a, b) => new Date(a.engagedAt) - new Date(b.engagedAt))[0];
+
+  if (!conversion) {
+    return { converted: false, conversionTime: null, touchpoints: touches, credits: {} };
+  }
+
+  const conversionTime = new Date(conversion.engagedAt);
+  const credits = {};
+
+  for (const model of models) {
+    const modelConfig = config[model];
+    const windowStart = conversionTime.getTime() - modelConfig.lookbackDays * DAY_MS;
+    const inWindow = touches.filter(touch =>
+      touch.clickTime.getTime() >= windowStart && touch.clickTime <= conversionTime
+    );
+
+    // The converting click always counts, even if it falls outside the lookback
+    const eligible = inWindow.length > 0 ? inWindow : [conversion];
+    const weights = MODELS[model](eligible, conversionTime, modelConfig);
+
+    credits[model] = eligible.map((touch, i) => ({
+      sessionId: touch.sessionId,
+      credit: Number(weights[i].toFixed(4))
+    }));
+  }
+
+  return { converted: true, conversionTime, touchpoints: touches, credits };
+}
+
+// Clicks flagged as bots are never touchpoints
+async function findJourneyClicks(journeyKeys) {
+  return UtmClick.find({
+    is_suspicious: { $ne: true },
+    $or: [
+      { journey_id: { $in: journeyKeys } },
+      { phoneNumber: { $in: journeyKeys } },
+      { contactId: { $in: journeyKeys } }
+    ]
+  }).lean();
+}
+
+async function getJourney(journeyId, models = MODEL_NAMES) {
+  const clicks = await findJourneyClicks([journeyId]);
+  if (clicks.length === 0) return null;
+
+  return { journeyId, ...attributeJourney(clicks, models) };
+}
+
+// Credit per source/medium/campaign under each model, for journeys converting in range
+async function getMultiTouchReport({ from, to, models = MODEL_NAMES, groupBy = ['source', 'medium', 'campaign'] } = {}) {
+  const engagedFilter = { hasEngaged: true, engagedAt: { $ne: null }, is_suspicious: { $ne: true } };
+  if (from || to) {
+    engagedFilter.engagedAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to })
+    };
+  }
+
+  const engaged = await UtmClick.find(engagedFilter)
+    .select('journey_id phoneNumber contactId')
+    .lean();
+
+  const journeyKeys = [...new Set(engaged.map(getJourneyKey).filter(Boolean))];
+  if (journeyKeys.length === 0) {
+    return { journeys: 0, models, groupBy, rows: [] };
+  }
+
+  const clicks = await findJourneyClicks(journeyKeys);
+  const journeys = new Map();
+  for (const click of clicks) {
+    const key = getJourneyKey(click);
+    if (!journeys.has(key)) journeys.set(key, []);
+    journeys.get(key).push(click);
+  }
+
+  const rowsByGroup = new Map();
+  let converted = 0;
+
+  for (const journeyClicks of journeys.values()) {
+    const result = attributeJourney(journeyClicks, models);
+    if (!result.converted) continue;
+    if (from && result.conversionTime < from) continue;
+    if (to && result.conversionTime > to) continue;
+    converted++;
+
+    const touchById = new Map(result.touchpoints.map(touch => [touch.sessionId, touch]));
+
+    for (const model of models) {
+      for (const { sessionId, credit } of result.credits[model]) {
+        const touch = touchById.get(sessionId);
+        const group = Object.fromEntries(groupBy.map(field => [field, touch[field] || 'unknown']));
+        const groupKey = JSON.stringify(group);
+
+        if (!rowsByGroup.has(groupKey)) {
+          rowsByGroup.set(groupKey, {
+            ...group,
+            ...Object.fromEntries(models.map(name => [name, 0]))
+          });
+        }
+        rowsByGroup.get(groupKey)[model] += credit;
+      }
+    }
+  }
+
+  const rows = [...rowsByGroup.values()]
+    .map(row => {
+      for (const model of models) row[model] = Number(row[model].toFixed(2));
+      return row;
+    })
+    .sort((a, b) => b[models[0]] - a[models[0]]);
+
+  return { journeys: converted, models, groupBy, rows };
+}
+
+module.exports = {
+  MODEL_NAMES,
+  linkJourney,
+  attributeJourney,
+  getJourney,
+  getMultiTouchReport
+};
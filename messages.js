@@ -0,0 +1,141 @@
+const { UtmClick, Message } = require('./db');
+const { toE164, phoneLookupValues } = require('./phone');
+const { stripRefCode } = require('./attribution');
+require('dotenv').config();
+
+// Conversation history
+// Every inbound (and outbound, when Gallabox reports it) WhatsApp message is
+// stored in the messages collection and linked to the click it was attributed
+// to, so the first message is kept even after lastMessage moves on.
+
+const DEFAULT_TEXT_MAX_LENGTH = 1000;
+const MEDIA_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
+
+function getTextMaxLength() {
+  const length = Number(process.env.MESSAGE_TEXT_MAX_LENGTH);
+  return Number.isFinite(length) && length > 0 ? Math.floor(length) : DEFAULT_TEXT_MAX_LENGTH;
+}
+
+// Message type & text from a Gallabox/WhatsApp payload
+function extractMessage(whatsapp = {}) {
+  const rawType = whatsapp.type || (whatsapp.text ? 'text' : whatsapp.interactive ? 'interactive' : null);
+
+  if (rawType === 'text') {
+    return { type: 'text', subtype: null, text: whatsapp.text?.body || null };
+  }
+
+  if (rawType === 'interactive') {
+    const reply = whatsapp.interactive?.list_reply || whatsapp.interactive?.button_reply;
+    const subtype = whatsapp.interactive?.list_reply ? 'list_reply'
+      : whatsapp.interactive?.button_reply ? 'button_reply'
+      : whatsapp.interactive?.type || null;
+    return { type: 'interactive', subtype, text: reply?.title || null };
+  }
+
+  if (rawType === 'button') {
+    return { type: 'button', subtype: 'quick_reply', text: whatsapp.button?.text || null };
+  }
+
+  if (MEDIA_TYPES.includes(rawType)) {
+    const media = whatsapp[rawType] || {};
+    return { type: 'media', subtype: rawType, text: media.caption || media.filename || null };
+  }
+
+  if (rawType === 'location') {
+    const { name, address, latitude, longitude } = whatsapp.location || {};
+    const place = [name, address].filter(Boolean).join(', ');
+    const coordinates = latitude !== undefined && longitude !== undefined ? `${latitude},${longitude}` : '';
+    return { type: 'location', subtype: null, text: [place, coordinates].filter(Boolean).join(' ') || null };
+  }
+
+  return { type: 'other', subtype: rawType || null, text: null };
+}
+
+function truncateText(text) {
+  if (!text) return { text: null, truncated: false };
+  const maxLength = getTextMaxLength();
+  return text.length > maxLength
+    ? { text: text.slice(0, maxLength), truncated: true }
+    : { text, truncated: false };
+}
+
+// Store one message; the click's firstMessage/messageCount follow along
+async function recordMessage({ event, direction = 'inbound', sessionId = null, phoneNumber = null, channelNumber = null }) {
+  const whatsapp = event.whatsapp || {};
+  const { type, subtype, text: fullText } = extractMessage(whatsapp);
+  // Same text as the click's lastMessage - without the "[ref: XXXXX]" suffix
+  const { text, truncated } = truncateText(stripRefCode(fullText));
+  const seconds = Number(whatsapp.timestamp);
+
+  const fields = {
+    messageId: whatsapp.id || event.messageId || null,
+    sessionId,
+    contactId: event.contactId || event.contact?.id || null,
+    conversationId: event.conversationId || null,
+    phoneNumber,
+    channelNumber,
+    direction,
+    type,
+    subtype,
+    text,
+    truncated,
+    sentAt: seconds ? new Date(seconds * 1000) : new Date()
+  };
+
+  // Replayed events must not store (or count) the same message twice
+  let message;
+  if (fields.messageId) {
+    const existing = await Message.findOneAndUpdate(
+      { messageId: fields.messageId },
+      { $setOnInsert: fields },
+      { upsert: true, new: false }
+    );
+    if (existing) return existing;
+    message = await Message.findOne({ messageId: fields.messageId });
+  } else {
+    message = await Message.create(fields);
+  }
+
+  if (sessionId && direction === 'inbound') {
+    await UtmClick.updateOne({ _id: sessionId }, { $inc: { messageCount: 1 } });
+    if (text) {
+      await UtmClick.updateOne({ _id: sessionId, firstMessage: null }, { firstMessage: text });
+    }
+  }
+
+  return message;
+}
+
+// Messages for a session, contact, conversation or phone number, oldest first
+async function getThread(query = {}) {
+  // Query-string values: cast so ?contactId[$ne]=x can't become an operator
+  const [sessionId, contactId, conversationId, phone] = ['sessionId', 'contactId', 'conversationId', 'phone']
+    .map(field => (query[field] ? String(query[field]) : null));
+  const limit = query.limit || 200;
+  const filters = [];
+
+  if (sessionId) {
+    filters.push({ sessionId });
+    const click = await UtmClick.findById(sessionId).select('contactId conversationId').lean();
+    if (click?.conversationId) filters.push({ conversationId: click.conversationId });
+    if (click?.contactId) filters.push({ contactId: click.contactId });
+  }
+  if (contactId) filters.push({ contactId });
+  if (conversationId) filters.push({ conversationId });
+  if (phone) filters.push({ phoneNumber: { $in: phoneLookupValues(toE164(phone)) } });
+
+  if (filters.length === 0) return null;
+
+  const messages = await Message.find({ $or: filters })
+    .sort({ sentAt: 1 })
+    .limit(Math.min(Number(limit) || 200, 1000))
+    .lean();
+
+  return { count: messages.length, messages };
+}
+
+module.exports = {
+  extractMessage,
+  recordMessage,
+  getThread
+};
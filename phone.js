@@ -0,0 +1,62 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+require('dotenv').config();
+
+// Phone normalization
+// Every phone number we store, match on, export or hash goes through here and
+// comes out as E.164 (+919876543210). Numbers without a country code are read
+// in PHONE_DEFAULT_REGION (ISO 3166 alpha-2, default IN).
+
+const DEFAULT_REGION = (process.env.PHONE_DEFAULT_REGION || 'IN').toUpperCase();
+
+function parseValid(text, region) {
+  const parsed = parsePhoneNumberFromString(text, region);
+  return parsed && parsed.isValid() ? parsed : null;
+}
+
+// Parse a raw number to { raw, e164, country, valid }.
+// `international: true` is for sources that always include the country code
+// without a "+" (WhatsApp IDs, channel numbers) - those are tried as
+// international before the default region, never the other way round.
+function normalizePhone(raw, { region = DEFAULT_REGION, international = false } = {}) {
+  const text = String(raw ?? '').trim();
+  const empty = { raw: text || null, e164: null, country: null, valid: false };
+  if (!text) return empty;
+
+  // "00" is the international dialling prefix almost everywhere
+  const cleaned = text.replace(/[^\d+]/g, '').replace(/^00/, '+');
+  const digits = cleaned.replace(/\D/g, '');
+  if (!digits) return empty;
+
+  const attempts = cleaned.startsWith('+')
+    ? [() => parseValid(`+${digits}`)]
+    : international
+      ? [() => parseValid(`+${digits}`), () => parseValid(digits, region)]
+      : [() => parseValid(digits, region), () => parseValid(`+${digits}`)];
+
+  for (const attempt of attempts) {
+    const parsed = attempt();
+    if (parsed) {
+      return { raw: text, e164: parsed.number, country: parsed.country || null, valid: true };
+    }
+  }
+
+  return empty;
+}
+
+// E.164 or null - the value stored in phoneNumber fields
+function toE164(raw, options) {
+  return normalizePhone(raw, options).e164;
+}
+
+// Records stored before E.164 kept the number as bare digits with country code,
+// so lookups match both forms
+function phoneLookupValues(e164) {
+  return e164 ? [e164, e164.slice(1)] : [];
+}
+
+module.exports = {
+  DEFAULT_REGION,
+  normalizePhone,
+  toE164,
+  phoneLookupValues
+};
@@ -0,0 +1,269 @@
+const { UtmClick } = require('./db');
+const { getStages } = require('./conversions');
+
+// Reporting API aggregations
+// Read-only funnel & campaign metrics over UtmClick for BI dashboards.
+// Dates are interpreted in the requested IANA timezone (default Asia/Kolkata).
+
+const DEFAULT_TIMEZONE = process.env.REPORTS_TIMEZONE || 'Asia/Kolkata';
+const GROUP_FIELDS = ['source', 'medium', 'campaign', 'content', 'placement', 'brand', 'cta_id', 'cta_channel'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+class ReportQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReportQueryError';
+    this.statusCode = 400;
+  }
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+function getTimezoneOffsetMs(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const v = Object.fromEntries(parts.map(p => [p.type, Number(p.value)]));
+  const asUtc = Date.UTC(v.year, v.month - 1, v.day, v.hour, v.minute, v.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// "2024-05-01" → midnight of that day in the timezone; full ISO strings pass through
+function parseDate(value, timezone, { endOfDay = false } = {}) {
+  if (!value) return null;
+
+  if (DATE_ONLY.test(value)) {
+    const midnightUtc = new Date(`${value}T00:00:00Z`);
+    if (endOfDay) midnightUtc.setUTCDate(midnightUtc.getUTCDate() + 1);
+    return new Date(midnightUtc.getTime() - getTimezoneOffsetMs(midnightUtc, timezone));
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ReportQueryError(`Invalid date: ${value}`);
+  }
+  return date;
+}
+
+// Shared query-string parsing for every report endpoint
+function parseReportQuery(query = {}) {
+  const timezone = query.tz || query.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(timezone)) {
+    throw new ReportQueryError(`Invalid timezone: ${timezone}`);
+  }
+
+  const groupBy = (query.groupBy || 'source,medium,campaign')
+    .split(',')
+    .map(field => field.trim())
+    .filter(Boolean);
+
+  const unknownFields = groupBy.filter(field => !GROUP_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    throw new ReportQueryError(`Unsupported groupBy field(s): ${unknownFields.join(', ')}`);
+  }
+
+  const from = parseDate(query.from, timezone);
+  // "to" is inclusive for whole days, so it becomes the start of the next day
+  const to = parseDate(query.to, timezone, { endOfDay: true });
+
+  const filters = {};
+  for (const field of GROUP_FIELDS) {
+    if (query[field]) filters[field] = String(query[field]);
+  }
+
+  return { timezone, groupBy, from, to, filters };
+}
+
+function buildMatchStage({ from, to, filters }) {
+  const match = {
+    source: { $ne: 'direct_message' },
+    is_suspicious: { $ne: true },
+    ...filters
+  };
+
+  if (from || to) {
+    match.timestamp = {
+      ...(from && { $gte: from }),
+      ...(to && { $lt: to })
+    };
+  }
+
+  return { $match: match };
+}
+
+// Seconds from click to first message; null for clicks that never engaged
+const ENGAGE_SECONDS = {
+  $cond: [
+    {
+      $and: [
+        '$hasEngaged',
+        '$engagedAt',
+        { $gte: ['$engagedAt', { $ifNull: ['$click_time', '$timestamp'] }] }
+      ]
+    },
+    {
+      $divide: [
+        { $subtract: ['$engagedAt', { $ifNull: ['$click_time', '$timestamp'] }] },
+        1000
+      ]
+    },
+    null
+  ]
+};
+
+// Click → engagement counters shared by every grouping
+const METRIC_ACCUMULATORS = {
+  clicks: { $sum: 1 },
+  engagements: { $sum: { $cond: ['$hasEngaged', 1, 0] } },
+  conversions: { $sum: { $cond: [{ $gt: ['$conversion_count', 0] }, 1, 0] } },
+  revenue: { $sum: { $ifNull: ['$conversion_value', 0] } }
+};
+
+// $median (MongoDB 7+) keeps the median in the pipeline - pushing every
+// engagement time into one array can pass the 16 MB document / $group memory
+// limits on large ranges. Older servers still get it that way.
+let medianSupport = null;
+
+function supportsMedian() {
+  if (!medianSupport) {
+    medianSupport = UtmClick.db.db.admin().serverInfo()
+      .then(({ version }) => Number(String(version).split('.')[0]) >= 7)
+      .catch(err => {
+        console.warn('⚠️ Could not read the MongoDB version, computing medians in the app:', err.message);
+        return false;
+      });
+  }
+  return medianSupport;
+}
+
+async function getMetricAccumulators() {
+  return {
+    ...METRIC_ACCUMULATORS,
+    medianEngageSeconds: await supportsMedian()
+      ? { $median: { input: ENGAGE_SECONDS, method: 'approximate' } }
+      : { $push: ENGAGE_SECONDS }
+  };
+}
+
+// Exact median of the pushed engagement times (servers without $median)
+function median(values) {
+  const sorted = values.filter(v => v !== null && v >= 0).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function toMetrics({ clicks, engagements, conversions = 0, revenue = 0, medianEngageSeconds }) {
+  const medianSeconds = Array.isArray(medianEngageSeconds) ? median(medianEngageSeconds) : medianEngageSeconds;
+  return {
+    clicks,
+    engagements,
+    conversionRate: clicks ? Number((engagements / clicks).toFixed(4)) : 0,
+    medianTimeToEngageSeconds: medianSeconds == null ? null : Math.round(medianSeconds),
+    conversions,
+    revenue,
+    revenuePerClick: clicks ? Number((revenue / clicks).toFixed(2)) : 0
+  };
+}
+
+// Overall click → engagement → lifecycle funnel, with a per-day series in the requested timezone
+async function getFunnelReport(query) {
+  const { timezone, from, to, filters } = parseReportQuery(query);
+  const accumulators = await getMetricAccumulators();
+
+  const [result] = await UtmClick.aggregate([
+    buildMatchStage({ from, to, filters }),
+    {
+      $facet: {
+        totals: [{ $group: { _id: null, ...accumulators } }],
+        daily: [
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone } },
+              ...accumulators
+            }
+          },
+          { $sort: { _id: 1 } }
+        ],
+        lifecycle: [
+          { $match: { lifecycle_stage: { $ne: null } } },
+          { $group: { _id: '$lifecycle_stage', count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  // lifecycle_stage is the furthest stage reached, so a click counts towards every earlier stage too
+  const stageNames = getStages();
+  const furthest = Object.fromEntries(result.lifecycle.map(({ _id, count }) => [_id, count]));
+  const lifecycleStages = stageNames.map((stage, i) => ({
+    stage,
+    count: stageNames.slice(i).reduce((sum, later) => sum + (furthest[later] || 0), 0)
+  }));
+
+  const totals = result.totals[0] || { clicks: 0, engagements: 0, conversions: 0, revenue: 0, medianEngageSeconds: null };
+
+  return {
+    timezone,
+    from,
+    to,
+    filters,
+    stages: [
+      { stage: 'click', count: totals.clicks },
+      { stage: 'engaged', count: totals.engagements },
+      ...lifecycleStages
+    ],
+    ...toMetrics(totals),
+    daily: result.daily.map(day => ({ date: day._id, ...toMetrics(day) }))
+  };
+}
+
+// Metrics per campaign grouping (source/medium/campaign/content/placement), or per CTA (cta_id/cta_channel)
+async function getCampaignReport(query) {
+  const { timezone, groupBy, from, to, filters } = parseReportQuery(query);
+  const accumulators = await getMetricAccumulators();
+
+  const groups = await UtmClick.aggregate([
+    buildMatchStage({ from, to, filters }),
+    {
+      $group: {
+        _id: Object.fromEntries(groupBy.map(field => [field, `$${field}`])),
+        ...accumulators
+      }
+    },
+    { $sort: { clicks: -1 } }
+  ]);
+
+  return {
+    timezone,
+    from,
+    to,
+    groupBy,
+    filters,
+    rows: groups.map(group => ({ ...group._id, ...toMetrics(group) }))
+  };
+}
+
+module.exports = {
+  ReportQueryError,
+  parseReportQuery,
+  getFunnelReport,
+  getCampaignReport
+};
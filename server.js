@@ -3,7 +3,59 @@ const cors = require('cors');
 const helmet = require('helmet');
 const AWS = require('aws-sdk');
 const crypto = require('crypto');
+const path = require('path');
 const { connectDB, UtmClick } = require('./db');
+const { setRefCodeSecret, generateRefCode, issueClickSession } = require('./attribution');
+const { MODEL_NAMES, getJourney, getMultiTouchReport } = require('./journeys');
+const { getFunnelReport, getCampaignReport } = require('./reports');
+const { validateConversion, recordConversion } = require('./conversions');
+const {
+  processAdPlatformQueue,
+  retryFailedDeliveries,
+  listDeliveries
+} = require('./ad-platforms');
+const {
+  processExportQueue,
+  retryDeadJobs,
+  listExportJobs,
+  getExportQueueStats,
+  sweepSinks,
+  startBackfill,
+  listBackfills,
+  startSheetsRebuild,
+  getRebuildStatus,
+  scheduledSync,
+  setupRealtimeSync
+} = require('./export-queue');
+const { getExportSchema, saveExportSchema, resetExportSchema } = require('./export-schema');
+const { listSinks, upsertSink, toPublicSink, signWebhook } = require('./export-sinks');
+const { getSite, renderTracker, upsertSite, listSites } = require('./sites');
+const { normalizeNumber, splitList, getChannel, listChannels, upsertChannel, toPublicChannel } = require('./channels');
+const { authenticateWebhook, getDeliveryId, claimDelivery, completeDelivery, releaseDelivery } = require('./webhook-auth');
+const {
+  claimInboundEvent,
+  runInboundEvent,
+  describeDuplicate,
+  replayInboundEvent,
+  listInboundEvents,
+  getInboundEvent
+} = require('./inbound-events');
+const {
+  ClickValidationError,
+  cleanString,
+  validateClickPayload,
+  parseClickBatch,
+  resolveClickTime,
+  resolveConsent,
+  hasTrackingConsent,
+  withoutIdentifiers,
+  extractClickIds,
+  extractLandingContext,
+  extractTouch
+} = require('./clicks');
+const { checkRateLimits, checkSessionIssueLimit, isOriginAllowed, detectSuspiciousClick } = require('./click-guard');
+const { getThread } = require('./messages');
+const { searchClicks, getClickDetail, getDashboardSummary, requeueSheetsSync } = require('./dashboard');
 require('dotenv').config();
 
 const app = express();
@@ -35,9 +87,20 @@ server.on('error', (err) => {
 });
 
 // Essential middleware
-app.use(cors());
+// App Runner terminates TLS in front of us - trust its X-Forwarded-For for req.ip
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS || 1));
+
+// Open CORS for the API; /store-click gets the site registry allowlist instead,
+// and the admin UI (same-origin only) gets no CORS headers at all
+const openCors = cors();
+app.use((req, res, next) => (req.path === '/store-click' || req.path.startsWith('/admin') ? next() : openCors(req, res, next)));
 app.use(helmet());
-app.use(express.json());
+// Raw body is kept for webhook signature verification
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Health endpoint (available immediately)
 app.get('/health', (req, res) => {
@@ -66,6 +129,15 @@ async function getSecret(secretName) {
   }
 }
 
+// Constant-time string comparison for tokens & passwords
+function safeEqual(a, b) {
+  const expected = Buffer.from(String(a || ''));
+  const received = Buffer.from(String(b || ''));
+  return expected.length > 0 &&
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received);
+}
+
 // Deferred initialization
 setImmediate(async () => {
   try {
@@ -75,20 +147,94 @@ setImmediate(async () => {
     await connectDB();
     console.log('✅ MongoDB connected successfully');
 
+    // Secrets Manager lookup that treats a missing secret as "not configured"
+    const getOptionalSecret = async (secretName) => {
+      if (!secretName) return null;
+      try {
+        return await getSecret(secretName);
+      } catch (error) {
+        return null;
+      }
+    };
+
+    // Ref code signing key - required in production, where an unsigned code could be forged
+    const refCodeSecret = process.env.REF_CODE_SECRET || await getOptionalSecret('utm-tracker/ref-code-secret');
+    if (!refCodeSecret) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('REF_CODE_SECRET (or the utm-tracker/ref-code-secret secret) is required in production');
+      }
+      console.warn('⚠️ REF_CODE_SECRET is not set - reference codes are unsigned and can be forged');
+    }
+    setRefCodeSecret(refCodeSecret);
+
+    // Gallabox webhook credentials for a channel - inline, or via Secrets Manager
+    const getChannelCredentials = (channel) => ({
+      tokens: async () => [channel.gallaboxToken || await getOptionalSecret(channel.gallaboxTokenSecret)].filter(Boolean),
+      secrets: async () => [
+        ...(channel.webhookSecrets || []),
+        ...splitList(await getOptionalSecret(channel.webhookSecretsSecret))
+      ]
+    });
+
     // Security middleware - Gallabox webhook verification
+    // Checked against one channel's credentials only: the receiving number in the
+    // payload, or ?channel=<number> on the webhook URL for payloads without one
+    // (tag updates). A channel's token never authorises another channel's events;
+    // with a single active channel the number can be left off.
+    // Deliveries are claimed once verified; a replay or a retry of a processed
+    // delivery is acknowledged without being processed again.
     const verifyGallabox = async (req, res, next) => {
       try {
-        const token = req.headers['x-gallabox-token'];
-        
-        // Get token from environment or secrets manager
-        let gallaboxToken = process.env.GALLABOX_TOKEN;
-        if (!gallaboxToken) {
-          gallaboxToken = await getSecret('utm-tracker/gallabox-token');
+        let channelNumber = normalizeNumber(req.body?.channelNumber || req.query.channel);
+        if (!channelNumber) {
+          const channels = await listChannels();
+          if (channels.length !== 1) {
+            console.warn(`🔒 Rejected Gallabox webhook on ${req.path}: no channel number`);
+            return res.status(400).json({ error: 'channelNumber (or ?channel= on the webhook URL) is required' });
+          }
+          channelNumber = channels[0]._id;
         }
-        
-        if (token !== gallaboxToken) {
+
+        const channel = await getChannel(channelNumber);
+        if (!channel) {
+          console.log(`⏭️ Skipping: Message was for ${channelNumber}, which is not a registered channel`);
+          return res.status(200).json({ status: 'skipped', reason: 'wrong_number' });
+        }
+
+        const auth = await authenticateWebhook(req, getChannelCredentials(channel));
+        if (!auth.ok) {
+          console.warn(`🔒 Rejected Gallabox webhook on ${req.path}: ${auth.reason}`);
           return res.status(401).send('Invalid token');
         }
+
+        const deliveryId = getDeliveryId(req, auth);
+        if (deliveryId) {
+          const claim = await claimDelivery(req.path, deliveryId);
+          if (!claim.claimed) {
+            console.warn(`🔁 Ignored repeated Gallabox delivery ${deliveryId} on ${req.path} (${claim.status})`);
+            // 409 while the first attempt is still running, so the retry comes back if it fails;
+            // 200, not an error, once processed - a retry after a lost response must stop retrying
+            return claim.status === 'processing'
+              ? res.status(409).json({ status: 'in_progress', deliveryId })
+              : res.status(200).json({ status: 'duplicate', deliveryId });
+          }
+
+          // Only a delivered success settles the claim. A 5xx, or a connection closed
+          // before the response went out, releases it for the retry; a crash leaves
+          // it to lapse after its lease.
+          let settled = false;
+          const settle = (success) => {
+            if (settled) return;
+            settled = true;
+            (success ? completeDelivery : releaseDelivery)(req.path, deliveryId)
+              .catch(err => console.error('❌ Failed to settle webhook delivery:', err));
+          };
+          res.on('finish', () => settle(res.statusCode < 500));
+          res.on('close', () => settle(false));
+        }
+
+        req.channel = channel;
+        req.webhookAuth = auth.method;
         next();
       } catch (error) {
         console.error('❌ Token verification error:', error);
@@ -96,251 +242,828 @@ setImmediate(async () => {
       }
     };
 
+    // Security middleware - API token for reports, conversions & BI dashboards
+    const verifyApiToken = async (req, res, next) => {
+      try {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : req.headers['x-api-key'];
+
+        let apiToken = process.env.API_TOKEN;
+        if (!apiToken) {
+          apiToken = await getSecret('utm-tracker/api-token');
+        }
+
+        if (!safeEqual(apiToken, token)) {
+          return res.status(401).json({ error: 'Invalid API token' });
+        }
+        next();
+      } catch (error) {
+        console.error('❌ API token verification error:', error);
+        res.status(500).json({ error: 'Authentication failed' });
+      }
+    };
+
+    // Security middleware - HTTP Basic auth for the admin dashboard
+    const verifyAdmin = async (req, res, next) => {
+      try {
+        const header = req.headers.authorization || '';
+        const [username, password] = header.startsWith('Basic ')
+          ? Buffer.from(header.slice(6), 'base64').toString().split(/:(.*)/s)
+          : [];
+
+        let credentials = {
+          username: process.env.ADMIN_USERNAME,
+          password: process.env.ADMIN_PASSWORD
+        };
+        if (!credentials.password) {
+          credentials = JSON.parse(await getSecret('utm-tracker/admin-credentials'));
+        }
+
+        if (!safeEqual(credentials.username, username) || !safeEqual(credentials.password, password)) {
+          res.set('WWW-Authenticate', 'Basic realm="UTM Tracker Admin"');
+          return res.status(401).send('Authentication required');
+        }
+        next();
+      } catch (error) {
+        console.error('❌ Admin authentication error:', error);
+        res.status(500).send('Authentication failed');
+      }
+    };
+
+    // CSRF guard for admin actions - browsers resend Basic auth credentials on
+    // cross-site requests, so a state-changing request must come from the admin
+    // page itself (Origin, or Referer when a browser leaves Origin off)
+    const verifyAdminOrigin = (req, res, next) => {
+      const sentFrom = req.headers.origin || req.headers.referer;
+      let sentFromHost = null;
+      try {
+        sentFromHost = new URL(sentFrom).host;
+      } catch (error) {
+        // Missing or opaque ("null") origin
+      }
+
+      const host = req.headers['x-forwarded-host'] || req.headers.host;
+      if (!sentFromHost || sentFromHost !== host) {
+        console.warn(`🔒 Rejected cross-site admin request to ${req.path} from ${sentFrom || 'unknown origin'}`);
+        return res.status(403).json({ error: 'Cross-site request refused' });
+      }
+      next();
+    };
+
     // Enhanced Gallabox Webhook Handler
+    // Each message is logged in webhookEvents first; Gallabox retries of a
+    // processed message are answered from the log without re-running matching.
     app.post('/gallabox-webhook', verifyGallabox, async (req, res) => {
       try {
         const event = req.body;
         console.log('📥 Incoming webhook payload:', JSON.stringify(event, null, 2));
 
-        // Check if this is for the American Hairline number
-        const receivingNumber = (event.channelNumber || '').replace(/\D/g, '');
-        const americanHairlineNumber = process.env.WHATSAPP_NUMBER || '919137279145';
+        const { duplicate, event: logged } = await claimInboundEvent('message', event, {
+          channelNumber: req.channel._id,
+          deliveryId: getDeliveryId(req)
+        });
+        if (duplicate) {
+          return res.status(200).json(describeDuplicate(logged));
+        }
+
+        res.status(200).json(await runInboundEvent(logged, req.channel));
+      } catch (err) {
+        console.error('❌ Webhook processing error:', err);
+        res.status(err.statusCode || 500).json({ 
+          error: err.statusCode ? err.message : 'Processing failed',
+          details: err.message
+        });
+      }
+    });
+
+    // Store Click Endpoint
+    // Browsers only get CORS headers for origins in the site registry
+    const storeClickCors = cors({
+      origin: (origin, callback) => {
+        isOriginAllowed(origin).then(allowed => callback(null, allowed), callback);
+      },
+      methods: ['POST']
+    });
+
+    // Store one click payload. Rejections throw with a statusCode; a click
+    // that is already stored (the snippet resends what it couldn't confirm)
+    // comes back as a duplicate.
+    async function storeClick(req, payload) {
+      const validated = validateClickPayload(payload);
+
+      const limited = checkRateLimits(req.ip, validated.session_id);
+      if (limited) {
+        console.warn(`🚦 /store-click rate limit (${limited.scope}) hit by ${req.ip}`);
+        const err = new ClickValidationError(`Too many requests for this ${limited.scope}`, 429);
+        err.retryAfterSeconds = limited.retryAfterSeconds;
+        throw err;
+      }
+
+      // Tag the click with the WhatsApp channel its site sends to
+      const siteId = cleanString(validated.site_id, 100);
+      const site = siteId ? await getSite(siteId) : null;
+      const channel = site ? await getChannel(site.whatsappNumber) : null;
+
+      const origin = req.headers.origin || null;
+      if (origin && !(await isOriginAllowed(origin, site))) {
+        console.warn(`🚫 /store-click from disallowed origin ${origin} (site: ${siteId || 'none'})`);
+        throw new ClickValidationError('Origin not allowed', 403);
+      }
+
+      // Likely bots are stored but flagged, so they never count as ad traffic
+      const suspicionReasons = detectSuspiciousClick(req, validated);
+      if (suspicionReasons.length > 0) {
+        console.warn(`🤖 Suspicious click ${validated.session_id}: ${suspicionReasons.join(', ')}`);
+      }
+
+      // Without tracking consent only campaign-level fields are kept, whatever the snippet sent
+      const consent = resolveConsent(validated, {
+        required: site?.consentRequired === true || process.env.CONSENT_REQUIRED === 'true'
+      });
+      const tracked = hasTrackingConsent({ consent });
+      const body = tracked ? validated : withoutIdentifiers(validated);
+      const {
+        session_id, original_params, client_hints, prefilled_message, visitor_id,
+        click_ids, cookies, referrer, landing_path, first_touch, last_touch,
+        site_id, snippet_version, ref_code, sent_at, cta_id, cta_channel,
+        consent_state, consent_source, tcf_string, ...rawData
+      } = body;
+      const hints = client_hints || {};
+      const { viewport, ...landingContext } = extractLandingContext(body);
+      
+      // Extract values with consistent naming
+      const params = original_params || {};
+      // Always derived from the session ID - the code a client sends is never trusted.
+      // Calls, forms and Telegram links never reach a WhatsApp chat, so they get none.
+      const ctaChannel = cta_channel || 'whatsapp';
+      const refCode = ctaChannel === 'whatsapp' ? generateRefCode(session_id) : null;
+      const clickTime = resolveClickTime(body);
+      
+      // Create standardized structure
+      const utmData = {
+        source: params.source || rawData.source || 'facebook',
+        medium: params.medium || rawData.medium || 'fb_ads',
+        campaign: params.campaign || rawData.campaign || 'unknown',
+        content: params.content || rawData.content || 'unknown',
+        placement: params.placement || rawData.placement || 'unknown',
+        
+        original_params: {
+          ...params,
+          campaign: params.campaign || rawData.campaign || 'unknown',
+          medium: params.medium || rawData.medium || 'fb_ads',
+          source: params.source || rawData.source || 'facebook',
+          content: params.content || rawData.content || 'unknown',
+          placement: params.placement || rawData.placement || 'unknown'
+        },
         
-        console.log('🔍 DEBUG: channelNumber received:', receivingNumber);
+        ref_code: refCode,
+        site_id: siteId,
+        snippet_version: cleanString(snippet_version, 50),
+        cta_id: cleanString(cta_id, 100),
+        cta_channel: ctaChannel,
+        consent,
+        channel_number: channel?._id || null,
+        brand: channel?.brand || null,
+        visitor_id: visitor_id || null,
+        full_url: cleanString(rawData.full_url, 2000),
+        prefilled_message: prefilled_message || null,
+        click_ids: extractClickIds(body),
+        first_touch: extractTouch(first_touch),
+        last_touch: extractTouch(last_touch),
+        ...landingContext,
+        client_hints: {
+          user_agent: hints.user_agent || (tracked && req.headers['user-agent']) || null,
+          platform: hints.platform || null,
+          mobile: typeof hints.mobile === 'boolean' ? hints.mobile : null,
+          language: hints.language || null,
+          timezone: hints.timezone || null,
+          webdriver: typeof hints.webdriver === 'boolean' ? hints.webdriver : null,
+          viewport
+        },
+        is_suspicious: suspicionReasons.length > 0,
+        suspicion_reasons: suspicionReasons,
+        origin,
         
-        if (receivingNumber !== americanHairlineNumber) {
-          console.log(`⏭️ Skipping: Message was for ${receivingNumber}, not American Hairline`);
-          return res.status(200).json({ status: 'skipped', reason: 'wrong_number' });
+        click_time: clickTime
+      };
+
+      // Check if document already exists
+      const existing = await UtmClick.findById(session_id).select('ref_code');
+      if (existing) {
+        return { status: 'duplicate', session_id, ref_code: existing.ref_code };
+      }
+
+      try {
+        await UtmClick.create({
+          _id: session_id,
+          ...utmData,
+          timestamp: clickTime,
+          hasEngaged: false,
+          syncedToSheets: false
+        });
+      } catch (err) {
+        // A resend of the same click got there first
+        if (err.code !== 11000) throw err;
+        return { status: 'duplicate', session_id, ref_code: refCode };
+      }
+      return { status: 'stored', session_id, ref_code: refCode };
+    }
+
+    // Session ID + signed ref code the snippet holds until the visitor clicks
+    app.options('/click-session', storeClickCors);
+    app.get('/click-session', storeClickCors, async (req, res) => {
+      try {
+        const origin = req.headers.origin || null;
+        if (origin && !(await isOriginAllowed(origin))) {
+          return res.status(403).json({ error: 'Origin not allowed' });
         }
 
-        // Extract critical identifiers
-        const senderPhone = event.whatsapp?.from?.replace(/^0+/, '') || '';
-        const contactId = event.contactId || event.contact?.id || null;
-        const conversationId = event.conversationId || null;
-        const contactName = event.contact?.name || null;
-        const messageContent = event.whatsapp?.text?.body || 
-                               (event.whatsapp?.interactive?.list_reply?.title || 'No text content');
-        
-        // Phone number normalization
-        let normalizedPhone = senderPhone;
-        const countryCode = '91';
-        if (normalizedPhone && !normalizedPhone.startsWith(countryCode)) {
-          normalizedPhone = `${countryCode}${normalizedPhone}`;
+        const limited = checkSessionIssueLimit(req.ip);
+        if (limited) {
+          res.set('Retry-After', String(limited.retryAfterSeconds));
+          return res.status(429).json({ error: `Too many requests for this ${limited.scope}` });
         }
 
-        if (!normalizedPhone) {
-          return res.status(400).json({ error: 'Missing phone number' });
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json(issueClickSession());
+      } catch (err) {
+        console.error('❌ Click session error:', err);
+        res.status(500).json({ error: 'Could not issue a session' });
+      }
+    });
+
+    // One click (JSON, or text/plain from sendBeacon / keepalive fetch), or a
+    // batch { clicks: [...] } replayed from the snippet's offline queue
+    app.options('/store-click', storeClickCors);
+    app.post('/store-click', storeClickCors, express.text({ type: 'text/plain', limit: '64kb' }), async (req, res) => {
+      let parsed;
+      try {
+        parsed = parseClickBatch(req.body);
+      } catch (err) {
+        return res.status(err.statusCode).json({ error: err.message });
+      }
+
+      if (!parsed.batch) {
+        try {
+          const result = await storeClick(req, parsed.clicks[0]);
+          res.status(201).json({
+            message: 'Click stored',
+            session_id: result.session_id,
+            ref_code: result.ref_code
+          });
+        } catch (err) {
+          if (err.statusCode) {
+            if (err.retryAfterSeconds) res.set('Retry-After', String(err.retryAfterSeconds));
+            return res.status(err.statusCode).json({ error: err.message });
+          }
+          console.error('❌ Storage error:', err);
+          res.status(500).json({ error: 'Database operation failed' });
         }
+        return;
+      }
 
-        let sessionId;
-        let utmData = {
-          source: 'direct_message',
-          medium: 'whatsapp',
-          campaign: 'organic',
-          content: 'none'
-        };
-        let attribution = 'direct';
-        
-        // Matching Priority 1: Context Parameter
-        if (event.context) {
+      // Each click stands on its own; retry: true tells the snippet to keep it queued
+      const results = [];
+      for (const payload of parsed.clicks) {
+        const sessionId = typeof payload?.session_id === 'string' ? payload.session_id : null;
+        try {
+          const { status, ref_code } = await storeClick(req, payload);
+          results.push({ session_id: sessionId, status, ref_code });
+        } catch (err) {
+          if (!err.statusCode) console.error('❌ Storage error:', err);
+          results.push({
+            session_id: sessionId,
+            status: err.statusCode ? 'rejected' : 'failed',
+            error: err.statusCode ? err.message : 'Database operation failed',
+            retry: !err.statusCode || err.statusCode === 429
+          });
+        }
+      }
+      console.log(`📦 /store-click batch: ${results.filter(r => r.status === 'stored').length} of ${results.length} stored`);
+      res.status(200).json({ results });
+    });
+
+    // Versioned tracking snippet with the site's registry config baked in
+    app.get('/tracker.js', async (req, res) => {
+      res.type('application/javascript');
+      try {
+        const siteId = String(req.query.site || '');
+        const site = siteId ? await getSite(siteId) : null;
+        if (!site) {
+          return res.status(404).send(`/* Unknown tracking site: ${JSON.stringify(siteId)} */`);
+        }
+
+        const baseUrl = process.env.PUBLIC_BASE_URL ||
+          `${req.get('x-forwarded-proto') || req.protocol}://${req.get('host')}`;
+        const { version, body } = renderTracker(site, baseUrl);
+
+        res.set({
+          'Cache-Control': 'public, max-age=300',
+          'Cross-Origin-Resource-Policy': 'cross-origin',
+          'X-Tracker-Version': version
+        });
+        res.status(200).send(body);
+      } catch (err) {
+        console.error('❌ Tracker snippet error:', err);
+        res.status(500).send('/* Tracker unavailable */');
+      }
+    });
+
+    // Site registry
+    app.get('/sites', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await listSites());
+      } catch (err) {
+        console.error('❌ Site registry error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.put('/sites/:siteId', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await upsertSite(req.params.siteId, req.body));
+      } catch (err) {
+        console.error('❌ Site registry error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    // WhatsApp channel registry (number → brand, token, Sheets, direct-message policy)
+    app.get('/channels', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json((await listChannels()).map(toPublicChannel));
+      } catch (err) {
+        console.error('❌ Channel registry error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.put('/channels/:number', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(toPublicChannel(await upsertChannel(req.params.number, req.body)));
+      } catch (err) {
+        console.error('❌ Channel registry error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    // Conversation history for a session, contact, conversation or phone number
+    app.get('/messages/thread', verifyApiToken, async (req, res) => {
+      try {
+        const thread = await getThread(req.query);
+        if (!thread) {
+          return res.status(400).json({ error: 'sessionId, contactId, conversationId or phone is required' });
+        }
+        res.status(200).json(thread);
+      } catch (err) {
+        console.error('❌ Message thread error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Conversion events (CRM / booking system)
+    // One conversion, or an array. A batch is checked in full before anything is
+    // recorded; once written, each event reports its own outcome (207 if any failed)
+    // so a retry only resends the ones that failed.
+    app.post('/conversions', verifyApiToken, async (req, res) => {
+      const toResult = ({ status, conversion }) => ({
+        status,
+        id: conversion._id,
+        stage: conversion.stage,
+        sessionId: conversion.sessionId
+      });
+
+      try {
+        if (!Array.isArray(req.body)) {
+          const result = await recordConversion({ ...req.body, origin: req.body?.origin || 'api' });
+          return res.status(201).json({ results: [toResult(result)] });
+        }
+
+        const events = req.body.map(event => ({ ...event, origin: event?.origin || 'api' }));
+        const errors = [];
+        req.body.forEach((event, index) => {
           try {
-            const context = JSON.parse(Buffer.from(event.context, 'base64').toString());
-            if (context?.session_id) {
-              sessionId = context.session_id;
-              utmData = context;
-              attribution = 'context';
-              console.log(`✅ Context match: ${sessionId}`);
-            }
+            validateConversion(event);
           } catch (err) {
-            console.warn('⚠️ Invalid context format:', err);
+            if (!err.statusCode) throw err;
+            errors.push({ index, error: err.message });
           }
+        });
+        if (errors.length > 0) {
+          return res.status(400).json({
+            error: `${errors.length} of ${events.length} conversion(s) are invalid - none were recorded`,
+            errors
+          });
         }
 
-        // Matching Priority 2: Gallabox Identifiers
-        if (!sessionId && (contactId || conversationId)) {
-          console.log(`🔍 Attempting Gallabox ID match - Contact: ${contactId}, Conversation: ${conversationId}`);
-          
-          const fiveMinutesAgo = new Date(Date.now() - 5 * 60 * 1000);
-
-          const recentClick = await UtmClick.findOne({
-            hasEngaged: false,
-            timestamp: { $gte: fiveMinutesAgo }
-          })
-          .sort({ timestamp: -1 })
-          .limit(1);
-
-          if (recentClick) {
-            sessionId = recentClick._id.toString();
-            utmData = recentClick.toObject();
-            attribution = 'gallabox_id_match';
-            console.log(`✅ Matched with recent click: ${sessionId}`);
-
-            // Update click record with Gallabox IDs
-            await UtmClick.findByIdAndUpdate(sessionId, {
-              contactId,
-              conversationId,
-              contactName: contactName || null
-            });
+        const results = [];
+        for (const [index, event] of events.entries()) {
+          try {
+            results.push({ index, ...toResult(await recordConversion(event)) });
+          } catch (err) {
+            console.error(`❌ Conversion error (event ${index}):`, err);
+            results.push({ index, status: 'failed', error: err.statusCode ? err.message : 'Database operation failed' });
           }
         }
+        res.status(results.some(result => result.status === 'failed') ? 207 : 201).json({ results });
+      } catch (err) {
+        console.error('❌ Conversion error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
 
-        // Matching Priority 3: Phone Number (if available in click records)
-        if (!sessionId) {
-          const phoneMatch = await UtmClick.findOne({
-            phoneNumber: normalizedPhone,
-            hasEngaged: false
-          })
-          .sort({ timestamp: -1 })
-          .limit(1);
-
-          if (phoneMatch) {
-            sessionId = phoneMatch._id.toString();
-            utmData = phoneMatch.toObject();
-            attribution = 'phone_match';
-            console.log(`✅ Phone number match: ${sessionId}`);
-          }
+    // Gallabox contact tag / label updates mapped to conversion stages
+    app.post('/gallabox-tag-webhook', verifyGallabox, async (req, res) => {
+      try {
+        const { duplicate, event } = await claimInboundEvent('tag', req.body, {
+          channelNumber: req.channel._id,
+          deliveryId: getDeliveryId(req)
+        });
+        if (duplicate) {
+          return res.status(200).json(describeDuplicate(event));
         }
 
-        // Start of Modified Direct Message Handling
-        if (!sessionId) {
-          if (conversationId) {
-            const existingDirect = await UtmClick.findOne({
-              conversationId: conversationId,
-              source: 'direct_message'
-            });
-
-            if (existingDirect) {
-              sessionId = existingDirect._id.toString();
-              attribution = 'existing_direct';
-              console.log(`✅ Found existing direct conversation: ${conversationId}`);
-
-              await UtmClick.findByIdAndUpdate(sessionId, {
-                lastMessage: messageContent,
-                engagedAt: new Date()
-              });
-            } else if (process.env.STORE_DIRECT_MESSAGES === 'true') {
-              sessionId = `direct-${Date.now()}-${crypto.randomUUID().slice(0, 8)}`;
-              attribution = 'new_direct';
-              console.log(`📝 Creating new direct record: ${sessionId}`);
-              
-              await UtmClick.create({
-                _id: sessionId,
-                ...utmData,
-                timestamp: new Date(),
-                hasEngaged: true,
-                phoneNumber: normalizedPhone,
-                lastMessage: messageContent,
-                engagedAt: new Date(),
-                syncedToSheets: false,
-                contactId,
-                conversationId,
-                contactName
-              });
-            } else {
-              console.log(`⏭️ Skipping direct message from ${normalizedPhone}`);
-              attribution = 'ignored_direct';
-              sessionId = 'not_stored';
-            }
-          }
+        res.status(200).json(await runInboundEvent(event, req.channel));
+      } catch (err) {
+        console.error('❌ Tag webhook error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    // Ad platform conversion uploads
+    app.get('/ad-platforms/deliveries', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await listDeliveries(req.query));
+      } catch (err) {
+        console.error('❌ Delivery log error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/ad-platforms/process', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await processAdPlatformQueue());
+      } catch (err) {
+        console.error('❌ Ad platform queue error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/ad-platforms/retry', verifyApiToken, async (req, res) => {
+      try {
+        const filter = {};
+        if (req.body?.platform) filter.platform = String(req.body.platform);
+        res.status(200).json(await retryFailedDeliveries(filter));
+      } catch (err) {
+        console.error('❌ Ad platform retry error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Export sinks - Sheets is built in; file, s3 and webhook sinks are registered here
+    app.get('/export-sinks', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json((await listSinks({ all: true })).map(toPublicSink));
+      } catch (err) {
+        console.error('❌ Export sink registry error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    app.put('/export-sinks/:id', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(toPublicSink(await upsertSink(req.params.id, req.body || {})));
+      } catch (err) {
+        console.error('❌ Export sink registry error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    // Export queue - jobs, per-sink progress and lag; retry dead ones per sink or overall
+    app.get('/exports/jobs', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json({
+          stats: await getExportQueueStats(),
+          jobs: await listExportJobs(req.query)
+        });
+      } catch (err) {
+        console.error('❌ Export queue log error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/exports/process', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await processExportQueue());
+      } catch (err) {
+        console.error('❌ Export queue error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/exports/retry', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await retryDeadJobs({
+          sink: req.body?.sink ? String(req.body.sink) : undefined,
+          sessionId: req.body?.sessionId ? String(req.body.sessionId) : undefined
+        }));
+      } catch (err) {
+        console.error('❌ Export queue retry error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Re-export one sink's clicks changed in a time range - body { sink, from, to }
+    app.post('/exports/backfill', verifyApiToken, async (req, res) => {
+      try {
+        const result = await startBackfill(req.body || {});
+        const statusCodes = { started: 202, already_running: 409, not_found: 404 };
+        res.status(statusCodes[result.status]).json(result);
+      } catch (err) {
+        console.error('❌ Export backfill error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    app.get('/exports/backfill', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await listBackfills(req.query.sink ? String(req.query.sink) : undefined));
+      } catch (err) {
+        console.error('❌ Export backfill status error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Rewrite the Sheets from MongoDB - body may name one spreadsheetId / sheetName
+    app.post('/sheets-sync/rebuild', verifyApiToken, async (req, res) => {
+      try {
+        const result = await startSheetsRebuild({
+          spreadsheetId: req.body?.spreadsheetId ? String(req.body.spreadsheetId) : undefined,
+          sheetName: req.body?.sheetName ? String(req.body.sheetName) : undefined
+        });
+        const statusCodes = { started: 202, already_running: 409, not_found: 404 };
+        res.status(statusCodes[result.status]).json(result);
+      } catch (err) {
+        console.error('❌ Sheets rebuild error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get('/sheets-sync/rebuild', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await getRebuildStatus() || { status: null });
+      } catch (err) {
+        console.error('❌ Sheets rebuild status error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    // Sheets export schema - columns are migrated on the next write; run a
+    // rebuild to fill new columns for rows that don't change again
+    app.get('/sheets-sync/schema', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await getExportSchema('sheets', { fresh: true }));
+      } catch (err) {
+        console.error('❌ Export schema error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    app.put('/sheets-sync/schema', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await saveExportSchema('sheets', req.body || {}));
+      } catch (err) {
+        console.error('❌ Export schema update error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    app.delete('/sheets-sync/schema', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await resetExportSchema('sheets'));
+      } catch (err) {
+        console.error('❌ Export schema reset error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    // Schemas for the other sinks (a sink names one; "default" unless set)
+    app.get('/export-schemas/:name', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await getExportSchema(req.params.name, { fresh: true }));
+      } catch (err) {
+        console.error('❌ Export schema error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    app.put('/export-schemas/:name', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await saveExportSchema(req.params.name, req.body || {}));
+      } catch (err) {
+        console.error('❌ Export schema update error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    app.delete('/export-schemas/:name', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await resetExportSchema(req.params.name));
+      } catch (err) {
+        console.error('❌ Export schema reset error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    // Local stand-in for Meta / Google Ads when AD_PLATFORMS_MOCK=true
+    if (process.env.AD_PLATFORMS_MOCK === 'true') {
+      app.post('/mock/ad-platforms/:platform/*', (req, res) => {
+        console.log(`🧪 Mock ${req.params.platform} received:`, JSON.stringify(req.body));
+        if (req.params.platform === 'meta') {
+          return res.status(200).json({ events_received: req.body.data?.length || 0, fbtrace_id: 'mock' });
         }
-        // End of Modified Direct Message Handling
-
-        // Update existing records
-        if (attribution !== 'new_direct' && sessionId !== 'not_stored') {
-          const updateData = {
-            hasEngaged: true,
-            phoneNumber: normalizedPhone,
-            engagedAt: new Date(),
-            syncedToSheets: false,
-            attribution_source: attribution,
-            contactId,
-            conversationId,
-            ...(contactName && { contactName }),
-            ...(messageContent && { lastMessage: messageContent })
-          };
+        res.status(200).json({ results: req.body.conversions || [], jobId: 'mock' });
+      });
+      console.log('🧪 Ad platform mock endpoints enabled');
+    }
 
-          const existingDoc = await UtmClick.findById(sessionId);
-          
-          if (existingDoc) {
-            await UtmClick.findByIdAndUpdate(sessionId, updateData);
-          } else {
-            await UtmClick.create({
-              _id: sessionId,
-              ...utmData,
-              ...updateData,
-              timestamp: new Date()
-            });
+    // Local stand-in for a CRM behind a webhook sink when EXPORT_SINKS_MOCK=true.
+    // Checks the signature against EXPORT_MOCK_WEBHOOK_SECRET; ?fail=<status> simulates an outage.
+    if (process.env.EXPORT_SINKS_MOCK === 'true') {
+      app.post('/mock/export-webhook', (req, res) => {
+        const secret = process.env.EXPORT_MOCK_WEBHOOK_SECRET;
+        if (secret) {
+          const expected = signWebhook(secret, req.headers['x-utm-timestamp'], req.rawBody.toString());
+          if (req.headers['x-utm-signature'] !== expected) {
+            console.warn('🧪 Mock export webhook: invalid signature');
+            return res.status(401).json({ error: 'invalid_signature' });
           }
         }
+        if (req.query.fail) {
+          return res.status(Number(req.query.fail) || 500).json({ error: 'mock_failure' });
+        }
+        console.log(`🧪 Mock export webhook received ${req.body.records?.length || 0} record(s):`,
+          req.body.records?.map(record => record.id).join(', '), `(${req.headers['idempotency-key']})`);
+        res.status(200).json({ received: req.body.records?.length || 0 });
+      });
+      console.log('🧪 Export webhook mock endpoint enabled');
+    }
+
+    // Multi-touch attribution endpoints
+    const parseModels = (value) => {
+      const models = (value || '').split(',').map(m => m.trim()).filter(Boolean);
+      return models.length > 0 ? models.filter(m => MODEL_NAMES.includes(m)) : MODEL_NAMES;
+    };
+
+    app.get('/attribution/multi-touch', verifyApiToken, async (req, res) => {
+      try {
+        const groupFields = ['source', 'medium', 'campaign', 'content', 'placement'];
+        const groupBy = (req.query.groupBy || 'source,medium,campaign')
+          .split(',')
+          .filter(field => groupFields.includes(field));
 
-        console.log(`✅ Processed message from ${normalizedPhone} with attribution: ${attribution}`);
-        res.status(200).json({ 
-          status: 'processed',
-          sessionId,
-          source: utmData.source,
-          attribution
+        const report = await getMultiTouchReport({
+          from: req.query.from ? new Date(req.query.from) : null,
+          to: req.query.to ? new Date(req.query.to) : null,
+          models: parseModels(req.query.models),
+          groupBy: groupBy.length > 0 ? groupBy : ['source', 'medium', 'campaign']
         });
+        res.status(200).json(report);
+      } catch (err) {
+        console.error('❌ Multi-touch report error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
 
+    app.get('/journeys/:journeyId', verifyApiToken, async (req, res) => {
+      try {
+        const journey = await getJourney(req.params.journeyId, parseModels(req.query.models));
+        if (!journey) {
+          return res.status(404).json({ error: 'Journey not found' });
+        }
+        res.status(200).json(journey);
       } catch (err) {
-        console.error('❌ Webhook processing error:', err);
-        res.status(500).json({ 
-          error: 'Processing failed',
-          details: err.message
-        });
+        console.error('❌ Journey lookup error:', err);
+        res.status(500).json({ error: err.message });
       }
     });
 
-    // Store Click Endpoint
-    app.post('/store-click', async (req, res) => {
+    // Reporting endpoints
+    app.get('/reports/funnel', verifyApiToken, async (req, res) => {
       try {
-        const { session_id, original_params, ...rawData } = req.body;
-        
-        // Extract values with consistent naming
-        const params = original_params || {};
-        
-        // Create standardized structure
-        const utmData = {
-          source: params.source || rawData.source || 'facebook',
-          medium: params.medium || rawData.medium || 'fb_ads',
-          campaign: params.campaign || rawData.campaign || 'unknown',
-          content: params.content || rawData.content || 'unknown',
-          placement: params.placement || rawData.placement || 'unknown',
-          
-          original_params: {
-            ...params,
-            campaign: params.campaign || rawData.campaign || 'unknown',
-            medium: params.medium || rawData.medium || 'fb_ads',
-            source: params.source || rawData.source || 'facebook',
-            content: params.content || rawData.content || 'unknown',
-            placement: params.placement || rawData.placement || 'unknown'
-          },
-          
-          click_time: new Date()
-        };
+        res.status(200).json(await getFunnelReport(req.query));
+      } catch (err) {
+        console.error('❌ Funnel report error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
 
-        // Check if document already exists
-        const existing = await UtmClick.findById(session_id);
-        
-        if (!existing) {
-          await UtmClick.create({
-            _id: session_id,
-            ...utmData,
-            timestamp: new Date(),
-            hasEngaged: false,
-            syncedToSheets: false
-          });
+    app.get('/reports/campaigns', verifyApiToken, async (req, res) => {
+      try {
+        res.status(200).json(await getCampaignReport(req.query));
+      } catch (err) {
+        console.error('❌ Campaign report error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    // Admin dashboard API
+    app.get('/admin/api/summary', verifyAdmin, async (req, res) => {
+      try {
+        res.status(200).json(await getDashboardSummary());
+      } catch (err) {
+        console.error('❌ Dashboard summary error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get('/admin/api/campaigns', verifyAdmin, async (req, res) => {
+      try {
+        res.status(200).json(await getCampaignReport(req.query));
+      } catch (err) {
+        console.error('❌ Dashboard campaign report error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    app.get('/admin/api/clicks', verifyAdmin, async (req, res) => {
+      try {
+        res.status(200).json(await searchClicks(req.query));
+      } catch (err) {
+        console.error('❌ Dashboard search error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get('/admin/api/clicks/:sessionId', verifyAdmin, async (req, res) => {
+      try {
+        const click = await getClickDetail(req.params.sessionId);
+        if (!click) {
+          return res.status(404).json({ error: 'Record not found' });
         }
-        
-        res.status(201).json({ 
-          message: 'Click stored',
-          session_id: session_id
-        });
+        res.status(200).json(click);
       } catch (err) {
-        console.error('❌ Storage error:', err);
-        res.status(500).json({ error: 'Database operation failed' });
+        console.error('❌ Dashboard lookup error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.get('/admin/api/clicks/:sessionId/messages', verifyAdmin, async (req, res) => {
+      try {
+        res.status(200).json(await getThread({ sessionId: req.params.sessionId }));
+      } catch (err) {
+        console.error('❌ Message thread error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/admin/api/clicks/:sessionId/resync', verifyAdmin, verifyAdminOrigin, async (req, res) => {
+      try {
+        const result = await requeueSheetsSync(req.params.sessionId);
+        const statusCodes = { queued: 200, not_found: 404, not_engaged: 409 };
+        res.status(statusCodes[result.status]).json(result);
+      } catch (err) {
+        console.error('❌ Re-queue error:', err);
+        res.status(500).json({ error: err.message });
       }
     });
 
+    // Inbound webhook event log - inspect and replay failed events
+    app.get('/admin/api/webhook-events', verifyAdmin, async (req, res) => {
+      try {
+        res.status(200).json(await listInboundEvents(req.query));
+      } catch (err) {
+        console.error('❌ Webhook event log error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    app.get('/admin/api/webhook-events/:eventId', verifyAdmin, async (req, res) => {
+      try {
+        const event = await getInboundEvent(req.params.eventId);
+        if (!event) {
+          return res.status(404).json({ error: 'Event not found' });
+        }
+        res.status(200).json(event);
+      } catch (err) {
+        console.error('❌ Webhook event lookup error:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    app.post('/admin/api/webhook-events/:eventId/replay', verifyAdmin, verifyAdminOrigin, async (req, res) => {
+      try {
+        const result = await replayInboundEvent(req.params.eventId, { force: req.query.force === 'true' });
+        res.status(result.status === 'replayed' ? 200 : 500).json(result);
+      } catch (err) {
+        console.error('❌ Webhook event replay error:', err);
+        res.status(err.statusCode || 500).json({ error: err.message });
+      }
+    });
+
+    // Admin dashboard UI
+    app.use('/admin', verifyAdmin, express.static(path.join(__dirname, 'admin')));
+
     // Readiness endpoint
     app.get('/readiness', async (req, res) => {
       try {
@@ -352,9 +1075,6 @@ setImmediate(async () => {
       }
     });
 
-    // Initialize Google Sheets sync
-    const { scheduledSync, setupRealtimeSync } = require('./google-sheets-sync');
-    
     // Setup scheduled sync endpoint
     app.post('/scheduled-sync', async (req, res) => {
       try {
@@ -374,10 +1094,28 @@ setImmediate(async () => {
       console.error('⚠️ Real-time sync setup failed:', err.message);
     }
     
+    // Retry loop for queued ad platform events
+    const adPlatformTimer = setInterval(() => {
+      processAdPlatformQueue().catch(err => console.error('❌ Ad platform queue error:', err.message));
+    }, 60 * 1000);
+    
+    // Export queue worker - due retries and anything the change stream didn't trigger
+    const exportQueueTimer = setInterval(() => {
+      processExportQueue().catch(err => console.error('❌ Export queue error:', err.message));
+    }, 30 * 1000);
+    
+    // Watermark sweep - pages each sink's backlog forward, oldest change first
+    const exportSweepTimer = setInterval(() => {
+      sweepSinks().catch(err => console.error('❌ Export sweep error:', err.message));
+    }, 60 * 1000);
+    
     // Cleanup on server shutdown
     process.on('SIGTERM', () => {
       console.log('⚠️ Shutting down, cleaning up listeners...');
       if (unsubscribeSheetsSync) unsubscribeSheetsSync();
+      clearInterval(adPlatformTimer);
+      clearInterval(exportQueueTimer);
+      clearInterval(exportSweepTimer);
       server.close();
     });
 
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { Site } = require('./db');
+const { CTA_CHANNELS } = require('./clicks');
+
+// Site registry & served tracking snippet
+// Each landing site has a registry entry in MongoDB (WhatsApp number, message,
+// button selectors, other tracked CTAs, UTM fallbacks). GET /tracker.js?site=<id> serves front_end.js
+// with that entry prepended as window.UTM_TRACKER_CONFIG.
+
+const TRACKER_SOURCE_PATH = path.join(__dirname, 'front_end.js');
+const SITE_CACHE_TTL_MS = 60 * 1000;
+const SITE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'content', 'placement'];
+
+class SiteError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SiteError';
+    this.statusCode = statusCode;
+  }
+}
+
+let trackerSource;
+let trackerVersion;
+
+function getTrackerSource() {
+  if (!trackerSource) {
+    trackerSource = fs.readFileSync(TRACKER_SOURCE_PATH, 'utf8');
+    trackerVersion = trackerSource.match(/const SNIPPET_VERSION = '([^']+)'/)?.[1] || 'unknown';
+  }
+  return { source: trackerSource, version: trackerVersion };
+}
+
+const siteCache = new Map();
+
+async function getSite(siteId) {
+  const cached = siteCache.get(siteId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.site;
+  }
+
+  const site = await Site.findOne({ _id: siteId, active: true }).lean();
+  siteCache.set(siteId, { site, expiresAt: Date.now() + SITE_CACHE_TTL_MS });
+  return site;
+}
+
+// "https://www.example.com/page" → "https://www.example.com"; null when not an http(s) URL
+function normalizeOrigin(value) {
+  try {
+    const url = new URL(String(value));
+    return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+let originCache = { origins: null, expiresAt: 0 };
+
+// Every active site's allowed origins, plus STORE_CLICK_ALLOWED_ORIGINS (comma separated)
+async function getAllowedOrigins() {
+  if (originCache.origins && originCache.expiresAt > Date.now()) {
+    return originCache.origins;
+  }
+
+  const sites = await Site.find({ active: true }).select('allowedOrigins').lean();
+  const configured = (process.env.STORE_CLICK_ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  const origins = new Set([
+    ...sites.flatMap(site => site.allowedOrigins || []),
+    ...configured.map(normalizeOrigin).filter(Boolean)
+  ]);
+
+  originCache = { origins, expiresAt: Date.now() + SITE_CACHE_TTL_MS };
+  return origins;
+}
+
+// Public snippet config - only what the browser needs
+function buildTrackerConfig(site, baseUrl) {
+  return {
+    site: site._id,
+    whatsappNumber: site.whatsappNumber,
+    defaultMessage: site.defaultMessage,
+    selectors: site.selectors,
+    ctas: site.ctas,
+    utmDefaults: site.utmDefaults,
+    touchExpiryDays: site.touchExpiryDays,
+    consentRequired: site.consentRequired === true,
+    trackingEndpoint: `${baseUrl}/store-click`,
+    sessionEndpoint: `${baseUrl}/click-session`
+  };
+}
+
+function renderTracker(site, baseUrl) {
+  const { source, version } = getTrackerSource();
+  const config = JSON.stringify(buildTrackerConfig(site, baseUrl));
+
+  return {
+    version,
+    body: `/* UTM tracker v${version} - site: ${site._id} */\nwindow.UTM_TRACKER_CONFIG = ${config};\n${source}`
+  };
+}
+
+function validateSite(siteId, data = {}) {
+  if (!SITE_ID_PATTERN.test(siteId || '')) {
+    throw new SiteError('Site ID must be 2-63 lowercase letters, digits or dashes');
+  }
+
+  const whatsappNumber = String(data.whatsappNumber || '').replace(/\D/g, '');
+  if (!whatsappNumber) {
+    throw new SiteError('whatsappNumber is required');
+  }
+
+  const selectors = Array.isArray(data.selectors) ? data.selectors.map(String).filter(Boolean) : [];
+  const ctas = (Array.isArray(data.ctas) ? data.ctas : []).map(cta => ({
+    selector: String(cta?.selector || '').trim(),
+    // No channel: the snippet infers it from the link (tel:, t.me, wa.me, forms)
+    channel: cta?.channel || null,
+    cta: cta?.cta ? String(cta.cta).slice(0, 100) : null
+  }));
+  if (ctas.some(cta => !cta.selector || (cta.channel && !CTA_CHANNELS.includes(cta.channel)))) {
+    throw new SiteError(`Each CTA needs a selector; channel must be one of: ${CTA_CHANNELS.join(', ')}`);
+  }
+  const allowedOrigins = (Array.isArray(data.allowedOrigins) ? data.allowedOrigins : []).map(normalizeOrigin);
+  if (allowedOrigins.includes(null)) {
+    throw new SiteError('allowedOrigins must be http(s) origins, e.g. https://www.example.com');
+  }
+  const utmDefaults = Object.fromEntries(
+    UTM_FIELDS
+      .filter(field => data.utmDefaults?.[field])
+      .map(field => [field, String(data.utmDefaults[field])])
+  );
+
+  return {
+    name: data.name ? String(data.name) : siteId,
+    whatsappNumber,
+    defaultMessage: data.defaultMessage ? String(data.defaultMessage) : 'Hello!',
+    selectors,
+    ctas,
+    utmDefaults,
+    touchExpiryDays: Number(data.touchExpiryDays) > 0 ? Number(data.touchExpiryDays) : 30,
+    consentRequired: data.consentRequired === true,
+    allowedOrigins: [...new Set(allowedOrigins)],
+    active: data.active !== false
+  };
+}
+
+async function upsertSite(siteId, data) {
+  const site = await Site.findByIdAndUpdate(
+    siteId,
+    validateSite(siteId, data),
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).lean();
+
+  siteCache.delete(siteId);
+  originCache = { origins: null, expiresAt: 0 };
+  console.log(`🌐 Site registry updated: ${siteId}`);
+  return site;
+}
+
+async function listSites() {
+  return Site.find().sort({ _id: 1 }).lean();
+}
+
+module.exports = {
+  SiteError,
+  getSite,
+  getAllowedOrigins,
+  getTrackerSource,
+  renderTracker,
+  upsertSite,
+  listSites
+};
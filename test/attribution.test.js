@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { UtmClick } = require('../db');
+const { resolveAttribution, registerMatcher, getActiveMatchers } = require('../attribution');
+
+// Chainable stand-in for a mongoose query (.sort().limit(), or awaited directly)
+function query(result) {
+  return {
+    sort() { return this; },
+    limit() { return this; },
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+}
+
+function click(id, fields = {}) {
+  const doc = { _id: id, hasEngaged: false, ...fields };
+  return { ...doc, toObject: () => doc };
+}
+
+// Clicks the recent_click matcher finds; other lookups find nothing
+let recentClicks = [];
+UtmClick.find = () => query(recentClicks);
+UtmClick.findOne = () => query(null);
+
+const messageTime = new Date('2026-01-01T10:00:00Z');
+const message = (text = 'Hello!') => ({
+  event: { whatsapp: { timestamp: messageTime.getTime() / 1000 } },
+  messageContent: text,
+  normalizedPhone: '+919876543210',
+  channelNumber: '919137279145'
+});
+const secondsBefore = seconds => new Date(messageTime.getTime() - seconds * 1000);
+
+test.afterEach(() => {
+  recentClicks = [];
+  delete process.env.ATTRIBUTION_MATCHERS;
+});
+
+test('matchers run by priority and ATTRIBUTION_MATCHERS reorders or disables them', () => {
+  assert.deepStrictEqual(
+    getActiveMatchers().map(m => m.name),
+    ['context', 'ref_code', 'recent_click', 'phone', 'existing_conversation']
+  );
+
+  process.env.ATTRIBUTION_MATCHERS = JSON.stringify({ phone: { priority: 95 }, recent_click: { enabled: false } });
+  assert.deepStrictEqual(
+    getActiveMatchers().map(m => m.name),
+    ['context', 'phone', 'ref_code', 'existing_conversation']
+  );
+});
+
+test('the context parameter wins without a lookup', async () => {
+  const context = Buffer.from(JSON.stringify({ session_id: 'wa-1', source: 'google' })).toString('base64');
+  const result = await resolveAttribution({ ...message(), event: { ...message().event, context } });
+
+  assert.strictEqual(result.matched, true);
+  assert.strictEqual(result.sessionId, 'wa-1');
+  assert.strictEqual(result.attribution, 'context');
+  assert.strictEqual(result.decision.confidence, 1);
+});
+
+test('a recent click that sent the prefilled text is matched with its score as confidence', async () => {
+  recentClicks = [click('wa-1', { click_time: secondsBefore(20), prefilled_message: 'Hello!' })];
+  const result = await resolveAttribution(message('Hello!'));
+
+  assert.strictEqual(result.sessionId, 'wa-1');
+  assert.strictEqual(result.attribution, 'probabilistic_match');
+  assert.ok(result.decision.confidence > 0.35 && result.decision.confidence <= 1);
+});
+
+test('a weak candidate is refused below the score threshold', async () => {
+  recentClicks = [click('wa-1', { click_time: secondsBefore(280) })];
+  const result = await resolveAttribution(message('Something else'));
+
+  assert.strictEqual(result.matched, false);
+  const recent = result.decision.tried.find(t => t.matcher === 'recent_click');
+  assert.deepStrictEqual({ reason: recent.reason, candidates: recent.candidates }, { reason: 'below_threshold', candidates: ['wa-1'] });
+});
+
+test('the threshold is configurable', async () => {
+  process.env.ATTRIBUTION_SCORE_THRESHOLD = '0';
+  try {
+    recentClicks = [click('wa-1', { click_time: secondsBefore(280) })];
+    assert.strictEqual((await resolveAttribution(message('Something else'))).sessionId, 'wa-1');
+  } finally {
+    delete process.env.ATTRIBUTION_SCORE_THRESHOLD;
+  }
+});
+
+test('two equally likely visitors are a tie, not a guess', async () => {
+  recentClicks = [
+    click('wa-1', { click_time: secondsBefore(20), prefilled_message: 'Hello!' }),
+    click('wa-2', { click_time: secondsBefore(21), prefilled_message: 'Hello!' })
+  ];
+  const result = await resolveAttribution(message('Hello!'));
+
+  assert.strictEqual(result.matched, false);
+  assert.strictEqual(result.decision.tried.find(t => t.matcher === 'recent_click').reason, 'tie');
+});
+
+test('device hints separate otherwise close candidates', async () => {
+  recentClicks = [
+    click('wa-1', { click_time: secondsBefore(20), prefilled_message: 'Hello!', client_hints: { timezone: 'Europe/London' } }),
+    click('wa-2', { click_time: secondsBefore(21), prefilled_message: 'Hello!', client_hints: { timezone: 'Asia/Kolkata' } })
+  ];
+  assert.strictEqual((await resolveAttribution(message('Hello!'))).sessionId, 'wa-2');
+});
+
+test('a failing matcher is recorded and the next one runs', async () => {
+  registerMatcher({ name: 'broken', attribution: 'broken', match: async () => { throw new Error('lookup failed'); } });
+  process.env.ATTRIBUTION_MATCHERS = JSON.stringify({ broken: { priority: 200 } });
+  recentClicks = [click('wa-1', { click_time: secondsBefore(20), prefilled_message: 'Hello!' })];
+
+  const result = await resolveAttribution(message('Hello!'));
+  assert.strictEqual(result.sessionId, 'wa-1');
+  assert.deepStrictEqual(result.decision.tried[0], { matcher: 'broken', matched: false, candidates: [], error: 'lookup failed' });
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateClickPayload, parseClickBatch, resolveClickTime } = require('../clicks');
+
+const validClick = (fields = {}) => ({
+  session_id: 'wa-1700000000000-abcd1234',
+  ref_code: 'AH7K2',
+  source: 'google',
+  cta_channel: 'whatsapp',
+  click_ids: { gclid: 'abc' },
+  client_hints: { mobile: true, viewport: { width: 390, height: 844 } },
+  ...fields
+});
+
+test('a snippet payload passes as is', () => {
+  const body = validClick();
+  assert.strictEqual(validateClickPayload(body), body);
+});
+
+test('non-objects, unknown fields and bad values are rejected with a 400', () => {
+  assert.throws(() => validateClickPayload(['x']), { statusCode: 400, message: /JSON object/ });
+  assert.throws(() => validateClickPayload(validClick({ is_suspicious: false })), /Unknown field\(s\): is_suspicious/);
+  assert.throws(() => validateClickPayload(validClick({ session_id: '../x' })), /Invalid field\(s\): session_id/);
+  assert.throws(() => validateClickPayload(validClick({ ref_code: 'AH0O1' })), /ref_code/);
+  assert.throws(() => validateClickPayload(validClick({ cta_channel: 'sms' })), /cta_channel/);
+  assert.throws(() => validateClickPayload(validClick({ source: 'x'.repeat(201) })), /source/);
+});
+
+test('nested objects are checked field by field', () => {
+  assert.throws(() => validateClickPayload(validClick({ client_hints: { mobile: 'yes' } })), /client_hints/);
+  assert.throws(() => validateClickPayload(validClick({ client_hints: { viewport: { depth: 1 } } })), /client_hints/);
+  assert.throws(() => validateClickPayload(validClick({ original_params: { q: { $ne: 1 } } })), /original_params/);
+  assert.throws(() => validateClickPayload(validClick({ first_touch: { source: 'google', extra: 1 } })), /first_touch/);
+  assert.doesNotThrow(() => validateClickPayload(validClick({ first_touch: { source: 'google', expires_at: Date.now() } })));
+});
+
+test('beacon bodies are parsed from text, batches are bounded', () => {
+  assert.deepStrictEqual(parseClickBatch(JSON.stringify(validClick())), { batch: false, clicks: [validClick()] });
+  assert.strictEqual(parseClickBatch({ clicks: [validClick(), validClick()] }).clicks.length, 2);
+
+  assert.throws(() => parseClickBatch('{nope'), { statusCode: 400 });
+  assert.throws(() => parseClickBatch({ clicks: [] }), /\{ clicks: \[\.\.\.\] \}/);
+  assert.throws(() => parseClickBatch({ clicks: [validClick()], extra: 1 }), { statusCode: 400 });
+  assert.throws(() => parseClickBatch({ clicks: Array(21).fill(validClick()) }), { statusCode: 413 });
+});
+
+test('a queued click is dated back by how long the snippet held it', () => {
+  const receivedAt = new Date('2026-01-01T10:00:00Z');
+  const held = { click_time: '2026-01-01T08:00:00Z', sent_at: '2026-01-01T08:30:00Z' };
+  assert.deepStrictEqual(resolveClickTime(held, receivedAt), new Date('2026-01-01T09:30:00Z'));
+
+  // Missing, negative or implausibly old delays fall back to the receive time
+  assert.strictEqual(resolveClickTime({}, receivedAt), receivedAt);
+  assert.strictEqual(resolveClickTime({ click_time: held.sent_at, sent_at: held.click_time }, receivedAt), receivedAt);
+  assert.strictEqual(resolveClickTime({ click_time: '2025-01-01T00:00:00Z', sent_at: held.sent_at }, receivedAt), receivedAt);
+});
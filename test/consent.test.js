@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { AdPlatformDelivery } = require('../db');
+const { resolveConsent, hasTrackingConsent, withoutIdentifiers, redactClick } = require('../clicks');
+const { queueAdPlatformEvents } = require('../ad-platforms');
+const { SESSION_ID_KEY, validateExportSchema, toRecord } = require('../export-schema');
+
+const queued = [];
+AdPlatformDelivery.updateOne = async (filter) => {
+  queued.push(filter);
+  return { upsertedCount: 1 };
+};
+
+const withConsent = (state, required = false) => ({ consent: { state, source: 'cmp', required } });
+
+test('consent is recorded as sent, unknown by default', () => {
+  assert.deepStrictEqual(
+    resolveConsent({ consent_state: 'granted', consent_source: 'tcf', tcf_string: ' CP1234 ' }, { required: true }),
+    { state: 'granted', source: 'tcf', required: true, tcf_string: 'CP1234' }
+  );
+  assert.deepStrictEqual(
+    resolveConsent({ tcf_string: 'ignored' }),
+    { state: 'unknown', source: 'none', required: false, tcf_string: null }
+  );
+});
+
+test('unknown consent only counts where the site does not require it', () => {
+  assert.strictEqual(hasTrackingConsent(withConsent('granted', true)), true);
+  assert.strictEqual(hasTrackingConsent(withConsent('denied')), false);
+  assert.strictEqual(hasTrackingConsent(withConsent('unknown', false)), true);
+  assert.strictEqual(hasTrackingConsent(withConsent('unknown', true)), false);
+  // Stored before consent was tracked
+  assert.strictEqual(hasTrackingConsent({}), true);
+});
+
+test('without consent only campaign-level fields are kept', () => {
+  const body = {
+    session_id: 'wa-1700000000000-abcd1234',
+    source: 'google',
+    campaign: 'spring',
+    visitor_id: 'v-1',
+    click_ids: { gclid: 'abc' },
+    cookies: { fbp: 'fb.1' },
+    full_url: 'https://example.com/?gclid=abc',
+    client_hints: { user_agent: 'x' }
+  };
+  assert.deepStrictEqual(withoutIdentifiers(body), {
+    session_id: body.session_id,
+    source: 'google',
+    campaign: 'spring'
+  });
+
+  const redacted = redactClick({ _id: 'wa-1', source: 'google', fbc: 'fb.1.abc', visitor_id: 'v-1' });
+  assert.strictEqual(redacted.source, 'google');
+  assert.strictEqual(redacted.fbc, null);
+  assert.strictEqual(redacted.visitor_id, null);
+});
+
+test('clicks without consent are never sent to ad platforms', async () => {
+  process.env.GOOGLE_ADS_CUSTOMER_ID = '123-456-7890';
+  process.env.GOOGLE_ADS_CONVERSION_ACTIONS = JSON.stringify({ lead: '1' });
+  const click = { _id: 'wa-1', click_ids: { gclid: 'abc' }, medium: 'cpc' };
+
+  await queueAdPlatformEvents({ click: { ...click, ...withConsent('denied') }, dedupeKey: 'lead:wa-1' });
+  assert.strictEqual(queued.length, 0);
+
+  await queueAdPlatformEvents({ click: { ...click, ...withConsent('granted') }, dedupeKey: 'lead:wa-1' });
+  assert.deepStrictEqual(queued, [{ platform: 'google_ads', dedupeKey: 'lead:wa-1' }]);
+});
+
+test('exports blank identifying columns for clicks without consent', () => {
+  const schema = validateExportSchema({
+    columns: [
+      { key: SESSION_ID_KEY, header: 'Session ID', field: '_id' },
+      { key: 'source', header: 'Source', field: 'source' },
+      { key: 'full_url', header: 'Full URL', field: 'full_url', default: '' }
+    ]
+  });
+  const click = { _id: 'wa-1', source: 'google', full_url: 'https://example.com/?gclid=abc' };
+
+  assert.strictEqual(toRecord({ ...click, ...withConsent('granted') }, schema).full_url, click.full_url);
+  const denied = toRecord({ ...click, ...withConsent('denied') }, schema);
+  assert.deepStrictEqual([denied.source, denied.full_url], ['google', '']);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.GALLABOX_TAG_STAGES = JSON.stringify({ Purchased: { stage: 'purchase', value: 45000 } });
+
+const { UtmClick, ConversionEvent } = require('../db');
+const { validateConversion, recordGallaboxTagEvent } = require('../conversions');
+
+// In-memory stand-ins for the two collections recordConversion touches
+const conversions = [];
+ConversionEvent.findOne = async ({ eventId }) => conversions.find(c => c.eventId === eventId) || null;
+ConversionEvent.create = async (doc) => {
+  const conversion = { ...doc, _id: `conversion-${conversions.length + 1}` };
+  conversions.push(conversion);
+  return conversion;
+};
+const clickQueries = [];
+UtmClick.findOne = (filter) => {
+  clickQueries.push(filter);
+  return { sort: async () => null };
+};
+
+test('a tag is credited once per contact across webhooks', async () => {
+  const contact = { id: 'contact-1', phone: '919876543210', tags: ['Purchased'] };
+
+  await recordGallaboxTagEvent({ id: 'event-1', tag: 'Purchased', contact });
+  // Later webhook for another tag still lists Purchased on the contact
+  await recordGallaboxTagEvent({ id: 'event-2', tag: 'Follow Up', contact });
+  // Same tag sent again, with no event ID at all
+  await recordGallaboxTagEvent({ tag: 'Purchased', contact });
+
+  assert.strictEqual(conversions.length, 1);
+  assert.strictEqual(conversions[0].stage, 'purchase');
+  assert.strictEqual(conversions[0].value, 45000);
+});
+
+test('tag conversions from a channel only credit that channel\'s clicks', async () => {
+  const contact = { id: 'contact-2', phone: '919876500000' };
+  const before = conversions.length;
+
+  await recordGallaboxTagEvent({ tag: 'Purchased', contact }, { channelNumber: '919111111111' });
+  await recordGallaboxTagEvent({ tag: 'Purchased', contact }, { channelNumber: '919222222222' });
+
+  assert.strictEqual(clickQueries.at(-2).channel_number, '919111111111');
+  assert.strictEqual(clickQueries.at(-1).channel_number, '919222222222');
+  // One channel's tag can't pre-empt the other's
+  assert.strictEqual(conversions.length, before + 2);
+});
+
+test('conversions are checked without writing anything', () => {
+  const before = conversions.length;
+
+  assert.strictEqual(validateConversion({ stage: 'purchase', phoneNumber: '+919876543210', value: '45000' }).value, 45000);
+  assert.throws(() => validateConversion({ stage: 'refund', contactId: 'c-1' }), { statusCode: 400, message: /Unknown stage/ });
+  assert.throws(() => validateConversion({ stage: 'purchase' }), /phoneNumber, contactId or conversationId/);
+  assert.throws(() => validateConversion({ stage: 'purchase', contactId: 'c-1', value: -1 }), /non-negative/);
+  assert.throws(() => validateConversion(null), /must be an object/);
+
+  assert.strictEqual(conversions.length, before);
+});
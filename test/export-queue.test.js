@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.EXPORT_MAX_ATTEMPTS = '2';
+process.env.SHEETS_SYNC_ENABLED = 'false';
+
+const { UtmClick, ExportJob, ExportSink, SyncCursor } = require('../db');
+const { registerSinkType } = require('../export-sinks');
+const { enqueueExports, processExportQueue, retryDeadJobs } = require('../export-queue');
+
+// The debounced follow-up run would race the tests - they run the queue themselves
+test.mock.timers.enable({ apis: ['setTimeout'] });
+
+// Just enough of the query language for the queue's filters and updates
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    const value = doc[key];
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('$in' in condition) return condition.$in.includes(value);
+      if ('$nin' in condition) return !condition.$nin.includes(value);
+      if ('$lte' in condition) return value != null && value <= condition.$lte;
+    }
+    return value === condition;
+  });
+}
+
+function applyUpdate(doc, { $set, $setOnInsert, $push, ...fields }, inserted = false) {
+  Object.assign(doc, $set, fields, inserted && $setOnInsert);
+  if ($push?.log) doc.log = [...(doc.log || []), ...$push.log.$each].slice($push.log.$slice);
+}
+
+// Chainable stand-in for a mongoose query (.select().sort().limit().lean(), or awaited directly)
+function query(result) {
+  return {
+    select() { return this; },
+    sort() { return this; },
+    limit() { return this; },
+    lean() { return this; },
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+}
+
+// In-memory export jobs and clicks
+const jobs = new Map();
+let clicks = [];
+
+ExportJob.find = (filter) => query([...jobs.values()].filter(job => matches(job, filter)).map(job => ({ ...job })));
+ExportJob.updateMany = async (filter, update) => {
+  const matched = [...jobs.values()].filter(job => matches(job, filter));
+  matched.forEach(job => applyUpdate(job, update));
+  return { modifiedCount: matched.length };
+};
+ExportJob.updateOne = async (filter, update) => {
+  const job = [...jobs.values()].find(doc => matches(doc, filter));
+  if (job) applyUpdate(job, update);
+  return { modifiedCount: job ? 1 : 0 };
+};
+ExportJob.bulkWrite = async (operations) => {
+  let upsertedCount = 0;
+  for (const { updateOne: { filter, update } } of operations) {
+    const inserted = !jobs.has(filter._id);
+    if (inserted) {
+      jobs.set(filter._id, { _id: filter._id });
+      upsertedCount++;
+    }
+    applyUpdate(jobs.get(filter._id), update, inserted);
+  }
+  return { upsertedCount };
+};
+
+UtmClick.find = (filter) => query(clicks.filter(click => filter._id.$in.includes(click._id)));
+UtmClick.bulkWrite = async (operations) => {
+  for (const { updateOne: { filter, update } } of operations) {
+    const click = clicks.find(c => c._id === filter._id);
+    click.sinkSync = { ...click.sinkSync, crm: update['sinkSync.crm'] };
+  }
+};
+
+ExportSink.find = () => query([{ _id: 'crm', type: 'memory', active: true }]);
+SyncCursor.findOne = () => query(null);
+SyncCursor.updateOne = async () => ({});
+
+// Sink that records what it was sent; `sink.fail` rejects the whole write,
+// `sink.rejected` single leads, `sink.onWrite` runs mid-write
+const sink = { writes: [], fail: null, rejected: [], onWrite: null };
+registerSinkType({
+  type: 'memory',
+  write: async (_, written) => {
+    sink.writes.push(written.map(click => click._id));
+    if (sink.onWrite) await sink.onWrite();
+    if (sink.fail) throw new Error(sink.fail);
+    return {
+      count: written.length,
+      failed: sink.rejected.map(sessionId => ({ sessionId, error: 'rejected' }))
+    };
+  }
+});
+
+function click(id, fields = {}) {
+  return { _id: id, hasEngaged: true, source: 'google', updatedAt: new Date('2026-01-01T10:00:00Z'), ...fields };
+}
+
+const job = id => jobs.get(`crm:${id}`);
+
+test.afterEach(() => {
+  jobs.clear();
+  clicks = [];
+  Object.assign(sink, { writes: [], fail: null, rejected: [], onWrite: null });
+});
+
+test('a click is queued once per sink, and not at all once the sink has its version', async () => {
+  clicks = [click('wa-1'), click('wa-2', { sinkSync: { crm: new Date('2026-01-01T10:00:00Z') } })];
+
+  assert.deepStrictEqual(await enqueueExports(['wa-1', 'wa-2', 'wa-1']), { queued: 1 });
+  assert.deepStrictEqual(await enqueueExports(['wa-1']), { queued: 0 });
+  assert.deepStrictEqual([...jobs.keys()], ['crm:wa-1']);
+  assert.strictEqual(job('wa-1').status, 'pending');
+});
+
+test('due jobs are written and marked done', async () => {
+  clicks = [click('wa-1'), click('wa-2')];
+  await enqueueExports(['wa-1', 'wa-2']);
+
+  const summary = await processExportQueue();
+  assert.deepStrictEqual(sink.writes, [['wa-1', 'wa-2']]);
+  assert.strictEqual(summary.synced, 2);
+  assert.strictEqual(job('wa-1').status, 'done');
+  assert.strictEqual(job('wa-1').lockedBy, null);
+  assert.deepStrictEqual(clicks[0].sinkSync, { crm: clicks[0].updatedAt });
+});
+
+test('a lapsed lock is taken over, a live one is left alone', async () => {
+  clicks = [click('wa-1'), click('wa-2')];
+  await enqueueExports(['wa-1', 'wa-2']);
+  Object.assign(job('wa-1'), { status: 'processing', lockedBy: 'dead-worker', lockedUntil: new Date(Date.now() - 1000) });
+  Object.assign(job('wa-2'), { status: 'processing', lockedBy: 'other-worker', lockedUntil: new Date(Date.now() + 60 * 1000) });
+
+  await processExportQueue();
+  assert.deepStrictEqual(sink.writes, [['wa-1']]);
+  assert.strictEqual(job('wa-1').status, 'done');
+  assert.strictEqual(job('wa-2').lockedBy, 'other-worker');
+});
+
+test('a failed write backs off, then the job goes dead after EXPORT_MAX_ATTEMPTS', async () => {
+  clicks = [click('wa-1')];
+  await enqueueExports(['wa-1']);
+  sink.fail = 'CRM unavailable';
+
+  const before = Date.now();
+  await processExportQueue();
+  assert.strictEqual(job('wa-1').status, 'pending');
+  assert.strictEqual(job('wa-1').attempts, 1);
+  assert.strictEqual(job('wa-1').lastError, 'CRM unavailable');
+  assert.ok(job('wa-1').nextAttemptAt - before >= 30 * 1000, 'not retried before the backoff');
+
+  // Not due yet - the same run doesn't retry it
+  assert.strictEqual(sink.writes.length, 1);
+
+  job('wa-1').nextAttemptAt = new Date(Date.now() - 1000);
+  await processExportQueue();
+  assert.strictEqual(job('wa-1').status, 'dead');
+  assert.strictEqual(job('wa-1').nextAttemptAt, null);
+  assert.strictEqual(job('wa-1').log.length, 2);
+});
+
+test('a lead the sink rejects is retried on its own', async () => {
+  clicks = [click('wa-1'), click('wa-2')];
+  await enqueueExports(['wa-1', 'wa-2']);
+  sink.rejected = ['wa-2'];
+
+  const summary = await processExportQueue();
+  assert.deepStrictEqual({ synced: summary.synced, retry: summary.retry }, { synced: 1, retry: 1 });
+  assert.strictEqual(job('wa-1').status, 'done');
+  assert.strictEqual(job('wa-2').status, 'pending');
+  assert.strictEqual(clicks[1].sinkSync, undefined);
+});
+
+test('a click that changes mid-write is written again', async () => {
+  clicks = [click('wa-1')];
+  await enqueueExports(['wa-1']);
+  sink.onWrite = async () => {
+    sink.onWrite = null;
+    clicks[0].updatedAt = new Date('2026-01-01T11:00:00Z');
+    await enqueueExports(['wa-1']);
+  };
+
+  await processExportQueue();
+  assert.deepStrictEqual(sink.writes, [['wa-1'], ['wa-1']]);
+  assert.strictEqual(job('wa-1').status, 'done');
+  assert.strictEqual(job('wa-1').version, clicks[0].updatedAt);
+});
+
+test('dead jobs are requeued per sink or click', async () => {
+  jobs.set('crm:wa-1', { _id: 'crm:wa-1', sink: 'crm', sessionId: 'wa-1', status: 'dead', attempts: 2, lastError: 'rejected' });
+  jobs.set('crm:wa-2', { _id: 'crm:wa-2', sink: 'crm', sessionId: 'wa-2', status: 'dead', attempts: 2, lastError: 'rejected' });
+  jobs.set('sheets:wa-1', { _id: 'sheets:wa-1', sink: 'sheets', sessionId: 'wa-1', status: 'dead', attempts: 2 });
+
+  assert.deepStrictEqual(await retryDeadJobs({ sessionId: 'wa-1', sink: 'crm' }), { requeued: 1 });
+  assert.deepStrictEqual(await retryDeadJobs({ sink: 'crm' }), { requeued: 1 });
+  assert.strictEqual(jobs.get('sheets:wa-1').status, 'dead');
+  assert.deepStrictEqual(
+    { status: job('wa-1').status, attempts: job('wa-1').attempts, lastError: job('wa-1').lastError },
+    { status: 'pending', attempts: 0, lastError: null }
+  );
+});
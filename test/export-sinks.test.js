@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const exportRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'utm-exports-'));
+process.env.EXPORT_FILE_DIR = exportRoot;
+
+const { ExportSink, ExportSchema } = require('../db');
+const { upsertSink, writeToSink } = require('../export-sinks');
+
+// In-memory stand-ins: no stored sinks or schemas, upserts echo back
+ExportSink.findById = () => ({ lean: async () => null });
+ExportSink.findByIdAndUpdate = (_id, fields) => ({ lean: async () => ({ _id, ...fields }) });
+ExportSchema.findById = () => ({ lean: async () => null });
+
+test.after(() => fs.rmSync(exportRoot, { recursive: true, force: true }));
+
+test('file sinks only accept directories inside EXPORT_FILE_DIR', async () => {
+  for (const directory of ['/etc', '../outside', 'daily/../../outside', '..']) {
+    await assert.rejects(upsertSink('files', { type: 'file', config: { directory } }), { statusCode: 400 }, directory);
+  }
+
+  const sink = await upsertSink('files', { type: 'file', config: { directory: 'daily/leads' } });
+  assert.strictEqual(sink.config.directory, 'daily/leads');
+});
+
+test('a stored file sink pointing outside the root is refused at write time', async () => {
+  const sink = { _id: 'legacy', type: 'file', format: 'jsonl', config: { directory: '/tmp' } };
+  await assert.rejects(writeToSink(sink, []), /EXPORT_FILE_DIR/);
+});
+
+test('file exports land under the root', async () => {
+  const sink = { _id: 'files', type: 'file', format: 'jsonl', config: { directory: 'daily' } };
+  const { location } = await writeToSink(sink, [{ _id: 'wa-1', source: 'google' }]);
+  assert.ok(location.startsWith(path.join(exportRoot, 'daily') + path.sep));
+});
+
+test('webhook sinks reject hop-by-hop, transport and signature headers', async () => {
+  for (const name of ['Host', 'Content-Length', 'Transfer-Encoding', 'Connection', 'X-UTM-Signature', 'idempotency-key', 'Bad Header']) {
+    await assert.rejects(
+      upsertSink('crm', { type: 'webhook', config: { url: 'https://crm.example.com/hook', headers: { [name]: 'x' } } }),
+      { statusCode: 400 },
+      name
+    );
+  }
+
+  const sink = await upsertSink('crm', { type: 'webhook', config: { url: 'https://crm.example.com/hook', headers: { Authorization: 'Bearer t' } } });
+  assert.deepStrictEqual(sink.config.headers, { Authorization: 'Bearer t' });
+});
+
+test('stored webhook headers can\'t override the signature', async (t) => {
+  const requests = [];
+  t.mock.method(global, 'fetch', async (url, options) => {
+    requests.push(options);
+    return { ok: true };
+  });
+
+  const sink = {
+    _id: 'legacy-crm',
+    type: 'webhook',
+    config: {
+      url: 'https://crm.example.com/hook',
+      secret: 'secret',
+      headers: { Authorization: 'Bearer t', 'X-UTM-Signature': 'forged', HOST: 'evil.example.com' },
+      timeoutMs: 1000,
+      batch: true
+    }
+  };
+  await writeToSink(sink, [{ _id: 'wa-1', source: 'google' }]);
+
+  const { headers } = requests[0];
+  assert.strictEqual(headers.Authorization, 'Bearer t');
+  assert.strictEqual(headers.HOST, undefined);
+  assert.strictEqual(headers['X-UTM-Signature'], undefined);
+  assert.match(headers['x-utm-signature'], /^sha256=[0-9a-f]{64}$/);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const snippet = fs.readFileSync(path.join(__dirname, '..', 'front_end.js'), 'utf8');
+
+// In-memory localStorage shared across "page loads" of the same browser
+function createStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+// Runs the snippet as one page load; no fetch/beacon, so nothing leaves the sandbox
+function loadPage({ storage, search = '', config = {}, consentFlag, tcfapi } = {}) {
+  const window = {
+    UTM_TRACKER_CONFIG: { consentRequired: true, ...config },
+    UTM_TRACKER_CONSENT: consentFlag,
+    location: { search, pathname: '/landing', href: `https://example.com/landing${search}` },
+    addEventListener: () => {},
+    __tcfapi: tcfapi
+  };
+  const context = vm.createContext({
+    window,
+    document: {
+      readyState: 'complete',
+      cookie: '',
+      referrer: '',
+      documentElement: { matches: () => false },
+      addEventListener: () => {}
+    },
+    navigator: { userAgent: 'node-test' },
+    localStorage: storage,
+    crypto: { randomUUID: () => '12345678-aaaa-bbbb-cccc-dddddddddddd' },
+    URLSearchParams,
+    console: { warn: () => {}, log: () => {} }
+  });
+  vm.runInContext(snippet, context);
+  return window;
+}
+
+const touches = (storage) => JSON.parse(storage.getItem('utm_touches') || 'null');
+
+test('storage survives page loads while the CMP has not answered', () => {
+  const storage = createStorage();
+  loadPage({ storage, search: '?utm_source=google&utm_campaign=spring' }).utmTracker.setConsent(true);
+  storage.setItem('utm_click_queue', '[]');
+
+  // Next page: consent not yet known, page carries other parameters
+  const page = loadPage({ storage, search: '?utm_source=newsletter' });
+  assert.ok(storage.getItem('utm_click_queue'), 'queue kept while consent is unknown');
+  assert.strictEqual(touches(storage).last.source, 'google', 'touch not recorded before consent');
+
+  page.utmTracker.setConsent('granted');
+  assert.strictEqual(touches(storage).first.source, 'google', 'first touch kept');
+  assert.strictEqual(touches(storage).last.source, 'newsletter');
+});
+
+test('an explicit denial wipes what an earlier grant stored', () => {
+  const storage = createStorage();
+  loadPage({ storage, search: '?utm_source=google' }).utmTracker.setConsent(true);
+  assert.ok(touches(storage));
+
+  loadPage({ storage }).utmTracker.setConsent(false);
+  assert.strictEqual(storage.items.size, 0);
+});
+
+test('a denied flag on load wipes storage', () => {
+  const storage = createStorage({ utm_touches: '{}', utm_visitor_id: 'v-1' });
+  loadPage({ storage, consentFlag: 'denied' });
+  assert.strictEqual(storage.items.size, 0);
+});
+
+test('withdrawing consent on the same page wipes storage', () => {
+  const storage = createStorage();
+  const page = loadPage({ storage, search: '?utm_source=google', config: { consentRequired: false } });
+  assert.ok(touches(storage), 'recorded without a CMP when consent is not required');
+
+  page.utmTracker.setConsent('denied');
+  assert.strictEqual(storage.items.size, 0);
+});
+
+test('values that are neither granted nor denied change nothing', () => {
+  const storage = createStorage();
+  const page = loadPage({ storage, search: '?utm_source=google' });
+  page.utmTracker.setConsent(true);
+  const stored = storage.getItem('utm_touches');
+
+  page.utmTracker.setConsent(undefined);
+  page.utmTracker.setConsent('unknown');
+  assert.strictEqual(storage.getItem('utm_touches'), stored);
+
+  // Still granted: a later explicit grant doesn't re-record
+  page.utmTracker.setConsent(true);
+  assert.strictEqual(storage.getItem('utm_touches'), stored);
+});
+
+test('TCF answers drive the same transitions', () => {
+  const storage = createStorage({ utm_visitor_id: 'v-1' });
+  let listener;
+  loadPage({ storage, search: '?utm_source=google', tcfapi: (command, version, callback) => { listener = callback; } });
+  assert.strictEqual(storage.getItem('utm_visitor_id'), 'v-1', 'kept until the CMP answers');
+
+  listener({ eventStatus: 'tcloaded', gdprApplies: true, purpose: { consents: { 1: true, 7: true } } }, true);
+  assert.strictEqual(touches(storage).first.source, 'google');
+
+  // Purpose 7 withdrawn
+  listener({ eventStatus: 'useractioncomplete', gdprApplies: true, purpose: { consents: { 1: true } } }, true);
+  assert.strictEqual(storage.items.size, 0);
+});
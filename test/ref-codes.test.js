@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { UtmClick } = require('../db');
+const {
+  resolveAttribution,
+  setRefCodeSecret,
+  generateRefCode,
+  issueClickSession,
+  stripRefCode
+} = require('../attribution');
+
+setRefCodeSecret('test-secret');
+
+function query(result) {
+  return {
+    sort() { return this; },
+    limit() { return this; },
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+}
+
+function click(id, fields = {}) {
+  const doc = { _id: id, hasEngaged: false, ...fields };
+  return { ...doc, toObject: () => doc };
+}
+
+// Clicks stored under a ref code; the query filter is kept for inspection
+let storedClicks = [];
+const refCodeQueries = [];
+UtmClick.find = (filter) => {
+  if (filter.ref_code) {
+    refCodeQueries.push(filter);
+    return query(storedClicks.filter(c => c.ref_code === filter.ref_code));
+  }
+  return query([]);
+};
+UtmClick.findOne = () => query(null);
+
+const messageTime = new Date('2026-01-01T10:00:00Z');
+const refCodeMatch = async (refCode) => {
+  const result = await resolveAttribution({
+    event: { whatsapp: { timestamp: messageTime.getTime() / 1000 } },
+    messageContent: `Hello! [ref: ${refCode}]`
+  });
+  return { result, tried: result.decision.tried.find(t => t.matcher === 'ref_code') };
+};
+
+// Two session IDs whose codes collide - 5 characters from a 32-letter alphabet
+function findCollision() {
+  const seen = new Map();
+  for (let i = 0; ; i++) {
+    const sessionId = `wa-collide-${i}`;
+    const code = generateRefCode(sessionId);
+    if (seen.has(code)) return [seen.get(code), sessionId, code];
+    seen.set(code, sessionId);
+  }
+}
+
+test.afterEach(() => {
+  storedClicks = [];
+});
+
+test('codes are 5 unambiguous characters, stable per session and keyed on the secret', () => {
+  const code = generateRefCode('wa-1');
+  assert.match(code, /^[2-9A-HJ-NP-Z]{5}$/);
+  assert.strictEqual(generateRefCode('wa-1'), code);
+  assert.strictEqual(generateRefCode(null), null);
+
+  setRefCodeSecret('rotated-secret');
+  assert.notStrictEqual(generateRefCode('wa-1'), code);
+  setRefCodeSecret('test-secret');
+});
+
+test('issued sessions carry their own signed code', () => {
+  const session = issueClickSession();
+  assert.match(session.session_id, /^wa-\d+-[0-9a-f]{8}$/);
+  assert.strictEqual(session.ref_code, generateRefCode(session.session_id));
+});
+
+test('the code is stripped from message text', () => {
+  assert.strictEqual(stripRefCode('Hello! [ref: AH7K2]'), 'Hello!');
+  assert.strictEqual(stripRefCode('Hello!'), 'Hello!');
+});
+
+test('a message carrying a click\'s code matches it', async () => {
+  const sessionId = 'wa-1';
+  storedClicks = [click(sessionId, { ref_code: generateRefCode(sessionId) })];
+
+  const { result } = await refCodeMatch(generateRefCode(sessionId).toLowerCase());
+  assert.strictEqual(result.sessionId, sessionId);
+  assert.strictEqual(result.attribution, 'ref_code');
+});
+
+test('codes expire after REF_CODE_MAX_AGE_HOURS', async () => {
+  process.env.REF_CODE_MAX_AGE_HOURS = '24';
+  try {
+    await refCodeMatch(generateRefCode('wa-1'));
+    const oldest = refCodeQueries.at(-1).timestamp.$gte;
+    assert.strictEqual(messageTime - oldest, 24 * 60 * 60 * 1000);
+  } finally {
+    delete process.env.REF_CODE_MAX_AGE_HOURS;
+  }
+  await refCodeMatch(generateRefCode('wa-1'));
+  assert.strictEqual(messageTime - refCodeQueries.at(-1).timestamp.$gte, 72 * 60 * 60 * 1000);
+});
+
+test('a click stored with someone else\'s code is not matched', async () => {
+  const code = generateRefCode('wa-real');
+  storedClicks = [click('wa-forged', { ref_code: code })];
+
+  const { result, tried } = await refCodeMatch(code);
+  assert.strictEqual(result.matched, false);
+  assert.strictEqual(tried.reason, 'unknown_ref_code');
+});
+
+test('colliding codes both verify, and the click not yet engaged is preferred', async () => {
+  const [first, second, code] = findCollision();
+  storedClicks = [
+    click(second, { ref_code: code, hasEngaged: true }),
+    click(first, { ref_code: code })
+  ];
+
+  const { result, tried } = await refCodeMatch(code);
+  assert.strictEqual(result.sessionId, first);
+  assert.deepStrictEqual(tried.candidates.sort(), [first, second].sort());
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { UtmClick } = require('../db');
+const { getCampaignReport } = require('../reports');
+
+// Aggregations are answered from a fixture; the version probe reports an older server
+const serverVersion = '6.0.14';
+const pipelines = [];
+UtmClick.db.db = { admin: () => ({ serverInfo: async () => ({ version: serverVersion }) }) };
+UtmClick.aggregate = async (pipeline) => {
+  pipelines.push(pipeline);
+  return [{ _id: { source: 'google' }, clicks: 4, engagements: 3, conversions: 1, revenue: 100, medianEngageSeconds: [30, null, 10, 20.4] }];
+};
+
+test('servers without $median get the median computed from pushed times', async () => {
+  const { rows } = await getCampaignReport({ groupBy: 'source' });
+
+  const group = pipelines[0][1].$group;
+  assert.ok(group.medianEngageSeconds.$push, 'engagement times pushed');
+  assert.strictEqual(rows[0].medianTimeToEngageSeconds, 20);
+  assert.strictEqual(rows[0].conversionRate, 0.75);
+});
+
+test('report filters stay plain strings', async () => {
+  await getCampaignReport({ groupBy: 'source', source: { $ne: 'x' } });
+  assert.strictEqual(pipelines.at(-1)[0].$match.source, '[object Object]');
+  await assert.rejects(getCampaignReport({ groupBy: 'source,referrer' }), { statusCode: 400 });
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.GALLABOX_WEBHOOK_AUTH = 'hmac,token';
+
+const { WebhookDelivery } = require('../db');
+const {
+  authenticateWebhook,
+  getDeliveryId,
+  claimDelivery,
+  completeDelivery,
+  releaseDelivery
+} = require('../webhook-auth');
+
+// In-memory stand-in for the webhookDeliveries collection
+const deliveries = new Map();
+WebhookDelivery.create = async (doc) => {
+  if (deliveries.has(doc._id)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  deliveries.set(doc._id, { ...doc });
+  return doc;
+};
+WebhookDelivery.findOneAndUpdate = async ({ _id, status, leaseExpiresAt }, update) => {
+  const doc = deliveries.get(_id);
+  if (!doc || doc.status !== status || !(doc.leaseExpiresAt <= leaseExpiresAt.$lte)) return null;
+  Object.assign(doc, update);
+  return doc;
+};
+WebhookDelivery.findById = (_id) => ({ select: () => ({ lean: async () => deliveries.get(_id) || null }) });
+WebhookDelivery.updateOne = async ({ _id }, update) => Object.assign(deliveries.get(_id), update);
+WebhookDelivery.deleteOne = async ({ _id }) => deliveries.delete(_id);
+
+const credentials = (secrets, tokens = []) => ({ secrets: async () => secrets, tokens: async () => tokens });
+
+function signedRequest(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const signature = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+  return {
+    rawBody,
+    headers: {
+      'x-gallabox-signature': `sha256=${signature}`,
+      'x-gallabox-timestamp': String(timestamp)
+    }
+  };
+}
+
+test('a signature from any active secret verifies during a rotation', async () => {
+  const req = signedRequest({ id: 'event-1' }, 'old-secret');
+  assert.deepStrictEqual(await authenticateWebhook(req, credentials(['new-secret', 'old-secret'])), { ok: true, method: 'hmac' });
+});
+
+test('a tampered body or unknown secret is rejected', async () => {
+  const req = signedRequest({ id: 'event-1' }, 'secret');
+  req.rawBody = Buffer.from(JSON.stringify({ id: 'event-2' }));
+  const result = await authenticateWebhook(req, credentials(['secret']));
+  assert.strictEqual(result.ok, false);
+  assert.match(result.reason, /hmac:invalid_signature/);
+
+  const unknown = await authenticateWebhook(signedRequest({ id: 'event-1' }, 'other'), credentials(['secret']));
+  assert.strictEqual(unknown.ok, false);
+});
+
+test('a timestamp outside the tolerance is rejected', async () => {
+  const req = signedRequest({ id: 'event-1' }, 'secret', Math.floor(Date.now() / 1000) - 3600);
+  const result = await authenticateWebhook(req, credentials(['secret']));
+  assert.match(result.reason, /hmac:stale_timestamp/);
+});
+
+test('the legacy token still works when enabled', async () => {
+  const req = { headers: { 'x-gallabox-token': 'token-1' } };
+  assert.deepStrictEqual(await authenticateWebhook(req, credentials([], ['token-1'])), { ok: true, method: 'token' });
+  assert.strictEqual((await authenticateWebhook({ headers: { 'x-gallabox-token': 'nope' } }, credentials([], ['token-1']))).ok, false);
+});
+
+test('signed replay keys follow the signed content, not the delivery ID header', () => {
+  const req = signedRequest({ id: 'event-1' }, 'secret', 1700000000);
+  const key = getDeliveryId(req, { method: 'hmac' });
+
+  const renamed = { ...req, headers: { ...req.headers, 'x-gallabox-delivery-id': 'fresh-id' } };
+  assert.strictEqual(getDeliveryId(renamed, { method: 'hmac' }), key);
+  assert.notStrictEqual(getDeliveryId(signedRequest({ id: 'event-2' }, 'secret', 1700000000), { method: 'hmac' }), key);
+
+  assert.strictEqual(getDeliveryId({ headers: { 'x-gallabox-delivery-id': 'd-1' } }, { method: 'token' }), 'd-1');
+});
+
+test('a processed delivery is acknowledged, a running one is reported in progress', async () => {
+  assert.deepStrictEqual(await claimDelivery('/hook', 'd-1'), { claimed: true, status: 'processing' });
+  assert.deepStrictEqual(await claimDelivery('/hook', 'd-1'), { claimed: false, status: 'processing' });
+
+  await completeDelivery('/hook', 'd-1');
+  assert.deepStrictEqual(await claimDelivery('/hook', 'd-1'), { claimed: false, status: 'processed' });
+});
+
+test('a released or lapsed claim can be claimed by the retry', async () => {
+  await claimDelivery('/hook', 'd-2');
+  await releaseDelivery('/hook', 'd-2');
+  assert.strictEqual((await claimDelivery('/hook', 'd-2')).claimed, true);
+
+  // Process died mid-request: the lease runs out
+  deliveries.get('/hook:d-2').leaseExpiresAt = new Date(Date.now() - 1000);
+  assert.strictEqual((await claimDelivery('/hook', 'd-2')).claimed, true);
+  assert.strictEqual((await claimDelivery('/hook', 'd-2')).claimed, false);
+});
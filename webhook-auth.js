@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const { WebhookDelivery } = require('./db');
+require('dotenv').config();
+
+// Webhook authentication & replay protection
+// Auth methods are pluggable: each one checks a request against a channel's
+// credentials ({ tokens(), secrets() }, loaded only by methods that need them).
+// GALLABOX_WEBHOOK_AUTH lists the accepted methods (comma separated, default
+// "token"); set it to "hmac" once Gallabox signs deliveries, or "hmac,token"
+// while migrating.
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+const DEFAULT_RETENTION_DAYS = 7;
+const DEFAULT_LEASE_SECONDS = 300;
+
+const authMethods = new Map();
+
+function registerAuthMethod(method) {
+  if (!method?.name || typeof method.verify !== 'function') {
+    throw new Error('Auth method requires a name and a verify() function');
+  }
+  authMethods.set(method.name, method);
+}
+
+function getEnabledMethods() {
+  const names = (process.env.GALLABOX_WEBHOOK_AUTH || 'token')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const unknown = names.filter(name => !authMethods.has(name));
+  if (unknown.length > 0) {
+    console.warn(`⚠️ Unknown webhook auth method(s) ignored: ${unknown.join(', ')}`);
+  }
+  return names.filter(name => authMethods.has(name)).map(name => authMethods.get(name));
+}
+
+// Constant-time comparison; never short-circuits on content
+function constantTimeEqual(expected, received) {
+  const a = Buffer.from(String(expected || ''));
+  const b = Buffer.from(String(received || ''));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function getToleranceSeconds() {
+  const seconds = Number(process.env.GALLABOX_SIGNATURE_TOLERANCE_SECONDS);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_TOLERANCE_SECONDS;
+}
+
+// Static shared token in x-gallabox-token (legacy)
+registerAuthMethod({
+  name: 'token',
+  async verify(req, credentials) {
+    const token = req.headers['x-gallabox-token'];
+    if (!token) return { ok: false, reason: 'missing_token' };
+
+    const tokens = await credentials.tokens();
+
+    // Compare against every token so timing doesn't reveal which one matched
+    const matched = tokens.map(expected => constantTimeEqual(expected, token));
+    return matched.includes(true) ? { ok: true } : { ok: false, reason: 'invalid_token' };
+  }
+});
+
+// HMAC-SHA256 of "<timestamp>.<raw body>" in x-gallabox-signature ("sha256=<hex>").
+// Every active secret is tried, so old and new secrets both work during a rotation.
+registerAuthMethod({
+  name: 'hmac',
+  async verify(req, credentials) {
+    const signature = String(req.headers['x-gallabox-signature'] || '').replace(/^sha256=/, '');
+    const timestamp = Number(req.headers['x-gallabox-timestamp']);
+    if (!signature) return { ok: false, reason: 'missing_signature' };
+    if (!timestamp) return { ok: false, reason: 'missing_timestamp' };
+    if (!req.rawBody) return { ok: false, reason: 'missing_body' };
+
+    // Accept seconds or milliseconds
+    const sentAt = timestamp > 1e12 ? timestamp : timestamp * 1000;
+    if (Math.abs(Date.now() - sentAt) > getToleranceSeconds() * 1000) {
+      return { ok: false, reason: 'stale_timestamp' };
+    }
+
+    const secrets = await credentials.secrets();
+    const payload = Buffer.concat([Buffer.from(`${req.headers['x-gallabox-timestamp']}.`), req.rawBody]);
+    const matched = secrets.map(secret => constantTimeEqual(
+      crypto.createHmac('sha256', secret).update(payload).digest('hex'),
+      signature.toLowerCase()
+    ));
+    return matched.includes(true) ? { ok: true } : { ok: false, reason: 'invalid_signature' };
+  }
+});
+
+// First enabled method that accepts the request wins
+async function authenticateWebhook(req, credentials) {
+  const reasons = [];
+  for (const method of getEnabledMethods()) {
+    const result = await method.verify(req, credentials);
+    if (result.ok) return { ok: true, method: method.name };
+    reasons.push(`${method.name}:${result.reason}`);
+  }
+  return { ok: false, reason: reasons.join(', ') || 'no_auth_methods' };
+}
+
+// =============================================
+// Replay protection
+// =============================================
+// Signed deliveries are keyed on what the signature covers (timestamp + body), so
+// dropping or changing the unsigned delivery ID header can't replay a captured
+// request. Token deliveries only have the transport-level delivery ID; retried
+// events are deduplicated by the inbound event log either way.
+function getDeliveryId(req, auth = {}) {
+  if (auth.method === 'hmac') {
+    const digest = crypto.createHash('sha256')
+      .update(`${req.headers['x-gallabox-timestamp']}.`)
+      .update(req.rawBody)
+      .digest('hex');
+    return `hmac:${digest}`;
+  }
+
+  const id = req.headers['x-gallabox-delivery-id'] || req.headers['x-gallabox-event-id'];
+  return id ? String(id).slice(0, 200) : null;
+}
+
+function getRetentionMs() {
+  const days = Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS);
+  return (Number.isFinite(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+}
+
+function getLeaseMs() {
+  const seconds = Number(process.env.WEBHOOK_DELIVERY_LEASE_SECONDS);
+  return (Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_LEASE_SECONDS) * 1000;
+}
+
+// Atomically claim a delivery ID. Resolves { claimed: false, status } when it
+// was already processed or is being processed right now. A claim still
+// processing after its lease (the process died mid-request) is taken over.
+async function claimDelivery(route, deliveryId) {
+  const _id = `${route}:${deliveryId}`;
+  const now = Date.now();
+  try {
+    await WebhookDelivery.create({
+      _id,
+      route,
+      deliveryId,
+      status: 'processing',
+      leaseExpiresAt: new Date(now + getLeaseMs()),
+      expiresAt: new Date(now + getRetentionMs())
+    });
+    return { claimed: true, status: 'processing' };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+
+  const takenOver = await WebhookDelivery.findOneAndUpdate(
+    { _id, status: 'processing', leaseExpiresAt: { $lte: new Date(now) } },
+    { leaseExpiresAt: new Date(now + getLeaseMs()) }
+  );
+  if (takenOver) return { claimed: true, status: 'processing' };
+
+  // Claims from before statuses were tracked only existed once processed
+  const existing = await WebhookDelivery.findById(_id).select('status').lean();
+  return { claimed: false, status: existing?.status || 'processed' };
+}
+
+// Response sent - repeats of this delivery are acknowledged from now on
+async function completeDelivery(route, deliveryId) {
+  await WebhookDelivery.updateOne(
+    { _id: `${route}:${deliveryId}` },
+    { status: 'processed', leaseExpiresAt: null }
+  );
+}
+
+// Failed or abandoned deliveries are released so Gallabox's retry can go through
+async function releaseDelivery(route, deliveryId) {
+  await WebhookDelivery.deleteOne({ _id: `${route}:${deliveryId}` });
+}
+
+module.exports = {
+  registerAuthMethod,
+  authenticateWebhook,
+  getDeliveryId,
+  claimDelivery,
+  completeDelivery,
+  releaseDelivery
+};